@@ -36,14 +36,154 @@
 // - Added Inbox page (/inbox) listing recent conversations
 // UPDATE (MOBILE SCALING):
 // - Reduced overall sizing on small screens so content fits better
+// UPDATE (FOLLOWING TAB):
+// - Feed page has a "Following" tab showing posts (all buckets) from members the viewer follows
+// - Same keyset cursor paging via /feed/more?tab=following
+// - Per-followee LATERAL lookup keeps pages fast for members with hundreds of follows
+// UPDATE (EDIT + DELETE POSTS):
+// - Authors can edit a post caption (/posts/:id/edit) and delete a post (/posts/:id/delete)
+// - Edited posts show an "edited" marker (posts_v1.edited_at)
+// - Deleting removes the post's media, likes and comments in one statement
+// - Anyone other than the author gets a 404
+// UPDATE (NOTIFICATIONS):
+// - Likes, comments, follows and DMs write to notifications_v1 (never for your own actions)
+// - /notifications groups repeated events ("5 people liked your post") and has mark-all-read
+// - Nav shows an unread badge next to "Notifications"
+// - Comment and mention notifications carry their comment_id and are deleted along with the comment
+// UPDATE (UNREAD MESSAGES):
+// - Per-conversation read marker (conversation_reads_v1) moves forward when /dm/:customerId is opened
+// - Inbox rows show unread counts and unread threads are bold
+// - Nav "Messages" link shows the total unread count
+// UPDATE (POST DETAIL + COMMENT THREADS):
+// - /posts/:id shows the post with every comment (cursor paging via /posts/:id/comments/more)
+// - One level of replies (comments_v1.parent_id); replying to a reply attaches to its top-level comment
+// - Post cards link "Comments: N" to the detail page; notifications link there too
+// UPDATE (COMMENT DELETION):
+// - Commenters can delete their own comments; post authors can delete any comment on their post
+// - Deleting a top-level comment removes its replies; checks are enforced server-side (404 otherwise)
+// UPDATE (STRUCTURED TRADES):
+// - Trade posts carry "have" and "want" card lists plus a status: open, pending or completed
+// - Status shows as a badge on the card; only the author can change it, and completed is final
+// - /trades can be filtered by status (?status=open|pending|completed)
+// UPDATE (TRADE OFFERS):
+// - "Make offer" on open trade posts proposes a set of cards + optional note (trade_offers_v1)
+// - The recipient of a pending offer can accept, decline or counter (a counter is a new offer back)
+// - Accepting marks the trade post pending; /offers shows sent + received offer history
+// UPDATE (REPUTATION):
+// - Once a trade with an accepted offer is marked completed, each side can rate the other once
+//   (positive / neutral / negative + short comment) from /offers
+// - /u/:customerId and /me show the aggregate score and recent feedback
+// - No rating yourself; one rating per rater, ratee and listing (unique constraint), and a completed
+//   listing can't be reopened to trade again
+// UPDATE (SEARCH):
+// - /search runs Postgres full-text search over post captions, comments and member names/usernames
+// - Results are grouped (Members / Posts / Comments) and can be filtered by bucket
+// - Search box in the nav; words match as prefixes ("chari" finds "Charizard")
+// UPDATE (HASHTAGS + MENTIONS):
+// - #tags and @handles in captions and comments render as links
+// - Caption and comment hashtags are indexed on write (post_tags_v1, keyed to the post); /tag/:name lists
+//   tagged posts with cursor paging
+// - @mentions resolve to members by profiles_v2.username, are recorded in mentions_v1 and notify the member
+// UPDATE (USERNAMES):
+// - /me/edit lets members claim a username: 3-30 letters/numbers/_, unique per shop (case-insensitive),
+//   reserved words blocked, one change per 30 days after the first claim
+// - /@handle (case-insensitive) redirects to /u/:customerId; author links use it when a username is set
+// UPDATE (BLOCK + MUTE):
+// - Block (either direction) stops DMs, comments, follows and profile/post views between two members,
+//   hides their posts, comments and conversations from each other, and drops existing follows
+// - Mute only hides the muted member's posts from the muter's feeds
+// - Managed from /settings (linked from /me); Block / Mute buttons on profiles
+// UPDATE (REPORTS + MODERATION):
+// - "Report" on posts, comments, received messages and profiles (reason + optional details) => reports_v1
+// - /mod queue for moderators (MODERATOR_CUSTOMER_IDS, comma-separated; everyone else gets 404)
+// - Moderators can hide the content, dismiss the report or suspend the author; hidden content drops out
+//   of every list, and every action is written to mod_actions_v1 (audit log at /mod/log)
+// UPDATE (SUSPENSION + SHADOW-HIDE):
+// - Suspensions are timed (1/7/30 days) or permanent, with a reason shown to the member
+// - Suspended members get a clear 403 page on new posts, edits, comments, likes, follows, DMs and offers
+// - Shadow-hide removes a member's posts from feeds, tags, search and their profile for everyone but them
+// - Moderators manage both from the queue and from a panel on /u/:customerId
+// UPDATE (BLOB STORE):
+// - Media bytes (post media, DM attachments, avatars) can live outside Postgres:
+//   BLOB_STORE=local (BLOB_DIR, default ./data/blobs) or BLOB_STORE=s3 (S3_ENDPOINT, S3_REGION, S3_BUCKET,
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, optional S3_PREFIX; any S3-compatible server works)
+// - Unset keeps the old behaviour (BYTEA columns); rows written to a store carry storage_key instead of bytes
+// - `node server.js migrate-media [--dry-run]` (npm run migrate:media) moves existing BYTEA rows into the
+//   configured store; /posts/:id/media/:idx, /messages/:id/media/:idx and /avatar URLs keep working
+// - A BLOB_STORE that can't be built (unknown kind, missing S3 settings) stops the process at boot
+// - `node server.js blob-check` (npm run blob:check) puts, reads back and deletes a test object in the
+//   configured store (works against a local MinIO with BLOB_STORE=s3 and S3_ENDPOINT)
+// UPDATE (MEDIA CACHING):
+// - Media routes send a content-hash ETag (sha256, stored at upload; computed for older rows) and answer
+//   If-None-Match with 304
+// - Post and message media URLs carry ?v=<content hash prefix>; a URL with the current version is
+//   private, max-age=1y, immutable, anything else (no or stale version) revalidates
+// - Avatars can be replaced under the same URL: private, no-cache (cheap 304 revalidation)
+// - Range requests get 206 / 416 so <video> can stream and seek; HTML pages stay no-store
+// UPDATE (IMAGE VARIANTS):
+// - Post photos and avatars get WebP "thumb" (320px) and "medium" (1080px) variants at upload (sharp),
+//   stored in media_variants_v1 (same blob store as the originals)
+// - ?size=thumb|medium on /posts/:id/media/:idx and /avatar/:customerId; falls back to the original
+//   when there's no variant (videos, GIFs, older uploads)
+// - Grid tiles use srcset over the variants; the lightbox still opens the original
+// UPDATE (PHOTO METADATA):
+// - JPEG/PNG/WebP uploads (posts, DMs, avatars) lose EXIF, GPS, XMP, IPTC and comments before storage;
+//   only the orientation survives (rewritten as a one-tag EXIF block), pixels are not re-encoded
+// - Files that don't parse as the image type they claim are rejected like a bad type
+// - `node server.js strip-metadata [--dry-run]` (npm run backfill:metadata) cleans rows stored earlier;
+//   a cleaned file gets a new content hash and so a new versioned URL, never the cached original's
+// UPDATE (UPLOAD SNIFFING):
+// - Every upload (posts, DMs, avatars) is identified by its magic bytes; the stored MIME is the detected one
+// - Unsupported contents, or contents that don't match the browser-supplied type, get a 415 page naming
+//   the file and what it really is (replaces the silent ?type=1 redirect); nothing is half-saved
+// UPDATE (MIGRATIONS):
+// - Schema lives in MIGRATIONS (numbered, append-only); the old ensureSchema() DDL is migration 1 (baseline)
+// - Applied versions + checksums are recorded in schema_migrations; an edited or unknown applied migration
+//   stops both the migrator and the server
+// - `node server.js migrate [--dry-run]` (npm run migrate, also run by npm start) applies pending migrations,
+//   each in its own transaction; `migrate status`; `migrate rollback [--to N] [--dry-run]`
+// - The web process never changes the schema: it refuses to boot while migrations are pending
+// UPDATE (TRANSACTIONAL POSTS + MESSAGES):
+// - A post, all of its media rows (one multi-row INSERT) and its trade listing commit in one transaction;
+//   a message and its attachment likewise
+// - Blob-store bytes are written first under a reserved id and deleted again if anything fails
+// - Failures show a "nothing was saved" error page instead of bouncing back to the composer
+// UPDATE (FOREIGN KEYS):
+// - Migration 2 reports and cleans up orphans (likes, comments, replies, post media, follows, DM attachments
+//   whose post/comment/message is gone), re-creating lazily-made profile rows instead of dropping activity
+// - Then adds foreign keys with ON DELETE CASCADE and CHECK (bucket IN ('feed','collection','trades'))
+// - Likes, comments and follows make sure the viewer's profile exists first; following someone without a
+//   profile is a 404
+// UPDATE (SESSIONS):
+// - nd_auth now holds a random session id (sessions_v1 stores its sha256) instead of a self-contained
+//   7-day token; sessions slide 7 days past last use, 30 days max, and can be revoked
+// - Cookies are signed with SESSION_SECRET (falls back to a key derived from SHOPIFY_API_SECRET);
+//   rotate by moving old keys to SESSION_SECRET_PREVIOUS (comma-separated)
+// - logged_in_customer_id is only trusted on requests with a valid proxy signature whose timestamp is
+//   within 5 minutes of now (a copied signed URL stops working soon after)
+// - Proxied requests (cookies stripped by Shopify) ride on the signature alone; a session is only started
+//   once a browser is seen sending cookies back
+// - /logout (this device) and "Sign out everywhere" (all devices), both from /settings and the nav;
+//   these revoke cookie sessions only, Shopify's own login (which signs proxied requests) is ended by its
+//   /account/logout, which both routes redirect to
+//
+// UPDATE (CSRF):
+// - Every proxy form carries a _csrf token (HMAC of shop, customer, session id and render time, signed with
+//   the session key); tokens expire after 12 hours
+// - Middleware rejects any non-GET proxy request without a valid token with a 403 "form has expired" page
+// - Upload forms (/post/new, /dm, /me/avatar) are checked right after multer parses their body
 //
 // IMPORTANT PERF UPDATE:
-// - ensureSchema() is memoized so schema setup runs once per process (avoids repeated ALTER/UPDATE/INDEX work)
+// - ensureSchema() is memoized so the schema version check runs once per process
 
 import express from "express";
 import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
 import { Pool } from "pg";
 import multer from "multer";
+import sharp from "sharp";
 
 const app = express();
 app.disable("x-powered-by");
@@ -63,9 +203,24 @@ app.use((req, res, next) => {
 });
 
 const SHOPIFY_API_SECRET = (process.env.SHOPIFY_API_SECRET || "").trim();
+// Session cookies have their own signing key. To rotate it, move the old value into SESSION_SECRET_PREVIOUS
+// (comma-separated) and set a new SESSION_SECRET: old cookies keep working and are re-signed on next use.
+const SESSION_SECRET = (process.env.SESSION_SECRET || "").trim();
+const SESSION_SECRETS_PREVIOUS = String(process.env.SESSION_SECRET_PREVIOUS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
 const PORT = Number(process.env.PORT) || 3000;
 
 const DATABASE_URL = (process.env.DATABASE_URL || "").trim();
+
+// Shopify customer IDs allowed into /mod (comma-separated)
+const MODERATOR_IDS = new Set(
+  String(process.env.MODERATOR_CUSTOMER_IDS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
 const pool = DATABASE_URL
   ? new Pool({
       connectionString: DATABASE_URL,
@@ -73,820 +228,2528 @@ const pool = DATABASE_URL
     })
   : null;
 
-// Memoize schema initialization so it runs once per process
+// Memoize the schema version check so it runs once per process
 let schemaInitPromise = null;
 
-const GOLD_NUGGET_LOGO_URL =
-  "https://cdn.shopify.com/s/files/1/0681/6589/4299/files/LOGO_w_TEXT_-_Gold_Nugget_467d90fd-4797-4d4f-9ddc-f86b47c98edf.png?v=1748970231";
-
 /* ---------------------------
-   Login helper (Shopify)
+   Blob store (media bytes)
 ---------------------------- */
 
-const LOGIN_RETURN_URL = "https://www.goldnuggetcards.com/";
+// Stores expose put(key, bytes, mime) / get(key) -> Buffer|null / delete(key)
+function createLocalBlobStore({ dir }) {
+  const root = path.resolve(dir);
+  const fileFor = (key) => {
+    const p = path.resolve(root, key);
+    if (!p.startsWith(root + path.sep)) throw new Error(`Bad blob key: ${key}`);
+    return p;
+  };
 
-// Shopify login link that returns to site home after auth
-function shopifyLoginHref() {
-  return `/account/login?return_url=${encodeURIComponent(LOGIN_RETURN_URL)}`;
+  return {
+    name: "local",
+    async put(key, bytes) {
+      const p = fileFor(key);
+      await fs.mkdir(path.dirname(p), { recursive: true });
+      // Write then rename so readers never see a partial file
+      const tmp = `${p}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+      await fs.writeFile(tmp, bytes);
+      await fs.rename(tmp, p);
+    },
+    async get(key) {
+      try {
+        return await fs.readFile(fileFor(key));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
 }
 
-/* ---------------------------
-   Uploaders (multi-media)
----------------------------- */
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
 
-const uploadAvatar = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
-});
+function hmacSha256(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
 
-const uploadPostMedia = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 15 * 1024 * 1024 }, // 15MB PER FILE
-});
+// S3-compatible store (AWS, R2, MinIO, ...) using path-style URLs and SigV4 over fetch
+function createS3BlobStore({ endpoint, region, bucket, accessKeyId, secretAccessKey, prefix = "" }) {
+  const origin = new URL(endpoint);
+  const basePath = origin.pathname.replace(/\/+$/, "");
+
+  async function send(method, key, { body = null, mime = "" } = {}) {
+    // SigV4 wants RFC 3986 encoding, which is stricter than encodeURIComponent
+    const encode = (s) =>
+      encodeURIComponent(s).replace(/[!'()*]/g, (ch) => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+    const objectPath = `${prefix}${key}`.split("/").map(encode).join("/");
+    const url = new URL(`${basePath}/${encodeURIComponent(bucket)}/${objectPath}`, origin);
+
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, "");
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || "");
+
+    const headers = { host: url.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate };
+    if (mime) headers["content-type"] = mime;
+    const signedHeaders = Object.keys(headers).sort();
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      "",
+      signedHeaders.map((h) => `${h}:${headers[h]}\n`).join(""),
+      signedHeaders.join(";"),
+      payloadHash,
+    ].join("\n");
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+    let signingKey = hmacSha256(`AWS4${secretAccessKey}`, dateStamp);
+    signingKey = hmacSha256(signingKey, region);
+    signingKey = hmacSha256(signingKey, "s3");
+    signingKey = hmacSha256(signingKey, "aws4_request");
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    headers.authorization =
+      `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`;
+    delete headers.host; // fetch sets it from the URL
+
+    return fetch(url, { method, headers, body: body || undefined });
+  }
 
-// DM: one optional file per message (10MB)
-const uploadMessageMedia = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
-});
+  return {
+    name: "s3",
+    async put(key, bytes, mime) {
+      const r = await send("PUT", key, { body: bytes, mime });
+      if (!r.ok) throw new Error(`S3 PUT ${key} failed: ${r.status}`);
+    },
+    async get(key) {
+      const r = await send("GET", key);
+      if (r.status === 404) return null;
+      if (!r.ok) throw new Error(`S3 GET ${key} failed: ${r.status}`);
+      return Buffer.from(await r.arrayBuffer());
+    },
+    async delete(key) {
+      const r = await send("DELETE", key);
+      if (!r.ok && r.status !== 404) throw new Error(`S3 DELETE ${key} failed: ${r.status}`);
+    },
+  };
+}
 
-const MAX_MEDIA_FILES = 8;
+// null = keep bytes in Postgres (BYTEA), the original behaviour. Throws when BLOB_STORE asks for a store
+// that can't be built, rather than quietly sending uploads back into Postgres.
+function createBlobStoreFromEnv(env) {
+  const kind = String(env.BLOB_STORE || "").toLowerCase().trim();
+  if (!kind || kind === "db") return null;
+
+  if (kind === "local") return createLocalBlobStore({ dir: env.BLOB_DIR || "./data/blobs" });
+
+  if (kind === "s3") {
+    const cfg = {
+      endpoint: String(env.S3_ENDPOINT || "").trim(),
+      region: String(env.S3_REGION || "us-east-1").trim(),
+      bucket: String(env.S3_BUCKET || "").trim(),
+      accessKeyId: String(env.S3_ACCESS_KEY_ID || "").trim(),
+      secretAccessKey: String(env.S3_SECRET_ACCESS_KEY || "").trim(),
+      prefix: String(env.S3_PREFIX || "").trim(),
+    };
+    if (!cfg.endpoint || !cfg.bucket || !cfg.accessKeyId || !cfg.secretAccessKey) {
+      throw new Error("BLOB_STORE=s3 needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+    }
+    return createS3BlobStore(cfg);
+  }
 
-function normalizeBucket(x) {
-  const v = String(x || "").toLowerCase().trim();
-  if (v === "collection" || v === "collections") return "collection";
-  if (v === "trade" || v === "trades") return "trades";
-  return "feed";
+  throw new Error(`Unknown BLOB_STORE "${kind}" (use local, s3, or leave it unset for Postgres)`);
 }
 
-function bucketLabel(bucket) {
-  if (bucket === "collection") return "Collections";
-  if (bucket === "trades") return "Trades";
-  return "Feed";
+let blobStore = null;
+try {
+  blobStore = createBlobStoreFromEnv(process.env);
+} catch (e) {
+  console.error(`Refusing to start: ${e.message}`);
+  process.exit(1);
 }
 
-async function ensureSchema() {
-  if (!pool) return;
-
-  if (schemaInitPromise) return schemaInitPromise;
-
-  schemaInitPromise = (async () => {
-    // Profiles
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS profiles_v2 (
-        customer_id TEXT PRIMARY KEY,
-        shop TEXT NOT NULL,
-        username TEXT NOT NULL DEFAULT '',
-        full_name TEXT NOT NULL DEFAULT '',
-        dob DATE,
-        favorite_pokemon TEXT NOT NULL DEFAULT '',
-        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(
-      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS first_name TEXT NOT NULL DEFAULT ''`
-    );
-    await pool.query(
-      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS last_name TEXT NOT NULL DEFAULT ''`
-    );
-    await pool.query(
-      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS bio TEXT NOT NULL DEFAULT ''`
-    );
-    await pool.query(
-      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS social_url TEXT NOT NULL DEFAULT ''`
-    );
-    await pool.query(`ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS avatar_bytes BYTEA`);
-    await pool.query(
-      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS avatar_mime TEXT NOT NULL DEFAULT ''`
-    );
-
-    // Backfill NULLs
-    await pool.query(`UPDATE profiles_v2 SET username = '' WHERE username IS NULL`);
-    await pool.query(`UPDATE profiles_v2 SET full_name = '' WHERE full_name IS NULL`);
-    await pool.query(
-      `UPDATE profiles_v2 SET favorite_pokemon = '' WHERE favorite_pokemon IS NULL`
-    );
-    await pool.query(`UPDATE profiles_v2 SET first_name = '' WHERE first_name IS NULL`);
-    await pool.query(`UPDATE profiles_v2 SET last_name = '' WHERE last_name IS NULL`);
-    await pool.query(`UPDATE profiles_v2 SET bio = '' WHERE bio IS NULL`);
-    await pool.query(`UPDATE profiles_v2 SET social_url = '' WHERE social_url IS NULL`);
-    await pool.query(`UPDATE profiles_v2 SET avatar_mime = '' WHERE avatar_mime IS NULL`);
-
-    // Defaults + not null
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN username SET DEFAULT ''`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN full_name SET DEFAULT ''`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN favorite_pokemon SET DEFAULT ''`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN first_name SET DEFAULT ''`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN last_name SET DEFAULT ''`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN bio SET DEFAULT ''`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN social_url SET DEFAULT ''`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN avatar_mime SET DEFAULT ''`);
-
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN username SET NOT NULL`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN full_name SET NOT NULL`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN favorite_pokemon SET NOT NULL`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN first_name SET NOT NULL`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN last_name SET NOT NULL`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN bio SET NOT NULL`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN social_url SET NOT NULL`);
-    await pool.query(`ALTER TABLE profiles_v2 ALTER COLUMN avatar_mime SET NOT NULL`);
-
-    // Posts (legacy single media columns kept for backward compatibility)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS posts_v1 (
-        id BIGSERIAL PRIMARY KEY,
-        shop TEXT NOT NULL,
-        customer_id TEXT NOT NULL,
-        body TEXT NOT NULL DEFAULT '',
-        media_bytes BYTEA,
-        media_mime TEXT NOT NULL DEFAULT '',
-        bucket TEXT NOT NULL DEFAULT 'feed',
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
+function newBlobKey(prefix) {
+  return `${prefix}/${crypto.randomBytes(12).toString("hex")}`;
+}
 
-    // Ensure new bucket column exists if older table already created
-    await pool.query(
-      `ALTER TABLE posts_v1 ADD COLUMN IF NOT EXISTS bucket TEXT NOT NULL DEFAULT 'feed'`
-    );
+// Returns the column values for a new media row: { bytes, key } with exactly one of them set,
+// plus the content hash used as its ETag
+async function storeMediaBytes(prefix, bytes, mime) {
+  const hash = sha256Hex(bytes);
+  if (!blobStore) return { bytes, key: null, hash };
+  const key = newBlobKey(prefix);
+  await blobStore.put(key, bytes, mime);
+  return { bytes: null, key, hash };
+}
 
-    await pool.query(`ALTER TABLE posts_v1 ALTER COLUMN body SET DEFAULT ''`);
-    await pool.query(`ALTER TABLE posts_v1 ALTER COLUMN media_mime SET DEFAULT ''`);
-    await pool.query(`UPDATE posts_v1 SET body = '' WHERE body IS NULL`);
-    await pool.query(`UPDATE posts_v1 SET media_mime = '' WHERE media_mime IS NULL`);
-    await pool.query(
-      `UPDATE posts_v1 SET bucket = 'feed' WHERE bucket IS NULL OR bucket = ''`
-    );
-    await pool.query(`ALTER TABLE posts_v1 ALTER COLUMN body SET NOT NULL`);
-    await pool.query(`ALTER TABLE posts_v1 ALTER COLUMN media_mime SET NOT NULL`);
-    await pool.query(`ALTER TABLE posts_v1 ALTER COLUMN bucket SET NOT NULL`);
+async function loadMediaBytes(bytes, key) {
+  if (!key) return bytes || null;
+  if (!blobStore) throw new Error(`Media ${key} is in a blob store but BLOB_STORE is not configured`);
+  return blobStore.get(key);
+}
 
-    await pool.query(
-      `CREATE INDEX IF NOT EXISTS posts_v1_shop_bucket_created_idx ON posts_v1 (shop, bucket, created_at DESC, id DESC)`
-    );
-    await pool.query(
-      `CREATE INDEX IF NOT EXISTS posts_v1_customer_bucket_created_idx ON posts_v1 (customer_id, bucket, created_at DESC, id DESC)`
-    );
+// Best-effort: a failed delete only leaves an unreferenced blob behind
+async function deleteBlobs(keys) {
+  if (!blobStore) return;
+  for (const key of keys || []) {
+    if (!key) continue;
+    try {
+      await blobStore.delete(key);
+    } catch (e) {
+      console.error("blob delete error:", key, e);
+    }
+  }
+}
 
-    // Multi-media per post
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS post_media_v1 (
-        post_id BIGINT NOT NULL,
-        idx INT NOT NULL,
-        media_bytes BYTEA NOT NULL,
-        media_mime TEXT NOT NULL DEFAULT '',
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        PRIMARY KEY (post_id, idx)
-      );
-    `);
-    await pool.query(
-      `CREATE INDEX IF NOT EXISTS post_media_v1_post_idx ON post_media_v1 (post_id)`
-    );
+// Round-trips a small object through the configured store: put, get (same bytes), delete, get (gone)
+async function checkBlobStore({ log = console.log } = {}) {
+  if (!blobStore) throw new Error("BLOB_STORE is not set: media is kept in Postgres, nothing to check");
 
-    // Likes
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS likes_v1 (
-        shop TEXT NOT NULL,
-        post_id BIGINT NOT NULL,
-        customer_id TEXT NOT NULL,
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        PRIMARY KEY (post_id, customer_id)
-      );
-    `);
-    await pool.query(`CREATE INDEX IF NOT EXISTS likes_v1_post_idx ON likes_v1 (post_id)`);
-    await pool.query(
-      `CREATE INDEX IF NOT EXISTS likes_v1_customer_idx ON likes_v1 (customer_id)`
-    );
+  const key = newBlobKey("blob-check");
+  const bytes = crypto.randomBytes(64 * 1024);
+  log(`${blobStore.name}: put ${key}`);
+  await blobStore.put(key, bytes, "application/octet-stream");
 
-    // Comments
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS comments_v1 (
-        id BIGSERIAL PRIMARY KEY,
-        shop TEXT NOT NULL,
-        post_id BIGINT NOT NULL,
-        customer_id TEXT NOT NULL,
-        body TEXT NOT NULL DEFAULT '',
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
-    await pool.query(`ALTER TABLE comments_v1 ALTER COLUMN body SET DEFAULT ''`);
-    await pool.query(`UPDATE comments_v1 SET body = '' WHERE body IS NULL`);
-    await pool.query(`ALTER TABLE comments_v1 ALTER COLUMN body SET NOT NULL`);
-    await pool.query(
-      `CREATE INDEX IF NOT EXISTS comments_v1_post_created_idx ON comments_v1 (post_id, created_at ASC)`
-    );
+  const back = await blobStore.get(key);
+  if (!back || !back.equals(bytes)) throw new Error(`get ${key} returned different bytes`);
+  log(`${blobStore.name}: get ok (${back.length} bytes)`);
 
-    // Follows
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS follows_v1 (
-        follower_id TEXT NOT NULL,
-        followed_id TEXT NOT NULL,
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        PRIMARY KEY (follower_id, followed_id)
-      );
-    `);
-    await pool.query(
-      `CREATE INDEX IF NOT EXISTS follows_v1_followed_idx ON follows_v1 (followed_id, created_at DESC)`
-    );
-    await pool.query(
-      `CREATE INDEX IF NOT EXISTS follows_v1_follower_idx ON follows_v1 (follower_id, created_at DESC)`
-    );
+  await blobStore.delete(key);
+  if ((await blobStore.get(key)) !== null) throw new Error(`${key} still exists after delete`);
+  log(`${blobStore.name}: delete ok`);
+}
 
-    // Direct messages + media
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS messages_v1 (
-        id BIGSERIAL PRIMARY KEY,
-        shop TEXT NOT NULL,
-        sender_id TEXT NOT NULL,
-        receiver_id TEXT NOT NULL,
-        body TEXT NOT NULL DEFAULT '',
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
-    await pool.query(`ALTER TABLE messages_v1 ALTER COLUMN body SET DEFAULT ''`);
-    await pool.query(`UPDATE messages_v1 SET body = '' WHERE body IS NULL`);
-    await pool.query(`ALTER TABLE messages_v1 ALTER COLUMN body SET NOT NULL`);
-    await pool.query(
-      `CREATE INDEX IF NOT EXISTS messages_v1_pair_idx ON messages_v1 (sender_id, receiver_id, created_at DESC, id DESC)`
-    );
-    await pool.query(
-      `CREATE INDEX IF NOT EXISTS messages_v1_receiver_idx ON messages_v1 (receiver_id, created_at DESC, id DESC)`
-    );
+// Stores every item's bytes before its rows are inserted. All or nothing: if one put fails, the blobs
+// already written are deleted and the error is rethrown.
+async function storeMediaItems(prefix, items) {
+  const stored = [];
+  try {
+    for (const it of items) {
+      stored.push({ ...(await storeMediaBytes(prefix, it.bytes, it.mime)), mime: it.mime });
+    }
+  } catch (e) {
+    await deleteBlobs(stored.map((s) => s.key));
+    throw e;
+  }
+  return stored;
+}
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS message_media_v1 (
-        message_id BIGINT NOT NULL,
-        idx INT NOT NULL,
-        media_bytes BYTEA NOT NULL,
-        media_mime TEXT NOT NULL DEFAULT '',
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        PRIMARY KEY (message_id, idx)
-      );
-    `);
-    await pool.query(
-      `CREATE INDEX IF NOT EXISTS message_media_v1_msg_idx ON message_media_v1 (message_id)`
-    );
-  })().catch((err) => {
-    schemaInitPromise = null;
-    throw err;
+// All of a post's (or message's) media rows in a single INSERT; `table`/`refColumn` are never user input
+async function insertMediaRows(db, table, refColumn, refId, stored) {
+  if (!stored.length) return;
+  const params = [refId];
+  const rows = stored.map((s, i) => {
+    params.push(i, s.bytes, s.mime, s.key, s.hash);
+    const n = params.length;
+    return `($1,$${n - 4},$${n - 3},$${n - 2},$${n - 1},$${n})`;
   });
-
-  return schemaInitPromise;
+  await db.query(
+    `INSERT INTO ${table} (${refColumn}, idx, media_bytes, media_mime, storage_key, content_hash)
+     VALUES ${rows.join(",")}`,
+    params
+  );
 }
 
 /* ---------------------------
-   Shopify proxy verification
+   Transactions
 ---------------------------- */
 
-function buildProxyMessage(query) {
-  return Object.keys(query)
-    .sort()
-    .map((key) => {
-      const val = query[key];
-      const valueStr = Array.isArray(val) ? val.join(",") : String(val);
-      return `${key}=${valueStr}`;
-    })
-    .join("");
+// Runs fn(client) between BEGIN and COMMIT on one pooled connection; a throw rolls everything back
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
 }
 
-function verifyShopifyProxy(req) {
-  if (!SHOPIFY_API_SECRET) return false;
-
-  const query = { ...req.query };
-  const signature = typeof query.signature === "string" ? query.signature : "";
-  if (!signature) return false;
-
-  delete query.signature;
-
-  const message = buildProxyMessage(query);
-  const digest = crypto
-    .createHmac("sha256", SHOPIFY_API_SECRET)
-    .update(message)
-    .digest("hex");
-
-  const a = Buffer.from(digest, "utf8");
-  const b = Buffer.from(signature, "utf8");
-  return a.length === b.length && crypto.timingSafeEqual(a, b);
+// Ids are taken up front so blobs can be stored under their final prefix before the transaction opens
+async function reserveId(table) {
+  const r = await pool.query(`SELECT nextval(pg_get_serial_sequence($1, 'id')) AS id`, [table]);
+  return r.rows?.[0]?.id || null;
 }
 
 /* ---------------------------
-   Signed cookie session
+   Image variants (thumb / medium)
 ---------------------------- */
 
-const AUTH_COOKIE = "nd_auth";
+// Longest edge in px. Variants are WebP; originals are kept as uploaded for the lightbox.
+const MEDIA_VARIANT_SIZES = { thumb: 320, medium: 1080 };
+// GIFs are left alone so animations keep playing
+const VARIANT_SOURCE_MIMES = new Set(["image/png", "image/jpeg", "image/webp"]);
 
-function parseCookies(req) {
-  const header = String(req.headers.cookie || "");
-  const out = {};
-  header.split(";").forEach((part) => {
-    const i = part.indexOf("=");
-    if (i === -1) return;
-    const k = part.slice(0, i).trim();
-    const v = part.slice(i + 1).trim();
-    if (!k) return;
-    out[k] = decodeURIComponent(v);
-  });
-  return out;
+function normalizeMediaSize(x) {
+  const v = String(x || "").toLowerCase().trim();
+  return Object.hasOwn(MEDIA_VARIANT_SIZES, v) ? v : "";
 }
 
-function b64urlEncode(input) {
-  const buf = Buffer.isBuffer(input) ? input : Buffer.from(String(input), "utf8");
-  return buf
-    .toString("base64")
-    .replace(/=/g, "")
-    .replace(/\+/g, "-")
-    .replace(/\//g, "_");
+// [{ size, bytes, mime, width, height }]. A size is skipped when it wouldn't be smaller than the original;
+// decode errors are logged and give no variants (the original is served instead).
+async function generateImageVariants(bytes, mime) {
+  if (!VARIANT_SOURCE_MIMES.has(mime)) return [];
+  const out = [];
+  try {
+    for (const [size, edge] of Object.entries(MEDIA_VARIANT_SIZES)) {
+      const { data, info } = await sharp(bytes)
+        .rotate() // apply EXIF orientation before the tag is dropped
+        .resize({ width: edge, height: edge, fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      if (data.length >= bytes.length) continue;
+      out.push({ size, bytes: data, mime: "image/webp", width: info.width, height: info.height });
+    }
+  } catch (e) {
+    console.error("image variant error:", e);
+  }
+  return out;
 }
 
-function b64urlDecodeToString(s) {
-  const pad = s.length % 4 ? "=".repeat(4 - (s.length % 4)) : "";
-  const base64 = (s + pad).replace(/-/g, "+").replace(/_/g, "/");
-  return Buffer.from(base64, "base64").toString("utf8");
+// Side effect of an upload: failures are logged, the original is still served
+async function saveMediaVariants({ kind, refId, idx = 0, bytes, mime }) {
+  if (!pool) return;
+  try {
+    for (const v of await generateImageVariants(bytes, mime)) {
+      const stored = await storeMediaBytes(`variants/${kind}/${refId}`, v.bytes, v.mime);
+      await pool.query(
+        `INSERT INTO media_variants_v1
+           (kind, ref_id, idx, size, media_bytes, media_mime, storage_key, content_hash, width, height)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+        [kind, String(refId), idx, v.size, stored.bytes, v.mime, stored.key, stored.hash, v.width, v.height]
+      );
+    }
+  } catch (e) {
+    console.error("save variants error:", e);
+  }
 }
 
-function signSession(payloadObj) {
-  const json = JSON.stringify(payloadObj);
-  const data = b64urlEncode(json);
-  const mac = crypto.createHmac("sha256", SHOPIFY_API_SECRET).update(data).digest("hex");
-  return `${data}.${mac}`;
+async function deleteMediaVariants({ kind, refId }) {
+  if (!pool) return;
+  const r = await pool.query(
+    `DELETE FROM media_variants_v1 WHERE kind=$1 AND ref_id=$2 RETURNING storage_key`,
+    [kind, String(refId)]
+  );
+  await deleteBlobs((r.rows || []).map((row) => row.storage_key));
 }
 
-function verifySession(token) {
-  if (!SHOPIFY_API_SECRET) return null;
-  if (!token || typeof token !== "string") return null;
-  const parts = token.split(".");
-  if (parts.length !== 2) return null;
-
-  const [data, mac] = parts;
-  const expected = crypto.createHmac("sha256", SHOPIFY_API_SECRET).update(data).digest("hex");
+/* ---------------------------
+   Photo metadata stripping (EXIF/GPS)
+---------------------------- */
 
-  const a = Buffer.from(expected, "utf8");
-  const b = Buffer.from(mac, "utf8");
-  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+// Lossless: metadata containers are dropped without touching the compressed image data. The EXIF
+// orientation is the one value carried over, as a minimal EXIF block, so photos still display upright.
+const EXIF_HEADER = Buffer.from("Exif\0\0", "latin1");
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_METADATA_CHUNKS = new Set(["eXIf", "tEXt", "zTXt", "iTXt", "tIME"]);
+
+// Orientation (1-8) from a TIFF-structured EXIF block, 0 when absent or unreadable
+function readExifOrientation(tiff) {
+  if (!tiff || tiff.length < 8) return 0;
+  const order = tiff.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") return 0;
+  const le = order === "II";
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) return 0;
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) return 0;
+    if (u16(entry) === 0x0112) {
+      const v = u16(entry + 8);
+      return v >= 1 && v <= 8 ? v : 0;
+    }
+  }
+  return 0;
+}
 
-  try {
-    const json = b64urlDecodeToString(data);
-    const obj = JSON.parse(json);
-    if (!obj || typeof obj !== "object") return null;
+// Big-endian TIFF holding a single IFD0 entry: Orientation (SHORT)
+function minimalExifTiff(orientation) {
+  const b = Buffer.alloc(26);
+  b.write("MM", 0, "latin1");
+  b.writeUInt16BE(42, 2);
+  b.writeUInt32BE(8, 4); // IFD0 offset
+  b.writeUInt16BE(1, 8); // entry count
+  b.writeUInt16BE(0x0112, 10);
+  b.writeUInt16BE(3, 12); // SHORT
+  b.writeUInt32BE(1, 14);
+  b.writeUInt16BE(orientation, 18);
+  b.writeUInt32BE(0, 22); // no next IFD
+  return b;
+}
 
-    if (typeof obj.customer_id !== "string" || !obj.customer_id) return null;
-    if (typeof obj.shop !== "string" || !obj.shop) return null;
-    if (typeof obj.path_prefix !== "string" || !obj.path_prefix) return null;
+// Keeps JFIF (APP0), ICC profiles (APP2) and Adobe color info (APP14); drops the other APPn + comments
+function stripJpegMetadata(buf) {
+  if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) throw new Error("Not a JPEG");
+
+  const kept = [buf.subarray(0, 2)];
+  let exifAt = 1;
+  let orientation = 0;
+  let pos = 2;
+  let sawScan = false;
+
+  while (pos + 1 < buf.length) {
+    if (buf[pos] !== 0xff) throw new Error("Bad JPEG marker");
+    const marker = buf[pos + 1];
+    if (marker === 0xff) {
+      pos++; // fill byte
+      continue;
+    }
+    // Start of scan: the rest is entropy-coded data, copied as is
+    if (marker === 0xda) {
+      kept.push(buf.subarray(pos));
+      sawScan = true;
+      break;
+    }
+    if (pos + 4 > buf.length) throw new Error("Truncated JPEG");
+    const end = pos + 2 + buf.readUInt16BE(pos + 2);
+    if (end > buf.length || end < pos + 4) throw new Error("Truncated JPEG");
+    const data = buf.subarray(pos + 4, end);
+
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const keep =
+      (!isApp && marker !== 0xfe) ||
+      marker === 0xe0 ||
+      marker === 0xee ||
+      (marker === 0xe2 && data.toString("latin1", 0, 12) === "ICC_PROFILE\0");
+
+    if (marker === 0xe1 && data.subarray(0, 6).equals(EXIF_HEADER)) {
+      orientation = orientation || readExifOrientation(data.subarray(6));
+    }
+    if (keep) {
+      kept.push(buf.subarray(pos, end));
+      if (marker === 0xe0 && kept.length === 2) exifAt = 2; // JFIF must stay first
+    }
+    pos = end;
+  }
+  if (!sawScan) throw new Error("Truncated JPEG");
 
-    if (obj.exp && Date.now() > Number(obj.exp)) return null;
-    return obj;
-  } catch {
-    return null;
+  if (orientation > 1) {
+    const tiff = minimalExifTiff(orientation);
+    const head = Buffer.from([0xff, 0xe1, 0, 0]);
+    head.writeUInt16BE(2 + EXIF_HEADER.length + tiff.length, 2);
+    kept.splice(exifAt, 0, head, EXIF_HEADER, tiff);
   }
+  return Buffer.concat(kept);
 }
 
-function setAuthCookie(res, payload) {
-  const exp = Date.now() + 7 * 24 * 60 * 60 * 1000;
+function pngChunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(typeAndData));
+  return Buffer.concat([len, typeAndData, crc]);
+}
 
-  const token = signSession({
-    customer_id: payload.customer_id,
-    shop: payload.shop,
-    path_prefix: payload.path_prefix,
-    exp,
-  });
+function stripPngMetadata(buf) {
+  if (buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error("Not a PNG");
+
+  const kept = [PNG_SIGNATURE];
+  let orientation = 0;
+  let pos = 8;
+  let sawEnd = false;
+
+  while (pos + 12 <= buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString("latin1", pos + 4, pos + 8);
+    const end = pos + 12 + len;
+    if (end > buf.length) throw new Error("Truncated PNG");
+    if (kept.length === 1 && type !== "IHDR") throw new Error("PNG must start with IHDR");
+
+    if (type === "eXIf") orientation = readExifOrientation(buf.subarray(pos + 8, pos + 8 + len)) || orientation;
+    if (!PNG_METADATA_CHUNKS.has(type)) kept.push(buf.subarray(pos, end));
+    pos = end;
+    if (type === "IEND") {
+      sawEnd = true;
+      break;
+    }
+  }
+  if (!sawEnd) throw new Error("Truncated PNG");
 
-  const parts = [];
-  parts.push(`${AUTH_COOKIE}=${encodeURIComponent(token)}`);
-  parts.push("Path=/proxy");
-  parts.push("HttpOnly");
-  parts.push("SameSite=Lax");
-  parts.push("Secure");
-  parts.push(`Max-Age=${7 * 24 * 60 * 60}`);
+  // eXIf has to come before the image data; right after IHDR is always valid
+  if (orientation > 1) kept.splice(2, 0, pngChunk("eXIf", minimalExifTiff(orientation)));
+  return Buffer.concat(kept);
+}
 
-  res.setHeader("Set-Cookie", parts.join("; "));
+function riffChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.write(type, 0, "latin1");
+  head.writeUInt32LE(data.length, 4);
+  return Buffer.concat(data.length % 2 ? [head, data, Buffer.alloc(1)] : [head, data]);
 }
 
-/* ---------------------------
-   Helpers
----------------------------- */
+function stripWebpMetadata(buf) {
+  if (buf.length < 12 || buf.toString("latin1", 0, 4) !== "RIFF" || buf.toString("latin1", 8, 12) !== "WEBP") {
+    throw new Error("Not a WebP");
+  }
 
-function basePathFromReq(req) {
-  const p = typeof req.query.path_prefix === "string" ? req.query.path_prefix : "";
-  if (p && p.startsWith("/")) return p;
+  const kept = [];
+  let orientation = 0;
+  let pos = 12;
+  while (pos + 8 <= buf.length) {
+    const type = buf.toString("latin1", pos, pos + 4);
+    const len = buf.readUInt32LE(pos + 4);
+    if (pos + 8 + len > buf.length) throw new Error("Truncated WebP");
+    const end = Math.min(buf.length, pos + 8 + len + (len % 2));
+    const data = buf.subarray(pos + 8, pos + 8 + len);
+
+    if (type === "EXIF") {
+      const tiff = data.subarray(0, 6).equals(EXIF_HEADER) ? data.subarray(6) : data;
+      orientation = readExifOrientation(tiff) || orientation;
+    } else if (type !== "XMP ") {
+      kept.push({ type, chunk: buf.subarray(pos, end) });
+    }
+    pos = end;
+  }
+  if (kept.length === 0) throw new Error("Truncated WebP");
+
+  // Only extended (VP8X) files can carry EXIF; its flags byte says which optional chunks exist
+  const vp8x = kept.find((c) => c.type === "VP8X");
+  const extra = [];
+  if (vp8x) {
+    const copy = Buffer.from(vp8x.chunk);
+    copy[8] &= ~(0x08 | 0x04); // EXIF, XMP
+    if (orientation > 1) {
+      copy[8] |= 0x08;
+      extra.push(riffChunk("EXIF", minimalExifTiff(orientation)));
+    }
+    vp8x.chunk = copy;
+  }
 
-  const cookies = parseCookies(req);
-  const session = verifySession(cookies[AUTH_COOKIE]);
-  const sp = session?.path_prefix || "";
-  if (sp && sp.startsWith("/")) return sp;
+  const body = Buffer.concat([...kept.map((c) => c.chunk), ...extra]);
+  const head = Buffer.alloc(12);
+  head.write("RIFF", 0, "latin1");
+  head.writeUInt32LE(4 + body.length, 4);
+  head.write("WEBP", 8, "latin1");
+  return Buffer.concat([head, body]);
+}
 
-  return "/apps/nuggetdepot";
+// Throws when the bytes don't parse as `mime`; other types (GIF, video, ...) are returned unchanged
+function stripImageMetadata(bytes, mime) {
+  if (mime === "image/jpeg") return stripJpegMetadata(bytes);
+  if (mime === "image/png") return stripPngMetadata(bytes);
+  if (mime === "image/webp") return stripWebpMetadata(bytes);
+  return bytes;
 }
 
-function getViewerCustomerId(req) {
-  const q =
-    typeof req.query.logged_in_customer_id === "string" ? req.query.logged_in_customer_id : "";
-  if (q) return q;
+// Upload side: null means "reject this file"
+function scrubUploadedImage(bytes, mime) {
+  try {
+    return stripImageMetadata(bytes, mime);
+  } catch (e) {
+    console.error("image metadata strip error:", mime, e.message);
+    return null;
+  }
+}
 
-  const cookies = parseCookies(req);
-  const session = verifySession(cookies[AUTH_COOKIE]);
-  return session?.customer_id || "";
+// Same shape as the other media getters ({ media_mime, content_hash, load() }), or null
+async function getMediaVariant({ kind, refId, idx = 0, size }) {
+  if (!pool || !size) return null;
+  const r = await pool.query(
+    `SELECT media_mime, storage_key, content_hash FROM media_variants_v1
+     WHERE kind=$1 AND ref_id=$2 AND idx=$3 AND size=$4`,
+    [kind, String(refId), idx, size]
+  );
+  const row = r.rows?.[0];
+  if (!row?.media_mime) return null;
+  return {
+    media_mime: row.media_mime,
+    content_hash: row.content_hash || "",
+    load: async () => {
+      if (row.storage_key) return loadMediaBytes(null, row.storage_key);
+      const b = await pool.query(
+        `SELECT media_bytes FROM media_variants_v1 WHERE kind=$1 AND ref_id=$2 AND idx=$3 AND size=$4`,
+        [kind, String(refId), idx, size]
+      );
+      return b.rows?.[0]?.media_bytes || null;
+    },
+  };
 }
 
-function getShop(req) {
-  const q = typeof req.query.shop === "string" ? req.query.shop : "";
-  if (q) return q;
+const GOLD_NUGGET_LOGO_URL =
+  "https://cdn.shopify.com/s/files/1/0681/6589/4299/files/LOGO_w_TEXT_-_Gold_Nugget_467d90fd-4797-4d4f-9ddc-f86b47c98edf.png?v=1748970231";
 
-  const cookies = parseCookies(req);
-  const session = verifySession(cookies[AUTH_COOKIE]);
-  return session?.shop || "";
-}
+/* ---------------------------
+   Login helper (Shopify)
+---------------------------- */
 
-function escapeHtml(s) {
-  return String(s || "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
-}
+const LOGIN_RETURN_URL = "https://www.goldnuggetcards.com/";
 
-function cleanText(input, max = 80) {
-  return String(input || "").trim().slice(0, max);
+// Shopify login link that returns to site home after auth
+function shopifyLoginHref() {
+  return `/account/login?return_url=${encodeURIComponent(LOGIN_RETURN_URL)}`;
 }
-function cleanMultiline(input, max = 400) {
-  return String(input || "").replace(/\r\n/g, "\n").trim().slice(0, max);
+
+// Signing out of the storefront too; otherwise the next signed proxy request starts a fresh session
+function shopifyLogoutHref() {
+  return "/account/logout";
 }
-function initialsFor(first, last) {
-  const a = (first || "").trim().slice(0, 1).toUpperCase();
-  const b = (last || "").trim().slice(0, 1).toUpperCase();
-  const x = `${a}${b}`.trim();
-  return x || "GN";
+
+/* ---------------------------
+   Uploaders (multi-media)
+---------------------------- */
+
+const uploadAvatar = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+});
+
+const uploadPostMedia = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 15 * 1024 * 1024 }, // 15MB PER FILE
+});
+
+// DM: one optional file per message (10MB)
+const uploadMessageMedia = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+});
+
+const MAX_MEDIA_FILES = 8;
+
+function normalizeBucket(x) {
+  const v = String(x || "").toLowerCase().trim();
+  if (v === "collection" || v === "collections") return "collection";
+  if (v === "trade" || v === "trades") return "trades";
+  return "feed";
 }
-function svgAvatar(initials) {
-  const safe = String(initials || "GN").replace(/[^A-Z0-9]/g, "").slice(0, 2) || "GN";
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="240" height="240" viewBox="0 0 240 240">
-  <rect width="240" height="240" rx="32" fill="#f2f2f2"/>
-  <text x="50%" y="54%" text-anchor="middle" dominant-baseline="middle"
-        font-family="system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif"
-        font-size="84" fill="#111">${safe}</text>
-</svg>`;
+
+// Feed page tabs: the three buckets plus the "following" timeline
+function normalizeTab(x) {
+  const v = String(x || "").toLowerCase().trim();
+  if (v === "following") return "following";
+  return normalizeBucket(v);
 }
-function safeHandle(username) {
-  const u = String(username || "").trim();
-  if (!u) return "";
-  return u.startsWith("@") ? u : `@${u}`;
+
+const TRADE_STATUSES = ["open", "pending", "completed"];
+const MAX_TRADE_CARDS = 30;
+
+function normalizeTradeStatus(x) {
+  const v = String(x || "").toLowerCase().trim();
+  return TRADE_STATUSES.includes(v) ? v : "";
 }
 
-function allowedMediaMime(m) {
-  const allowed = new Set([
-    "image/png",
-    "image/jpeg",
-    "image/webp",
-    "image/gif",
-    "video/mp4",
-    "video/webm",
-    "video/quicktime",
-  ]);
-  return allowed.has(String(m || "").toLowerCase());
-}
-
-function allowedMessageMime(m) {
-  const allowed = new Set([
-    "image/png",
-    "image/jpeg",
-    "image/webp",
-    "image/gif",
-    "video/mp4",
-    "video/webm",
-    "video/quicktime",
-    "application/pdf",
-  ]);
-  return allowed.has(String(m || "").toLowerCase());
+function tradeStatusLabel(status) {
+  if (status === "pending") return "Pending";
+  if (status === "completed") return "Completed";
+  return "Open";
 }
 
-function isVideoMime(m) {
-  return String(m || "").toLowerCase().startsWith("video/");
+// One card per line (commas also split), trimmed, de-duplicated, capped
+function parseCardList(input) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of String(input || "").split(/[\r\n,]+/)) {
+    const card = raw.trim().slice(0, 80);
+    const key = card.toLowerCase();
+    if (!card || seen.has(key)) continue;
+    seen.add(key);
+    out.push(card);
+    if (out.length >= MAX_TRADE_CARDS) break;
+  }
+  return out;
 }
 
-/* ---------------------------
-   Pagination cursor
----------------------------- */
+// #tag: not preceded by a word char, "&" or "/" so URL fragments and entities stay plain text
+const HASHTAG_RE = /(?<![\p{L}\p{N}_&/#])#([\p{L}\p{N}_]{1,50})(?![\p{L}\p{N}_])/gu;
+// @handle: username charset; not preceded by a word char, "." or "/" so emails stay plain text
+const MENTION_RE = /(?<![\p{L}\p{N}_@./])@([A-Za-z0-9_]{3,30})(?![A-Za-z0-9_])/gu;
+const RICH_TOKEN_RE = new RegExp(`${HASHTAG_RE.source}|${MENTION_RE.source}`, "gu");
+const MAX_TAGS_PER_TEXT = 10;
 
-function encodeCursor(createdAt, id) {
-  if (!createdAt || !id) return "";
-  return b64urlEncode(`${new Date(createdAt).toISOString()}|${id}`);
+function normalizeTag(x) {
+  const v = String(x || "").trim().replace(/^#/, "").toLowerCase();
+  return /^[\p{L}\p{N}_]{1,50}$/u.test(v) ? v : "";
 }
 
-function decodeCursor(cursor) {
-  if (!cursor) return null;
-  try {
-    const raw = b64urlDecodeToString(String(cursor));
-    const [iso, idStr] = raw.split("|");
-    const t = new Date(iso);
-    const id = Number(idStr);
-    if (!Number.isFinite(id) || isNaN(t.getTime())) return null;
-    return { createdAt: t.toISOString(), id };
-  } catch {
-    return null;
+function uniqueMatches(text, re) {
+  const out = [];
+  for (const m of String(text || "").matchAll(re)) {
+    const v = m[1].toLowerCase();
+    if (!out.includes(v)) out.push(v);
+    if (out.length >= MAX_TAGS_PER_TEXT) break;
   }
+  return out;
 }
 
-/* ---------------------------
-   Page renderer
----------------------------- */
+function parseHashtags(text) {
+  return uniqueMatches(text, HASHTAG_RE);
+}
 
-function page(bodyHtml, reqForBase) {
-  const base = basePathFromReq(reqForBase);
+function parseMentions(text) {
+  return uniqueMatches(text, MENTION_RE);
+}
 
-  return `<!doctype html>
-<html>
-  <head>
-    <meta charset="utf-8" />
-    <meta name="viewport" content="width=device-width,initial-scale=1" />
-    <title>Nugget Depot</title>
-    <style>
-      body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;margin:24px;line-height:1.35;font-size:16px}
-      a{color:inherit}
-      .nav a{margin-right:12px}
-      .card{border:1px solid #ddd;border-radius:12px;padding:16px;max-width:none;width:100%}
-      code{background:#f5f5f5;padding:2px 6px;border-radius:6px}
-      .muted{opacity:.75}
-      .btn{display:inline-block;margin-top:12px;padding:10px 12px;border:1px solid #ddd;border-radius:10px;text-decoration:none;background:white;cursor:pointer}
-      input, textarea{padding:10px 12px;border:1px solid #ddd;border-radius:10px;width:100%;max-width:720px;font:inherit}
-      textarea{min-height:160px;resize:vertical}
-      label{display:block;margin-top:12px;margin-bottom:6px}
-      .error{color:#b00020}
-      hr{border:none;border-top:1px solid #eee;margin:12px 0}
-      .row{display:flex;gap:10px;flex-wrap:wrap;align-items:center}
+const REPORT_TYPES = ["post", "comment", "message", "profile"];
+const REPORT_REASONS = [
+  ["spam", "Spam"],
+  ["scam", "Scam or fraud"],
+  ["harassment", "Harassment or abuse"],
+  ["inappropriate", "Inappropriate content"],
+  ["other", "Other"],
+];
 
-      .profileTop{display:flex;flex-direction:column;align-items:center;justify-content:flex-start;gap:14px}
-      .avatarWrap{width:100%;display:flex;flex-direction:column;align-items:center;margin-top:6px}
-      .avatarBox{position:relative;width:120px;height:120px}
-      .avatar{width:120px;height:120px;border-radius:16px;object-fit:cover;aspect-ratio:1/1;border:1px solid #ddd;background:#fafafa;display:block}
-      .avatarEdit{position:absolute;right:-8px;bottom:-8px;width:34px;height:34px;border-radius:10px;border:1px solid #ddd;background:#fff;display:flex;align-items:center;justify-content:center;cursor:pointer;box-shadow:0 2px 10px rgba(0,0,0,.06);text-decoration:none}
-      .fileInput{position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0}
-      .nameUnder{margin-top:10px;font-weight:800}
-      .handleUnder{margin-top:4px}
-      .small{font-size:13px}
-      .stack{width:100%;max-width:none}
-      .help{margin-top:6px}
+function normalizeReportType(x) {
+  const v = String(x || "").toLowerCase().trim();
+  return REPORT_TYPES.includes(v) ? v : "";
+}
 
-      .brandBar{
-        width:100%;
-        max-width:none;
-        display:flex;
-        justify-content:center;
-        align-items:center;
-        margin:0 0 12px 0;
-      }
-      .brandLogo{
-        max-width:160px;
-        width:100%;
-        height:auto;
-        display:block;
-      }
+function reportReasonLabel(reason) {
+  const hit = REPORT_REASONS.find(([k]) => k === reason);
+  return hit ? hit[1] : "Other";
+}
 
-      .composer{
-        width:100%;
-        max-width:none;
-        border:1px solid #eee;
-        border-radius:12px;
-        padding:12px;
-        margin-top:14px;
-        background:#fff;
-      }
-      .composerTop{display:flex;gap:10px;align-items:center;flex-wrap:wrap}
-      .composerFake{
-        flex:1;
-        min-width:220px;
-        border:1px solid #ddd;
-        border-radius:10px;
-        padding:10px 12px;
-        text-decoration:none;
-        background:#fafafa;
-      }
-      .iconBtn{
-        border:1px solid #ddd;
-        border-radius:10px;
-        width:44px;
-        height:44px;
-        display:flex;
-        align-items:center;
-        justify-content:center;
-        text-decoration:none;
-        background:#fff;
-      }
+const SUSPENSION_DURATIONS = [
+  ["1", "1 day"],
+  ["7", "7 days"],
+  ["30", "30 days"],
+  ["permanent", "Permanent"],
+];
+
+// null = permanent; unknown values fall back to 7 days
+function suspensionUntil(duration) {
+  const v = String(duration || "");
+  if (v === "permanent") return null;
+  const days = ["1", "7", "30"].includes(v) ? Number(v) : 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
 
-      .tabsRow{
-        display:flex;
-        gap:10px;
-        flex-wrap:wrap;
-        margin-top:12px;
-      }
-      .tabBtn{
-        border:1px solid #ddd;
-        border-radius:999px;
-        padding:10px 14px;
-        text-decoration:none;
-        background:#fff;
-        font-weight:700;
-      }
-      .tabBtn.active{
-        border-color:#111;
-      }
+function isSuspensionActive(row) {
+  if (!row?.suspended_at) return false;
+  return !row.suspended_until || new Date(row.suspended_until) > new Date();
+}
 
-      .collectionsRow{
-        width:100%;
-        max-width:720px;
-        margin-top:12px;
-        display:grid;
-        grid-template-columns: 1fr 1fr;
-        gap:10px;
-      }
-      .collectionCard{
-        border:1px solid #eee;
-        border-radius:12px;
-        padding:14px;
-        text-decoration:none;
-        background:#fff;
-        display:flex;
-        align-items:center;
-        justify-content:space-between;
-        gap:10px;
-      }
-      .collectionTitle{font-weight:800}
-      .chev{opacity:.65}
+function isModerator(customerId) {
+  return !!customerId && MODERATOR_IDS.has(String(customerId));
+}
 
-      .postList{width:100%;max-width:none;margin-top:14px}
-      .postItem{border:1px solid #eee;border-radius:12px;padding:12px;margin-top:10px;background:#fff}
+function bucketLabel(bucket) {
+  if (bucket === "collection") return "Collections";
+  if (bucket === "trades") return "Trades";
+  return "Feed";
+}
 
-      .postHeader{
-        display:flex;
-        justify-content:space-between;
-        gap:10px;
-        flex-wrap:wrap;
-        align-items:flex-start
-      }
-      .postAuthorRow{
-        display:flex;
-        align-items:center;
-        gap:10px;
-      }
-      .postAuthorAvatar{
-        width:45px;
-        height:45px;
-        border-radius:14px;
-        object-fit:cover;
-        border:1px solid #eee;
-        background:#fafafa;
-        flex:0 0 auto;
-      }
-      .postAuthor{font-weight:800}
-      .postMetaRight{display:flex;gap:10px;align-items:center}
+/* ---------------------------
+   Schema migrations
+---------------------------- */
 
-      /* MEDIA: make it as large as possible within the viewport */
-      .mediaGrid{
-        width:100%;
-        display:grid;
-        grid-template-columns: 1fr;
-        gap:10px;
-        margin-top:10px;
-      }
-      .mediaTile{
-        width:100%;
-        border-radius:12px;
-        border:1px solid #eee;
-        background:#fafafa;
-        overflow:hidden;
-        cursor:pointer;
-        position:relative;
-      }
-      .mediaTile img, .mediaTile video{
-        display:block;
-        width:100%;
-        height:auto;
-        max-height:70vh;
-        object-fit:contain;
-        aspect-ratio:auto;
-      }
-      .mediaTile video{object-fit:contain}
-      .mediaBadge{
-        position:absolute;
-        right:8px;
-        top:8px;
-        background:rgba(0,0,0,.65);
-        color:#fff;
-        border-radius:999px;
-        padding:4px 8px;
-        font-size:12px;
-        font-weight:700;
-      }
+// Numbered, append-only. Each step is a SQL string or { name, run(db) } for work SQL can't express.
+// Never edit a migration once it has shipped: add a new one (applied checksums are verified).
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "baseline",
+    // The schema ensureSchema() used to build on first request. Every statement is idempotent, so
+    // databases created that way adopt it as-is.
+    up: [
+      // Profiles
+      `
+        CREATE TABLE IF NOT EXISTS profiles_v2 (
+          customer_id TEXT PRIMARY KEY,
+          shop TEXT NOT NULL,
+          username TEXT NOT NULL DEFAULT '',
+          full_name TEXT NOT NULL DEFAULT '',
+          dob DATE,
+          favorite_pokemon TEXT NOT NULL DEFAULT '',
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `,
 
-      .actions{display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin-top:10px}
-      .actionBtn{
-        border:1px solid #ddd;
-        border-radius:10px;
-        padding:10px 12px;
-        background:#fff;
-        cursor:pointer;
-        display:inline-flex;
-        align-items:center;
-        gap:8px;
-        font-weight:800;
-        line-height:1;
-      }
-      .actionBtn.liked{border-color:#111}
-      .heartIcon{
-        font-size:18px;
-        line-height:1;
-        display:inline-block;
-      }
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS first_name TEXT NOT NULL DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS last_name TEXT NOT NULL DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS bio TEXT NOT NULL DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS social_url TEXT NOT NULL DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS avatar_bytes BYTEA`,
+      // Set when the avatar lives in the blob store (avatar_bytes is then NULL)
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS avatar_key TEXT`,
+      // sha256 of the avatar bytes (ETag); NULL for avatars uploaded before it existed
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS avatar_hash TEXT`,
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS username_changed_at TIMESTAMPTZ`,
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS avatar_mime TEXT NOT NULL DEFAULT ''`,
+
+      // Backfill NULLs
+      `UPDATE profiles_v2 SET username = '' WHERE username IS NULL`,
+      `UPDATE profiles_v2 SET full_name = '' WHERE full_name IS NULL`,
+      `UPDATE profiles_v2 SET favorite_pokemon = '' WHERE favorite_pokemon IS NULL`,
+      `UPDATE profiles_v2 SET first_name = '' WHERE first_name IS NULL`,
+      `UPDATE profiles_v2 SET last_name = '' WHERE last_name IS NULL`,
+      `UPDATE profiles_v2 SET bio = '' WHERE bio IS NULL`,
+      `UPDATE profiles_v2 SET social_url = '' WHERE social_url IS NULL`,
+      `UPDATE profiles_v2 SET avatar_mime = '' WHERE avatar_mime IS NULL`,
+
+      // Defaults + not null
+      `ALTER TABLE profiles_v2 ALTER COLUMN username SET DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN full_name SET DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN favorite_pokemon SET DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN first_name SET DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN last_name SET DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN bio SET DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN social_url SET DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN avatar_mime SET DEFAULT ''`,
+
+      `ALTER TABLE profiles_v2 ALTER COLUMN username SET NOT NULL`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN full_name SET NOT NULL`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN favorite_pokemon SET NOT NULL`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN first_name SET NOT NULL`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN last_name SET NOT NULL`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN bio SET NOT NULL`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN social_url SET NOT NULL`,
+      `ALTER TABLE profiles_v2 ALTER COLUMN avatar_mime SET NOT NULL`,
+
+      // Posts (legacy single media columns kept for backward compatibility)
+      `
+        CREATE TABLE IF NOT EXISTS posts_v1 (
+          id BIGSERIAL PRIMARY KEY,
+          shop TEXT NOT NULL,
+          customer_id TEXT NOT NULL,
+          body TEXT NOT NULL DEFAULT '',
+          media_bytes BYTEA,
+          media_mime TEXT NOT NULL DEFAULT '',
+          bucket TEXT NOT NULL DEFAULT 'feed',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `,
 
-      .commentBox{margin-top:10px}
-      .commentItem{border-top:1px solid #f0f0f0;padding-top:8px;margin-top:8px}
+      // Ensure new bucket column exists if older table already created
+      `ALTER TABLE posts_v1 ADD COLUMN IF NOT EXISTS bucket TEXT NOT NULL DEFAULT 'feed'`,
+      `ALTER TABLE posts_v1 ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ`,
+
+      `ALTER TABLE posts_v1 ALTER COLUMN body SET DEFAULT ''`,
+      `ALTER TABLE posts_v1 ALTER COLUMN media_mime SET DEFAULT ''`,
+      `UPDATE posts_v1 SET body = '' WHERE body IS NULL`,
+      `UPDATE posts_v1 SET media_mime = '' WHERE media_mime IS NULL`,
+      `UPDATE posts_v1 SET bucket = 'feed' WHERE bucket IS NULL OR bucket = ''`,
+      `ALTER TABLE posts_v1 ALTER COLUMN body SET NOT NULL`,
+      `ALTER TABLE posts_v1 ALTER COLUMN media_mime SET NOT NULL`,
+      `ALTER TABLE posts_v1 ALTER COLUMN bucket SET NOT NULL`,
+
+      `CREATE INDEX IF NOT EXISTS posts_v1_shop_bucket_created_idx ON posts_v1 (shop, bucket, created_at DESC, id DESC)`,
+      `CREATE INDEX IF NOT EXISTS posts_v1_customer_bucket_created_idx ON posts_v1 (customer_id, bucket, created_at DESC, id DESC)`,
+      // Following timeline walks each followee's posts newest-first (any bucket)
+      `CREATE INDEX IF NOT EXISTS posts_v1_customer_created_idx ON posts_v1 (customer_id, created_at DESC, id DESC)`,
+
+      // Multi-media per post
+      `
+        CREATE TABLE IF NOT EXISTS post_media_v1 (
+          post_id BIGINT NOT NULL,
+          idx INT NOT NULL,
+          media_bytes BYTEA NOT NULL,
+          media_mime TEXT NOT NULL DEFAULT '',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (post_id, idx)
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS post_media_v1_post_idx ON post_media_v1 (post_id)`,
+      // Blob-store rows keep storage_key and leave media_bytes NULL
+      `ALTER TABLE post_media_v1 ADD COLUMN IF NOT EXISTS storage_key TEXT`,
+      `ALTER TABLE post_media_v1 ALTER COLUMN media_bytes DROP NOT NULL`,
+      `ALTER TABLE post_media_v1 ADD COLUMN IF NOT EXISTS content_hash TEXT`,
 
-      .commentRow{
-        display:flex;
-        gap:10px;
-        align-items:flex-start;
-      }
-      .commentAvatar{
-        width:45px;
-        height:45px;
-        border-radius:14px;
-        object-fit:cover;
-        border:1px solid #eee;
-        background:#fafafa;
-        flex:0 0 auto;
-        margin-top:1px;
+      // Likes
+      `
+        CREATE TABLE IF NOT EXISTS likes_v1 (
+          shop TEXT NOT NULL,
+          post_id BIGINT NOT NULL,
+          customer_id TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (post_id, customer_id)
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS likes_v1_post_idx ON likes_v1 (post_id)`,
+      `CREATE INDEX IF NOT EXISTS likes_v1_customer_idx ON likes_v1 (customer_id)`,
+
+      // Comments
+      `
+        CREATE TABLE IF NOT EXISTS comments_v1 (
+          id BIGSERIAL PRIMARY KEY,
+          shop TEXT NOT NULL,
+          post_id BIGINT NOT NULL,
+          customer_id TEXT NOT NULL,
+          body TEXT NOT NULL DEFAULT '',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `,
+      `ALTER TABLE comments_v1 ALTER COLUMN body SET DEFAULT ''`,
+      `UPDATE comments_v1 SET body = '' WHERE body IS NULL`,
+      `ALTER TABLE comments_v1 ALTER COLUMN body SET NOT NULL`,
+      `CREATE INDEX IF NOT EXISTS comments_v1_post_created_idx ON comments_v1 (post_id, created_at ASC)`,
+      // One level of replies: parent_id points at a top-level comment on the same post
+      `ALTER TABLE comments_v1 ADD COLUMN IF NOT EXISTS parent_id BIGINT`,
+      `CREATE INDEX IF NOT EXISTS comments_v1_parent_created_idx ON comments_v1 (parent_id, created_at ASC, id ASC) WHERE parent_id IS NOT NULL`,
+
+      // Caption hashtags (created_at mirrors the post so tag pages can page on the index)
+      `
+        CREATE TABLE IF NOT EXISTS post_tags_v1 (
+          post_id BIGINT NOT NULL,
+          shop TEXT NOT NULL,
+          tag TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL,
+          PRIMARY KEY (post_id, tag)
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS post_tags_v1_tag_created_idx ON post_tags_v1 (shop, tag, created_at DESC, post_id DESC)`,
+
+      {
+        // Tags for captions written before tags were indexed (only while the table is empty)
+        name: "backfill post_tags_v1",
+        run: async (db) => {
+          const seeded = await db.query(`SELECT EXISTS (SELECT 1 FROM post_tags_v1) AS seeded`);
+          if (seeded.rows?.[0]?.seeded) return;
+          const old = await db.query(`SELECT id, shop, body, created_at FROM posts_v1 WHERE body LIKE '%#%'`);
+          for (const p of old.rows || []) {
+            const tags = parseHashtags(p.body);
+            if (!tags.length) continue;
+            await db.query(
+              `INSERT INTO post_tags_v1 (post_id, shop, tag, created_at)
+               SELECT $1, $2, t, $4 FROM unnest($3::text[]) AS t
+               ON CONFLICT DO NOTHING`,
+              [p.id, p.shop, tags, p.created_at]
+            );
+          }
+        },
+      },
+      // @mentions in captions (comment_id NULL) and comments
+      `
+        CREATE TABLE IF NOT EXISTS mentions_v1 (
+          id BIGSERIAL PRIMARY KEY,
+          shop TEXT NOT NULL,
+          post_id BIGINT NOT NULL,
+          comment_id BIGINT,
+          actor_id TEXT NOT NULL,
+          mentioned_id TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `,
+      `CREATE UNIQUE INDEX IF NOT EXISTS mentions_v1_source_idx ON mentions_v1 (post_id, COALESCE(comment_id, 0), mentioned_id)`,
+      `CREATE INDEX IF NOT EXISTS mentions_v1_mentioned_idx ON mentions_v1 (mentioned_id, created_at DESC)`,
+      // Usernames are unique per shop, ignoring case ('' = not set). Pre-existing duplicates: keep a plain
+      // index so lookups stay fast; claims still check first.
+      `
+        DO $$
+        BEGIN
+          CREATE UNIQUE INDEX IF NOT EXISTS profiles_v2_shop_username_uidx ON profiles_v2 (shop, lower(username)) WHERE username <> '';
+          DROP INDEX IF EXISTS profiles_v2_shop_username_idx;
+        EXCEPTION WHEN unique_violation THEN
+          RAISE WARNING 'username unique index skipped (duplicate usernames exist)';
+          CREATE INDEX IF NOT EXISTS profiles_v2_shop_username_idx ON profiles_v2 (shop, lower(username)) WHERE username <> '';
+        END
+        $$
+      `,
+      // Full-text search (expression indexes: search queries must use the exact same expressions)
+      `CREATE INDEX IF NOT EXISTS posts_v1_body_fts_idx ON posts_v1 USING GIN (to_tsvector('english', body))`,
+      `CREATE INDEX IF NOT EXISTS comments_v1_body_fts_idx ON comments_v1 USING GIN (to_tsvector('english', body))`,
+      `CREATE INDEX IF NOT EXISTS profiles_v2_name_fts_idx ON profiles_v2 USING GIN (to_tsvector('simple', username || ' ' || first_name || ' ' || last_name || ' ' || full_name))`,
+
+      // Follows
+      `
+        CREATE TABLE IF NOT EXISTS follows_v1 (
+          follower_id TEXT NOT NULL,
+          followed_id TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (follower_id, followed_id)
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS follows_v1_followed_idx ON follows_v1 (followed_id, created_at DESC)`,
+      `CREATE INDEX IF NOT EXISTS follows_v1_follower_idx ON follows_v1 (follower_id, created_at DESC)`,
+
+      // Direct messages + media
+      `
+        CREATE TABLE IF NOT EXISTS messages_v1 (
+          id BIGSERIAL PRIMARY KEY,
+          shop TEXT NOT NULL,
+          sender_id TEXT NOT NULL,
+          receiver_id TEXT NOT NULL,
+          body TEXT NOT NULL DEFAULT '',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `,
+      `ALTER TABLE messages_v1 ALTER COLUMN body SET DEFAULT ''`,
+      `UPDATE messages_v1 SET body = '' WHERE body IS NULL`,
+      `ALTER TABLE messages_v1 ALTER COLUMN body SET NOT NULL`,
+      `CREATE INDEX IF NOT EXISTS messages_v1_pair_idx ON messages_v1 (sender_id, receiver_id, created_at DESC, id DESC)`,
+      `CREATE INDEX IF NOT EXISTS messages_v1_receiver_idx ON messages_v1 (receiver_id, created_at DESC, id DESC)`,
+
+      `
+        CREATE TABLE IF NOT EXISTS message_media_v1 (
+          message_id BIGINT NOT NULL,
+          idx INT NOT NULL,
+          media_bytes BYTEA NOT NULL,
+          media_mime TEXT NOT NULL DEFAULT '',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (message_id, idx)
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS message_media_v1_msg_idx ON message_media_v1 (message_id)`,
+      `ALTER TABLE message_media_v1 ADD COLUMN IF NOT EXISTS storage_key TEXT`,
+      `ALTER TABLE message_media_v1 ALTER COLUMN media_bytes DROP NOT NULL`,
+      `ALTER TABLE message_media_v1 ADD COLUMN IF NOT EXISTS content_hash TEXT`,
+
+      // Resized copies of post photos (kind='post', ref_id=post id) and avatars (kind='avatar', ref_id=customer id)
+      `
+        CREATE TABLE IF NOT EXISTS media_variants_v1 (
+          kind TEXT NOT NULL,
+          ref_id TEXT NOT NULL,
+          idx INT NOT NULL DEFAULT 0,
+          size TEXT NOT NULL,
+          media_bytes BYTEA,
+          media_mime TEXT NOT NULL DEFAULT '',
+          storage_key TEXT,
+          content_hash TEXT,
+          width INT NOT NULL DEFAULT 0,
+          height INT NOT NULL DEFAULT 0,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (kind, ref_id, idx, size)
+        );
+      `,
+
+      // Structured trade listing (one per trades-bucket post)
+      `
+        CREATE TABLE IF NOT EXISTS trade_listings_v1 (
+          post_id BIGINT PRIMARY KEY,
+          have_cards TEXT[] NOT NULL DEFAULT '{}',
+          want_cards TEXT[] NOT NULL DEFAULT '{}',
+          status TEXT NOT NULL DEFAULT 'open',
+          status_updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS trade_listings_v1_status_idx ON trade_listings_v1 (status, post_id DESC)`,
+      // Trade posts created before listings existed start out open with empty lists
+      `
+        INSERT INTO trade_listings_v1 (post_id)
+               SELECT id FROM posts_v1 WHERE bucket = 'trades'
+               ON CONFLICT (post_id) DO NOTHING
+      `,
+
+      // Trade offers: root offer + counters share root_id (NULL on the root itself)
+      `
+        CREATE TABLE IF NOT EXISTS trade_offers_v1 (
+          id BIGSERIAL PRIMARY KEY,
+          shop TEXT NOT NULL,
+          post_id BIGINT NOT NULL,
+          from_id TEXT NOT NULL,
+          to_id TEXT NOT NULL,
+          cards TEXT[] NOT NULL DEFAULT '{}',
+          note TEXT NOT NULL DEFAULT '',
+          status TEXT NOT NULL DEFAULT 'pending',
+          parent_id BIGINT,
+          root_id BIGINT,
+          responded_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS trade_offers_v1_from_idx ON trade_offers_v1 (from_id, created_at DESC)`,
+      `CREATE INDEX IF NOT EXISTS trade_offers_v1_to_idx ON trade_offers_v1 (to_id, created_at DESC)`,
+      `CREATE INDEX IF NOT EXISTS trade_offers_v1_post_idx ON trade_offers_v1 (post_id)`,
+
+      // Post-trade feedback: one rating per rater per accepted offer
+      `
+        CREATE TABLE IF NOT EXISTS trade_feedback_v1 (
+          id BIGSERIAL PRIMARY KEY,
+          shop TEXT NOT NULL,
+          offer_id BIGINT NOT NULL,
+          post_id BIGINT NOT NULL,
+          rater_id TEXT NOT NULL,
+          ratee_id TEXT NOT NULL,
+          rating SMALLINT NOT NULL CHECK (rating IN (-1, 0, 1)),
+          comment TEXT NOT NULL DEFAULT '',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          CHECK (rater_id <> ratee_id),
+          UNIQUE (offer_id, rater_id)
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS trade_feedback_v1_ratee_idx ON trade_feedback_v1 (ratee_id, created_at DESC)`,
+
+      // Blocks (two-way effect) and mutes (hide from the muter's feeds only)
+      `
+        CREATE TABLE IF NOT EXISTS blocks_v1 (
+          blocker_id TEXT NOT NULL,
+          blocked_id TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (blocker_id, blocked_id)
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS blocks_v1_blocked_idx ON blocks_v1 (blocked_id)`,
+      `
+        CREATE TABLE IF NOT EXISTS mutes_v1 (
+          muter_id TEXT NOT NULL,
+          muted_id TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (muter_id, muted_id)
+        );
+      `,
+
+      // Moderation: hidden content + suspended members
+      `ALTER TABLE posts_v1 ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ`,
+      `ALTER TABLE comments_v1 ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ`,
+      `ALTER TABLE messages_v1 ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ`,
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ`,
+      // suspended_until NULL (with suspended_at set) = permanent
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMPTZ`,
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS suspension_reason TEXT NOT NULL DEFAULT ''`,
+      `ALTER TABLE profiles_v2 ADD COLUMN IF NOT EXISTS shadow_hidden_at TIMESTAMPTZ`,
+
+      // Reports (target_id is the post/comment/message id, or the customer id for profiles)
+      `
+        CREATE TABLE IF NOT EXISTS reports_v1 (
+          id BIGSERIAL PRIMARY KEY,
+          shop TEXT NOT NULL,
+          reporter_id TEXT NOT NULL,
+          target_type TEXT NOT NULL CHECK (target_type IN ('post','comment','message','profile')),
+          target_id TEXT NOT NULL,
+          target_owner_id TEXT NOT NULL,
+          reason TEXT NOT NULL,
+          details TEXT NOT NULL DEFAULT '',
+          status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','dismissed','actioned')),
+          resolved_by TEXT,
+          resolved_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS reports_v1_status_created_idx ON reports_v1 (shop, status, created_at ASC)`,
+      // One open report per reporter per target
+      `CREATE UNIQUE INDEX IF NOT EXISTS reports_v1_open_unique_idx ON reports_v1 (reporter_id, target_type, target_id) WHERE status = 'open'`,
+
+      // Moderator audit log
+      `
+        CREATE TABLE IF NOT EXISTS mod_actions_v1 (
+          id BIGSERIAL PRIMARY KEY,
+          shop TEXT NOT NULL,
+          moderator_id TEXT NOT NULL,
+          action TEXT NOT NULL,
+          report_id BIGINT,
+          target_type TEXT NOT NULL DEFAULT '',
+          target_id TEXT NOT NULL DEFAULT '',
+          target_owner_id TEXT NOT NULL DEFAULT '',
+          note TEXT NOT NULL DEFAULT '',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS mod_actions_v1_shop_created_idx ON mod_actions_v1 (shop, created_at DESC, id DESC)`,
+
+      // Per-conversation read marker: highest message id from other_id that viewer_id has seen
+      `
+        CREATE TABLE IF NOT EXISTS conversation_reads_v1 (
+          viewer_id TEXT NOT NULL,
+          other_id TEXT NOT NULL,
+          last_read_id BIGINT NOT NULL DEFAULT 0,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (viewer_id, other_id)
+        );
+      `,
+
+      // Notifications (like/comment/follow/message)
+      `
+        CREATE TABLE IF NOT EXISTS notifications_v1 (
+          id BIGSERIAL PRIMARY KEY,
+          shop TEXT NOT NULL,
+          recipient_id TEXT NOT NULL,
+          actor_id TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          post_id BIGINT,
+          message_id BIGINT,
+          read_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS notifications_v1_recipient_idx ON notifications_v1 (recipient_id, created_at DESC, id DESC)`,
+      `CREATE INDEX IF NOT EXISTS notifications_v1_unread_idx ON notifications_v1 (recipient_id) WHERE read_at IS NULL`,
+    ],
+    // Would drop every table; restore from a backup instead
+    down: null,
+  },
+  {
+    version: 2,
+    name: "social foreign keys",
+    // Orphans are reported and removed first (see cleanupSocialOrphans); --dry-run prints the counts
+    up: [
+      {
+        name: "report and clean up orphans",
+        preview: (db, log) => cleanupSocialOrphans(db, { dryRun: true, log }),
+        run: (db) => cleanupSocialOrphans(db),
+      },
+      `ALTER TABLE likes_v1 ADD CONSTRAINT likes_v1_post_fk FOREIGN KEY (post_id) REFERENCES posts_v1 (id) ON DELETE CASCADE`,
+      `ALTER TABLE likes_v1 ADD CONSTRAINT likes_v1_customer_fk FOREIGN KEY (customer_id) REFERENCES profiles_v2 (customer_id) ON DELETE CASCADE`,
+      `ALTER TABLE comments_v1 ADD CONSTRAINT comments_v1_post_fk FOREIGN KEY (post_id) REFERENCES posts_v1 (id) ON DELETE CASCADE`,
+      `ALTER TABLE comments_v1 ADD CONSTRAINT comments_v1_customer_fk FOREIGN KEY (customer_id) REFERENCES profiles_v2 (customer_id) ON DELETE CASCADE`,
+      // Replies go with their parent, as deleteComment already does by hand
+      `ALTER TABLE comments_v1 ADD CONSTRAINT comments_v1_parent_fk FOREIGN KEY (parent_id) REFERENCES comments_v1 (id) ON DELETE CASCADE`,
+      `CREATE INDEX IF NOT EXISTS comments_v1_customer_idx ON comments_v1 (customer_id)`,
+      `ALTER TABLE post_media_v1 ADD CONSTRAINT post_media_v1_post_fk FOREIGN KEY (post_id) REFERENCES posts_v1 (id) ON DELETE CASCADE`,
+      `ALTER TABLE follows_v1 ADD CONSTRAINT follows_v1_follower_fk FOREIGN KEY (follower_id) REFERENCES profiles_v2 (customer_id) ON DELETE CASCADE`,
+      `ALTER TABLE follows_v1 ADD CONSTRAINT follows_v1_followed_fk FOREIGN KEY (followed_id) REFERENCES profiles_v2 (customer_id) ON DELETE CASCADE`,
+      `ALTER TABLE message_media_v1 ADD CONSTRAINT message_media_v1_message_fk FOREIGN KEY (message_id) REFERENCES messages_v1 (id) ON DELETE CASCADE`,
+      `ALTER TABLE posts_v1 ADD CONSTRAINT posts_v1_bucket_check CHECK (bucket IN ('feed','collection','trades'))`,
+    ],
+    // Constraints only: deleted orphans stay deleted
+    down: [
+      `ALTER TABLE posts_v1 DROP CONSTRAINT IF EXISTS posts_v1_bucket_check`,
+      `ALTER TABLE message_media_v1 DROP CONSTRAINT IF EXISTS message_media_v1_message_fk`,
+      `ALTER TABLE follows_v1 DROP CONSTRAINT IF EXISTS follows_v1_followed_fk`,
+      `ALTER TABLE follows_v1 DROP CONSTRAINT IF EXISTS follows_v1_follower_fk`,
+      `ALTER TABLE post_media_v1 DROP CONSTRAINT IF EXISTS post_media_v1_post_fk`,
+      `DROP INDEX IF EXISTS comments_v1_customer_idx`,
+      `ALTER TABLE comments_v1 DROP CONSTRAINT IF EXISTS comments_v1_parent_fk`,
+      `ALTER TABLE comments_v1 DROP CONSTRAINT IF EXISTS comments_v1_customer_fk`,
+      `ALTER TABLE comments_v1 DROP CONSTRAINT IF EXISTS comments_v1_post_fk`,
+      `ALTER TABLE likes_v1 DROP CONSTRAINT IF EXISTS likes_v1_customer_fk`,
+      `ALTER TABLE likes_v1 DROP CONSTRAINT IF EXISTS likes_v1_post_fk`,
+    ],
+  },
+  {
+    version: 3,
+    name: "sessions",
+    up: [
+      // Server-side sessions; the cookie carries the id, the table only its sha256
+      `
+        CREATE TABLE IF NOT EXISTS sessions_v1 (
+          id_hash TEXT PRIMARY KEY,
+          customer_id TEXT NOT NULL,
+          shop TEXT NOT NULL,
+          path_prefix TEXT NOT NULL,
+          user_agent TEXT NOT NULL DEFAULT '',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          expires_at TIMESTAMPTZ NOT NULL,
+          revoked_at TIMESTAMPTZ
+        );
+      `,
+      `CREATE INDEX IF NOT EXISTS sessions_v1_customer_idx ON sessions_v1 (customer_id, last_seen_at DESC)`,
+    ],
+    down: [`DROP TABLE IF EXISTS sessions_v1`],
+  },
+  {
+    version: 4,
+    name: "one feedback per trade listing",
+    up: [
+      // Per offer wasn't enough: a listing could be reopened and re-traded between the same two members.
+      // Keep each rater's first rating of a member on a given listing.
+      `
+        DELETE FROM trade_feedback_v1 f
+        USING trade_feedback_v1 g
+        WHERE f.post_id = g.post_id AND f.rater_id = g.rater_id AND f.ratee_id = g.ratee_id AND f.id > g.id
+      `,
+      `ALTER TABLE trade_feedback_v1 DROP CONSTRAINT IF EXISTS trade_feedback_v1_offer_id_rater_id_key`,
+      `
+        ALTER TABLE trade_feedback_v1
+        ADD CONSTRAINT trade_feedback_v1_post_rater_ratee_key UNIQUE (post_id, rater_id, ratee_id)
+      `,
+    ],
+    down: [
+      `ALTER TABLE trade_feedback_v1 DROP CONSTRAINT IF EXISTS trade_feedback_v1_post_rater_ratee_key`,
+      `
+        ALTER TABLE trade_feedback_v1
+        ADD CONSTRAINT trade_feedback_v1_offer_id_rater_id_key UNIQUE (offer_id, rater_id)
+      `,
+    ],
+  },
+  {
+    version: 5,
+    name: "comment hashtags",
+    up: [
+      {
+        // Posts are now also listed under the tags in their visible comments
+        name: "index hashtags from existing comments",
+        run: async (db) => {
+          const old = await db.query(
+            `SELECT c.body, p.id, p.shop, p.created_at
+             FROM comments_v1 c
+             JOIN posts_v1 p ON p.id = c.post_id
+             WHERE c.hidden_at IS NULL AND c.body LIKE '%#%'`
+          );
+          for (const row of old.rows || []) {
+            const tags = parseHashtags(row.body);
+            if (!tags.length) continue;
+            await db.query(
+              `INSERT INTO post_tags_v1 (post_id, shop, tag, created_at)
+               SELECT $1, $2, t, $4 FROM unnest($3::text[]) AS t
+               ON CONFLICT DO NOTHING`,
+              [row.id, row.shop, tags, row.created_at]
+            );
+          }
+        },
+      },
+    ],
+    // Older builds only ever re-index captions, which drops these rows post by post; nothing to undo
+    down: [],
+  },
+  {
+    version: 6,
+    name: "notification comment ids",
+    up: [
+      // Comment and mention notifications point at their comment, so deleting it can take them along
+      `ALTER TABLE notifications_v1 ADD COLUMN IF NOT EXISTS comment_id BIGINT`,
+      `CREATE INDEX IF NOT EXISTS notifications_v1_comment_idx ON notifications_v1 (comment_id) WHERE comment_id IS NOT NULL`,
+      // Mention notifications were written in the same statement as their mentions_v1 row
+      `
+        UPDATE notifications_v1 n
+        SET comment_id = m.comment_id
+        FROM mentions_v1 m
+        WHERE n.kind = 'mention' AND n.comment_id IS NULL AND m.comment_id IS NOT NULL
+          AND m.post_id = n.post_id AND m.actor_id = n.actor_id AND m.mentioned_id = n.recipient_id
+          AND m.created_at = n.created_at
+      `,
+      // Comment notifications follow their comment within moments
+      `
+        UPDATE notifications_v1 n
+        SET comment_id = (
+          SELECT c.id FROM comments_v1 c
+          WHERE c.post_id = n.post_id AND c.customer_id = n.actor_id
+            AND c.created_at BETWEEN n.created_at - INTERVAL '10 seconds' AND n.created_at
+          ORDER BY c.created_at DESC, c.id DESC
+          LIMIT 1
+        )
+        WHERE n.kind = 'comment' AND n.comment_id IS NULL
+      `,
+      // ...and the ones left over point at comments that were already deleted
+      `DELETE FROM notifications_v1 WHERE kind = 'comment' AND comment_id IS NULL`,
+    ],
+    down: [
+      `DROP INDEX IF EXISTS notifications_v1_comment_idx`,
+      `ALTER TABLE notifications_v1 DROP COLUMN IF EXISTS comment_id`,
+    ],
+  },
+];
+
+// Profile rows are created lazily (ensureRow), so a like, comment or follow by someone without one isn't
+// garbage: the profile is re-created. Everything pointing at a post, comment or message that no longer
+// exists is deleted (with its blobs). Follows where neither side has a profile can't be placed in a shop.
+const MISSING_PROFILE_REFS_SQL = `
+  SELECT refs.customer_id, MIN(refs.shop) AS shop
+  FROM (
+    SELECT customer_id, shop FROM likes_v1
+    UNION ALL SELECT customer_id, shop FROM comments_v1
+    UNION ALL SELECT f.follower_id, pr.shop FROM follows_v1 f JOIN profiles_v2 pr ON pr.customer_id = f.followed_id
+    UNION ALL SELECT f.followed_id, pr.shop FROM follows_v1 f JOIN profiles_v2 pr ON pr.customer_id = f.follower_id
+  ) refs
+  WHERE NOT EXISTS (SELECT 1 FROM profiles_v2 p WHERE p.customer_id = refs.customer_id)
+  GROUP BY refs.customer_id
+`;
+
+const SOCIAL_ORPHAN_CHECKS = [
+  { label: "likes on deleted posts", table: "likes_v1", where: `NOT EXISTS (SELECT 1 FROM posts_v1 p WHERE p.id = t.post_id)` },
+  { label: "comments on deleted posts", table: "comments_v1", where: `NOT EXISTS (SELECT 1 FROM posts_v1 p WHERE p.id = t.post_id)` },
+  {
+    label: "replies to deleted comments",
+    table: "comments_v1",
+    where: `t.parent_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM comments_v1 c WHERE c.id = t.parent_id)`,
+  },
+  {
+    label: "media of deleted posts",
+    table: "post_media_v1",
+    where: `NOT EXISTS (SELECT 1 FROM posts_v1 p WHERE p.id = t.post_id)`,
+    blobs: true,
+  },
+  {
+    label: "follows without a member profile",
+    table: "follows_v1",
+    where: `NOT EXISTS (SELECT 1 FROM profiles_v2 p WHERE p.customer_id = t.follower_id)
+      OR NOT EXISTS (SELECT 1 FROM profiles_v2 p WHERE p.customer_id = t.followed_id)`,
+  },
+  {
+    label: "attachments of deleted messages",
+    table: "message_media_v1",
+    where: `NOT EXISTS (SELECT 1 FROM messages_v1 m WHERE m.id = t.message_id)`,
+    blobs: true,
+  },
+];
+
+// dryRun runs the same statements inside a transaction that is rolled back, so the counts are exact
+async function cleanupSocialOrphans(db, { dryRun = false, log = console.log } = {}) {
+  const did = (n, what) => log(`${what.replace("%", dryRun ? "would be " : "")}: ${n}`);
+  const blobKeys = [];
+
+  if (dryRun) await db.query("BEGIN");
+  try {
+    const restored = await db.query(
+      `INSERT INTO profiles_v2 (customer_id, shop) ${MISSING_PROFILE_REFS_SQL} ON CONFLICT (customer_id) DO NOTHING`
+    );
+    did(restored.rowCount, "missing profiles %re-created");
+
+    for (const c of SOCIAL_ORPHAN_CHECKS) {
+      const r = await db.query(
+        `DELETE FROM ${c.table} t WHERE ${c.where} RETURNING ${c.blobs ? "t.storage_key" : "NULL AS storage_key"}`
+      );
+      did(r.rowCount, `${c.label} %deleted`);
+      if (c.blobs) blobKeys.push(...r.rows.map((row) => row.storage_key));
+    }
+
+    const moved = await db.query(
+      `UPDATE posts_v1 SET bucket = 'feed' WHERE bucket NOT IN ('feed','collection','trades')`
+    );
+    did(moved.rowCount, "posts in unknown buckets %moved to feed");
+  } finally {
+    if (dryRun) await db.query("ROLLBACK");
+  }
+
+  // Orphaned media can't be reached through any route, so losing its blob is safe even if the rest of the
+  // migration is rolled back
+  if (!dryRun) await deleteBlobs(blobKeys);
+}
+
+const MIGRATION_LOCK_KEY = 7210021;
+
+function migrationStepText(step) {
+  return typeof step === "string" ? step : `${step.name}\n${step.run.toString()}`;
+}
+
+// Whitespace-insensitive so reindenting a migration doesn't count as changing it
+function migrationChecksum(m) {
+  const body = (m.up || []).map(migrationStepText).join("\n;\n");
+  return sha256Hex(`${m.version}\n${m.name}\n${body}`.replace(/\s+/g, " ").trim());
+}
+
+async function runMigrationSteps(db, steps) {
+  for (const step of steps) {
+    if (typeof step === "string") await db.query(step);
+    else await step.run(db);
+  }
+}
+
+// Applied rows vs MIGRATIONS. Works before schema_migrations exists (everything is pending).
+async function getMigrationStatus(db) {
+  const exists = await db.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS ok`);
+  const rows = exists.rows?.[0]?.ok
+    ? (await db.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`)).rows
+    : [];
+
+  const byVersion = new Map(MIGRATIONS.map((m) => [m.version, m]));
+  const appliedVersions = new Set(rows.map((r) => Number(r.version)));
+
+  const applied = rows.map((r) => {
+    const m = byVersion.get(Number(r.version));
+    return {
+      version: Number(r.version),
+      name: r.name,
+      applied_at: r.applied_at,
+      migration: m || null,
+      unknown: !m,
+      mismatch: !!m && migrationChecksum(m) !== r.checksum,
+    };
+  });
+  const pending = MIGRATIONS.filter((m) => !appliedVersions.has(m.version));
+
+  return {
+    applied,
+    pending,
+    mismatched: applied.filter((a) => a.mismatch || a.unknown),
+    current: applied.length ? applied[applied.length - 1].version : 0,
+  };
+}
+
+function describeMismatches(mismatched) {
+  return mismatched
+    .map((a) => `${a.version} (${a.name}): ${a.unknown ? "not in this build" : "checksum changed since it was applied"}`)
+    .join("; ");
+}
+
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK_KEY]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Dry runs print SQL as-is; JS steps with a preview(db, log) report what they would do
+async function logMigrationSteps(db, steps, log) {
+  for (const step of steps) {
+    if (typeof step === "string") {
+      log(`  ${step.trim().replace(/;$/, "").replace(/\n\s*/g, "\n    ")};`);
+      continue;
+    }
+    log(`  -- ${step.name} (JS step)`);
+    if (!step.preview) continue;
+    try {
+      await step.preview(db, (line) => log(`     ${line}`));
+    } catch (e) {
+      log(`     (preview unavailable until earlier migrations are applied: ${e?.message || e})`);
+    }
+  }
+}
+
+// Apply every pending migration, each in its own transaction, in version order
+async function migrate({ dryRun = false, log = console.log } = {}) {
+  if (!pool) throw new Error("DATABASE_URL not set");
+
+  return withMigrationLock(async (client) => {
+    const status = await getMigrationStatus(client);
+    if (status.mismatched.length) {
+      throw new Error(`Applied migrations don't match the code: ${describeMismatches(status.mismatched)}`);
+    }
+    if (!status.pending.length) {
+      log(`Schema is up to date (version ${status.current})`);
+      return { applied: [] };
+    }
+
+    if (!dryRun) {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INT PRIMARY KEY,
+          name TEXT NOT NULL,
+          checksum TEXT NOT NULL,
+          duration_ms INT NOT NULL DEFAULT 0,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `);
+    }
+
+    const done = [];
+    for (const m of status.pending) {
+      if (dryRun) {
+        log(`Would apply ${m.version} (${m.name}):`);
+        await logMigrationSteps(client, m.up, log);
+        done.push(m.version);
+        continue;
       }
-      .commentBody{
-        flex:1;
-        min-width:0;
+
+      const started = Date.now();
+      await client.query("BEGIN");
+      try {
+        await runMigrationSteps(client, m.up);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)`,
+          [m.version, m.name, migrationChecksum(m), Date.now() - started]
+        );
+        await client.query("COMMIT");
+      } catch (e) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw new Error(`Migration ${m.version} (${m.name}) failed and was rolled back: ${e?.message || e}`);
       }
-      .commentAuthor{font-weight:700; line-height:1.1}
-      .commentText{white-space:pre-wrap; margin-top:4px}
+      log(`Applied ${m.version} (${m.name}) in ${Date.now() - started}ms`);
+      done.push(m.version);
+    }
+    return { applied: done };
+  });
+}
 
-      .divider{height:1px;background:#eee;margin:12px 0}
+// Undo applied migrations newer than `to` (default: just the latest), newest first
+async function rollbackMigrations({ to = null, dryRun = false, log = console.log } = {}) {
+  if (!pool) throw new Error("DATABASE_URL not set");
 
-      /* Two-column grid for Collection + Trades timelines on ALL sizes */
-      .bucketGrid{
-        width:100%;
-        margin-top:14px;
-        display:grid;
-        grid-template-columns: repeat(2, minmax(0, 1fr));
-        gap:10px;
+  return withMigrationLock(async (client) => {
+    const status = await getMigrationStatus(client);
+    if (!status.applied.length) {
+      log("Nothing to roll back");
+      return { rolledBack: [] };
+    }
+
+    const target = to == null ? status.applied[status.applied.length - 1].version - 1 : to;
+    const undo = status.applied.filter((a) => a.version > target).reverse();
+    if (!undo.length) {
+      log(`Already at or below version ${target} (current ${status.current})`);
+      return { rolledBack: [] };
+    }
+
+    // Check everything up front so we never stop halfway through
+    for (const a of undo) {
+      if (a.unknown || a.mismatch) {
+        throw new Error(`Can't roll back ${describeMismatches([a])}`);
       }
-      .bucketGrid .postItem{
-        margin-top:0;
+      if (!a.migration.down) {
+        throw new Error(`Migration ${a.version} (${a.name}) can't be rolled back`);
       }
+    }
 
-      /* Profile actions (Follow + Message) */
-      .profileActions{
-        display:flex;
-        gap:10px;
-        margin-top:10px;
-        flex-wrap:wrap;
-        justify-content:center;
+    const done = [];
+    for (const a of undo) {
+      const m = a.migration;
+      if (dryRun) {
+        log(`Would roll back ${m.version} (${m.name}):`);
+        await logMigrationSteps(client, m.down, log);
+        done.push(m.version);
+        continue;
       }
-      .pillBtn{
-        border:1px solid #ddd;
-        border-radius:999px;
-        padding:10px 14px;
-        background:#fff;
-        cursor:pointer;
-        font-weight:900;
-        display:inline-flex;
-        align-items:center;
-        gap:8px;
-        text-decoration:none;
+
+      await client.query("BEGIN");
+      try {
+        await runMigrationSteps(client, m.down);
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [m.version]);
+        await client.query("COMMIT");
+      } catch (e) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw new Error(`Rollback of ${m.version} (${m.name}) failed and was undone: ${e?.message || e}`);
       }
-      .pillBtn.primary{border-color:#111}
-      .pillIcon{font-size:16px;line-height:1}
+      log(`Rolled back ${m.version} (${m.name})`);
+      done.push(m.version);
+    }
+    return { rolledBack: done };
+  });
+}
 
-      /* DM UI */
-      .dmWrap{width:100%;max-width:920px;margin-top:14px}
-      .dmThread{border:1px solid #eee;border-radius:12px;padding:12px;background:#fff}
-      .dmMsg{padding:10px 12px;border-radius:12px;max-width:78%;border:1px solid #eee;background:#fafafa}
-      .dmRow{display:flex;margin-top:10px}
-      .dmRow.me{justify-content:flex-end}
-      .dmRow.me .dmMsg{background:#fff;border-color:#ddd}
-      .dmMeta{font-size:12px;opacity:.7;margin-top:6px}
-      .dmComposer{margin-top:12px;border-top:1px solid #eee;padding-top:12px}
-      .dmFile{margin-top:10px}
-      .dmMediaLink{display:inline-block;margin-top:8px}
+async function printMigrationStatus({ log = console.log } = {}) {
+  if (!pool) throw new Error("DATABASE_URL not set");
 
-      /* Lightbox */
-      .lb{
-        position:fixed;
-        inset:0;
-        background:rgba(0,0,0,.92);
-        display:none;
-        align-items:center;
-        justify-content:center;
-        z-index:9999;
-        padding:18px;
-      }
-      .lb.show{display:flex}
-      .lbInner{
-        width:100%;
+  const status = await getMigrationStatus(pool);
+  for (const a of status.applied) {
+    const flag = a.unknown ? "  UNKNOWN" : a.mismatch ? "  CHECKSUM MISMATCH" : "";
+    log(`applied  ${a.version} ${a.name} (${new Date(a.applied_at).toISOString()})${flag}`);
+  }
+  for (const m of status.pending) log(`pending  ${m.version} ${m.name}`);
+  log(`Current version ${status.current}, ${status.pending.length} pending`);
+  return status;
+}
+
+// Schema changes only happen through `node server.js migrate`. This just checks, once per process, that
+// the database is at the latest version and that nobody edited an applied migration.
+async function ensureSchema() {
+  if (!pool) return;
+
+  if (schemaInitPromise) return schemaInitPromise;
+
+  schemaInitPromise = (async () => {
+    const status = await getMigrationStatus(pool);
+    if (status.mismatched.length) {
+      const err = new Error(`Applied migrations don't match the code: ${describeMismatches(status.mismatched)}`);
+      err.code = "SCHEMA_MISMATCH";
+      throw err;
+    }
+    if (status.pending.length) {
+      const err = new Error(
+        `Database schema is at version ${status.current} but this build needs ${MIGRATIONS[MIGRATIONS.length - 1].version}; ` +
+          "run `npm run migrate` first"
+      );
+      err.code = "SCHEMA_PENDING";
+      throw err;
+    }
+  })().catch((err) => {
+    schemaInitPromise = null;
+    throw err;
+  });
+
+  return schemaInitPromise;
+}
+
+/* ---------------------------
+   Shopify proxy verification
+---------------------------- */
+
+// Shopify signs every proxied request as it forwards it, so a genuine signature is always seconds old.
+// Anything older is a replayed URL (logs, Referer, history) and must not act as the customer.
+const PROXY_SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+function buildProxyMessage(query) {
+  return Object.keys(query)
+    .sort()
+    .map((key) => {
+      const val = query[key];
+      const valueStr = Array.isArray(val) ? val.join(",") : String(val);
+      return `${key}=${valueStr}`;
+    })
+    .join("");
+}
+
+function verifyShopifyProxy(req) {
+  if (!SHOPIFY_API_SECRET) return false;
+
+  const query = { ...req.query };
+  const signature = typeof query.signature === "string" ? query.signature : "";
+  if (!signature) return false;
+
+  delete query.signature;
+
+  const message = buildProxyMessage(query);
+  const digest = crypto
+    .createHmac("sha256", SHOPIFY_API_SECRET)
+    .update(message)
+    .digest("hex");
+
+  const a = Buffer.from(digest, "utf8");
+  const b = Buffer.from(signature, "utf8");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return false;
+
+  const timestamp = Number(query.timestamp) * 1000;
+  return Number.isFinite(timestamp) && Math.abs(Date.now() - timestamp) <= PROXY_SIGNATURE_MAX_AGE_MS;
+}
+
+/* ---------------------------
+   Sessions (signed cookie + sessions_v1)
+---------------------------- */
+
+const AUTH_COOKIE = "nd_auth";
+
+function parseCookies(req) {
+  const header = String(req.headers.cookie || "");
+  const out = {};
+  header.split(";").forEach((part) => {
+    const i = part.indexOf("=");
+    if (i === -1) return;
+    const k = part.slice(0, i).trim();
+    const v = part.slice(i + 1).trim();
+    if (!k) return;
+    out[k] = decodeURIComponent(v);
+  });
+  return out;
+}
+
+function b64urlEncode(input) {
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(String(input), "utf8");
+  return buf
+    .toString("base64")
+    .replace(/=/g, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+function b64urlDecodeToString(s) {
+  const pad = s.length % 4 ? "=".repeat(4 - (s.length % 4)) : "";
+  const base64 = (s + pad).replace(/-/g, "+").replace(/_/g, "/");
+  return Buffer.from(base64, "base64").toString("utf8");
+}
+
+// Sessions slide: every request pushes expiry out by SESSION_IDLE_MS, up to SESSION_MAX_MS after sign-in.
+// last_seen_at is only written every SESSION_TOUCH_MS so page loads don't all turn into UPDATEs.
+const SESSION_IDLE_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_MAX_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSION_TOUCH_MS = 5 * 60 * 1000;
+
+// Current key first. Without SESSION_SECRET a key is derived from the app secret (still separate from it,
+// but it can't be rotated on its own).
+function sessionSigningKeys() {
+  const current =
+    SESSION_SECRET ||
+    (SHOPIFY_API_SECRET
+      ? crypto.createHmac("sha256", SHOPIFY_API_SECRET).update("nd-session-signing-key").digest("hex")
+      : "");
+  return [current, ...SESSION_SECRETS_PREVIOUS].filter(Boolean);
+}
+
+function sessionMac(key, sid) {
+  return crypto.createHmac("sha256", key).update(`session:${sid}`).digest("hex");
+}
+
+function signSession(sid) {
+  const [key] = sessionSigningKeys();
+  return `${sid}.${sessionMac(key, sid)}`;
+}
+
+// { sid, stale } where stale = signed with a previous key (re-sign it), or null
+function verifySession(token) {
+  if (!token || typeof token !== "string") return null;
+  const parts = token.split(".");
+  if (parts.length !== 2 || !/^[A-Za-z0-9_-]{20,100}$/.test(parts[0])) return null;
+
+  const [sid, mac] = parts;
+  const b = Buffer.from(mac, "utf8");
+  const keys = sessionSigningKeys();
+  for (let i = 0; i < keys.length; i++) {
+    const a = Buffer.from(sessionMac(keys[i], sid), "utf8");
+    if (a.length === b.length && crypto.timingSafeEqual(a, b)) return { sid, stale: i > 0 };
+  }
+  return null;
+}
+
+// Shopify's app proxy strips cookies in both directions, so nd_auth only ever works when /proxy is reached
+// directly. This probe keeps proxied page loads from each minting a session no browser will send back.
+const COOKIE_PROBE = "nd_cookies";
+
+function writeCookie(res, name, value, maxAgeSeconds) {
+  const parts = [];
+  parts.push(`${name}=${encodeURIComponent(value)}`);
+  parts.push("Path=/proxy");
+  parts.push("HttpOnly");
+  parts.push("SameSite=Lax");
+  parts.push("Secure");
+  parts.push(`Max-Age=${Math.max(0, Math.floor(maxAgeSeconds))}`);
+
+  res.append("Set-Cookie", parts.join("; "));
+}
+
+function writeAuthCookie(res, value, maxAgeSeconds) {
+  writeCookie(res, AUTH_COOKIE, value, maxAgeSeconds);
+}
+
+function setAuthCookie(res, sid, expiresAt) {
+  writeAuthCookie(res, signSession(sid), (new Date(expiresAt).getTime() - Date.now()) / 1000);
+}
+
+function clearAuthCookie(res) {
+  writeAuthCookie(res, "", 0);
+}
+
+function sessionIdHash(sid) {
+  return sha256Hex(`session:${sid}`);
+}
+
+async function createSession({ customerId, shop, pathPrefix, userAgent }) {
+  await ensureSchema();
+  const sid = b64urlEncode(crypto.randomBytes(32));
+  const r = await pool.query(
+    `INSERT INTO sessions_v1 (id_hash, customer_id, shop, path_prefix, user_agent, expires_at)
+     VALUES ($1,$2,$3,$4,$5, NOW() + ($6::int * INTERVAL '1 millisecond'))
+     RETURNING expires_at`,
+    [sessionIdHash(sid), customerId, shop, pathPrefix, String(userAgent || "").slice(0, 200), SESSION_IDLE_MS]
+  );
+
+  // Housekeeping for this member only: forget sessions that can no longer be used
+  await pool.query(
+    `DELETE FROM sessions_v1
+     WHERE customer_id=$1 AND (expires_at < NOW() OR revoked_at < NOW() - INTERVAL '1 day')`,
+    [customerId]
+  );
+
+  return { sid, expires_at: r.rows[0].expires_at };
+}
+
+// Active (not revoked, not expired) session row, or null
+async function loadSession(sid) {
+  await ensureSchema();
+  const r = await pool.query(
+    `SELECT id_hash, customer_id, shop, path_prefix, created_at, last_seen_at, expires_at
+     FROM sessions_v1
+     WHERE id_hash=$1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionIdHash(sid)]
+  );
+  return r.rows?.[0] || null;
+}
+
+// Slides expiry forward; returns the new expires_at, or null when the row was touched recently
+async function touchSession(session) {
+  if (Date.now() - new Date(session.last_seen_at).getTime() < SESSION_TOUCH_MS) return null;
+  const r = await pool.query(
+    `UPDATE sessions_v1
+     SET last_seen_at = NOW(),
+         expires_at = LEAST(NOW() + ($2::int * INTERVAL '1 millisecond'), created_at + ($3::bigint * INTERVAL '1 millisecond'))
+     WHERE id_hash=$1 AND revoked_at IS NULL
+     RETURNING expires_at`,
+    [session.id_hash, SESSION_IDLE_MS, SESSION_MAX_MS]
+  );
+  return r.rows?.[0]?.expires_at || null;
+}
+
+async function revokeSession(sid) {
+  if (!pool || !sid) return;
+  await ensureSchema();
+  await pool.query(`UPDATE sessions_v1 SET revoked_at = NOW() WHERE id_hash=$1 AND revoked_at IS NULL`, [
+    sessionIdHash(sid),
+  ]);
+}
+
+// "Sign out everywhere": returns how many sessions were ended
+async function revokeAllSessions(customerId) {
+  if (!pool || !customerId) return 0;
+  await ensureSchema();
+  const r = await pool.query(
+    `UPDATE sessions_v1 SET revoked_at = NOW() WHERE customer_id=$1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [customerId]
+  );
+  return r.rowCount || 0;
+}
+
+async function listActiveSessions(customerId) {
+  if (!pool || !customerId) return [];
+  await ensureSchema();
+  const r = await pool.query(
+    `SELECT id_hash, user_agent, created_at, last_seen_at, expires_at
+     FROM sessions_v1
+     WHERE customer_id=$1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC
+     LIMIT 50`,
+    [customerId]
+  );
+  return r.rows || [];
+}
+
+// Who is asking. A valid, fresh proxy signature is authoritative (Shopify vouches for logged_in_customer_id);
+// without one only a live server-side session counts. Returns null when neither applies. Revoking sessions
+// therefore only affects cookie sessions: proxied requests are the store login's to end.
+async function resolveAuth(req, res, signed) {
+  const cookies = parseCookies(req);
+  const cookie = verifySession(cookies[AUTH_COOKIE]);
+  let session = cookie && pool ? await loadSession(cookie.sid) : null;
+
+  // Someone else signed in on this browser: never carry the old session over
+  if (session && signed?.customerId && (session.customer_id !== signed.customerId || session.shop !== signed.shop)) {
+    session = null;
+  }
+
+  if (session) {
+    const expiresAt = await touchSession(session);
+    if (expiresAt || cookie.stale) setAuthCookie(res, cookie.sid, expiresAt || session.expires_at);
+    return {
+      customerId: session.customer_id,
+      shop: session.shop,
+      pathPrefix: session.path_prefix,
+      sessionId: cookie.sid,
+    };
+  }
+
+  if (cookie) clearAuthCookie(res);
+  if (!signed) return null;
+  if (!signed.customerId || !pool) return { ...signed, sessionId: "" };
+
+  // Sessions start on page loads; other signed requests (media, form posts) are covered by the signature
+  if (req.method !== "GET") return { ...signed, sessionId: "" };
+  if (!cookies[COOKIE_PROBE]) {
+    writeCookie(res, COOKIE_PROBE, "1", SESSION_MAX_MS / 1000);
+    return { ...signed, sessionId: "" };
+  }
+  const created = await createSession({ ...signed, userAgent: req.headers["user-agent"] });
+  setAuthCookie(res, created.sid, created.expires_at);
+  return { ...signed, sessionId: created.sid };
+}
+
+/* ---------------------------
+   CSRF tokens
+---------------------------- */
+
+// "<issued>.<mac>": bound to the viewer, their session and the time the form was rendered, signed with the
+// session key (rotating it keeps old tokens working until the old key is dropped). Requests through the
+// Shopify proxy have no session, so for them the expiry is what retires a token.
+const CSRF_TOKEN_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+function csrfMac(key, auth, issued) {
+  return crypto
+    .createHmac("sha256", key)
+    .update(`csrf:${auth?.shop || ""}:${auth?.customerId || ""}:${auth?.sessionId || ""}:${issued}`)
+    .digest("hex");
+}
+
+function csrfToken(req) {
+  const [key] = sessionSigningKeys();
+  if (!key) return "";
+  const issued = Math.floor(Date.now() / 1000);
+  return `${issued}.${csrfMac(key, req.auth, issued)}`;
+}
+
+function csrfInput(csrf) {
+  return `<input type="hidden" name="_csrf" value="${escapeHtml(csrf)}" />`;
+}
+
+function verifyCsrf(req) {
+  const sent = req.body?._csrf;
+  if (!sent || typeof sent !== "string") return false;
+
+  const parts = sent.split(".");
+  if (parts.length !== 2 || !/^\d{1,12}$/.test(parts[0])) return false;
+  const issued = Number(parts[0]);
+  const age = Date.now() - issued * 1000;
+  if (age > CSRF_TOKEN_MAX_AGE_MS || age < -60 * 1000) return false;
+
+  const b = Buffer.from(parts[1], "utf8");
+  for (const key of sessionSigningKeys()) {
+    const a = Buffer.from(csrfMac(key, req.auth, issued), "utf8");
+    if (a.length === b.length && crypto.timingSafeEqual(a, b)) return true;
+  }
+  return false;
+}
+
+function requireCsrf(req, res, next) {
+  if (verifyCsrf(req)) return next();
+  console.warn("csrf check failed:", req.method, req.path);
+  return sendCsrfError(req, res);
+}
+
+// Routes whose multipart body multer parses in the route itself; they run requireCsrf right after it
+const MULTIPART_ROUTES = [/^\/post\/new$/, /^\/me\/avatar$/, /^\/dm\/[^/]+$/];
+
+function isMultipartRoute(req) {
+  return req.is("multipart/form-data") && MULTIPART_ROUTES.some((re) => re.test(req.path));
+}
+
+/* ---------------------------
+   Helpers
+---------------------------- */
+
+function basePathFromReq(req) {
+  const p = typeof req.query.path_prefix === "string" ? req.query.path_prefix : "";
+  if (p && p.startsWith("/")) return p;
+
+  const sp = req.auth?.pathPrefix || "";
+  if (sp && sp.startsWith("/")) return sp;
+
+  return "/apps/nuggetdepot";
+}
+
+// Identity comes from requireProxyAuth (signed query or server-side session), never from a bare query string
+function getViewerCustomerId(req) {
+  return req.auth?.customerId || "";
+}
+
+function getShop(req) {
+  return req.auth?.shop || "";
+}
+
+function escapeHtml(s) {
+  return String(s || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function cleanText(input, max = 80) {
+  return String(input || "").trim().slice(0, max);
+}
+function cleanMultiline(input, max = 400) {
+  return String(input || "").replace(/\r\n/g, "\n").trim().slice(0, max);
+}
+function initialsFor(first, last) {
+  const a = (first || "").trim().slice(0, 1).toUpperCase();
+  const b = (last || "").trim().slice(0, 1).toUpperCase();
+  const x = `${a}${b}`.trim();
+  return x || "GN";
+}
+function svgAvatar(initials) {
+  const safe = String(initials || "GN").replace(/[^A-Z0-9]/g, "").slice(0, 2) || "GN";
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="240" height="240" viewBox="0 0 240 240">
+  <rect width="240" height="240" rx="32" fill="#f2f2f2"/>
+  <text x="50%" y="54%" text-anchor="middle" dominant-baseline="middle"
+        font-family="system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif"
+        font-size="84" fill="#111">${safe}</text>
+</svg>`;
+}
+const USERNAME_RE = /^[A-Za-z0-9_]{3,30}$/;
+const USERNAME_COOLDOWN_DAYS = 30;
+const RESERVED_USERNAMES = new Set([
+  "admin", "administrator", "api", "everyone", "goldnugget", "goldnuggetcards", "help", "here",
+  "inbox", "login", "logout", "me", "mention", "mod", "moderator", "mods", "notifications",
+  "nuggetdepot", "null", "offers", "official", "posts", "proxy", "root", "search", "settings",
+  "shop", "staff", "support", "system", "tag", "trades", "undefined", "user",
+]);
+
+// Returns "" when valid, otherwise an error code for /me/edit
+function usernameError(username) {
+  const u = String(username || "");
+  if (!USERNAME_RE.test(u)) return "invalid";
+  if (RESERVED_USERNAMES.has(u.toLowerCase())) return "reserved";
+  return "";
+}
+
+// Handle URL when the member has a username, raw id otherwise
+function profileHref(base, customerId, username) {
+  const u = String(username || "").trim();
+  return u
+    ? `${base}/@${encodeURIComponent(u)}`
+    : `${base}/u/${encodeURIComponent(customerId || "")}`;
+}
+
+function safeHandle(username) {
+  const u = String(username || "").trim();
+  if (!u) return "";
+  return u.startsWith("@") ? u : `@${u}`;
+}
+
+const POST_MEDIA_MIMES = [
+  "image/png",
+  "image/jpeg",
+  "image/webp",
+  "image/gif",
+  "video/mp4",
+  "video/webm",
+  "video/quicktime",
+];
+const MESSAGE_MEDIA_MIMES = [...POST_MEDIA_MIMES, "application/pdf"];
+const AVATAR_MIMES = ["image/png", "image/jpeg", "image/webp"];
+
+function isVideoMime(m) {
+  return String(m || "").toLowerCase().startsWith("video/");
+}
+
+const UPLOAD_TYPE_LABELS = {
+  "image/png": "PNG image",
+  "image/jpeg": "JPEG image",
+  "image/webp": "WebP image",
+  "image/gif": "GIF image",
+  "image/heic": "HEIC image",
+  "image/avif": "AVIF image",
+  "video/mp4": "MP4 video",
+  "video/webm": "WebM video",
+  "video/quicktime": "QuickTime video",
+  "video/x-matroska": "MKV video",
+  "audio/mp4": "M4A audio",
+  "application/pdf": "PDF document",
+};
+
+// Content type from the file's leading bytes; "" when unrecognised
+function sniffMime(buf) {
+  if (!buf || buf.length < 12) return "";
+  const ascii = (start, end) => buf.toString("latin1", start, end);
+
+  if (buf.subarray(0, 8).equals(PNG_SIGNATURE)) return "image/png";
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 5) === "%PDF-") return "application/pdf";
+  // EBML header: WebM declares its doctype early, anything else is generic Matroska
+  if (buf.readUInt32BE(0) === 0x1a45dfa3) return ascii(0, 64).includes("webm") ? "video/webm" : "video/x-matroska";
+
+  // ISO base media (MP4 family): "ftyp" box with a major brand
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (brand === "qt  ") return "video/quicktime";
+    if (["heic", "heix", "hevc", "hevx", "mif1", "msf1"].includes(brand)) return "image/heic";
+    if (brand === "avif" || brand === "avis") return "image/avif";
+    if (brand === "M4A " || brand === "M4B ") return "audio/mp4";
+    return "video/mp4";
+  }
+  // Older QuickTime files start straight with an atom
+  if (["moov", "mdat", "wide", "free", "skip", "pnot"].includes(ascii(4, 8))) return "video/quicktime";
+  return "";
+}
+
+// Declared types that name the same format as the sniffed one
+const MIME_ALIASES = { "image/jpg": "image/jpeg", "image/pjpeg": "image/jpeg", "image/x-png": "image/png" };
+
+function declaredMatchesDetected(declared, detected) {
+  const d = MIME_ALIASES[declared] || declared;
+  if (d === detected) return true;
+  // MP4 and QuickTime share a container and browsers label them inconsistently
+  const bmff = ["video/mp4", "video/quicktime"];
+  return bmff.includes(d) && bmff.includes(detected);
+}
+
+// Sniffs, checks against `allowedMimes` and strips photo metadata.
+// Returns { bytes, mime } (mime = detected type) or { error: "unsupported" | "mismatch" | "unreadable", ... }.
+function prepareUpload(file, allowedMimes) {
+  const declared = String(file?.mimetype || "").toLowerCase();
+  const detected = sniffMime(file?.buffer);
+  const name = String(file?.originalname || "file").slice(0, 120);
+
+  if (!detected || !allowedMimes.includes(detected)) return { error: "unsupported", name, declared, detected };
+  if (!declaredMatchesDetected(declared, detected)) return { error: "mismatch", name, declared, detected };
+
+  const bytes = scrubUploadedImage(file.buffer, detected);
+  if (!bytes) return { error: "unreadable", name, declared, detected };
+  return { bytes, mime: detected };
+}
+
+function uploadTypeLabel(mime) {
+  return UPLOAD_TYPE_LABELS[mime] || mime || "unknown file";
+}
+
+function sendUploadError(req, res, { check, allowedMimes, backHref }) {
+  const name = `“${escapeHtml(check.name)}”`;
+  const what = escapeHtml(uploadTypeLabel(check.detected));
+
+  let msg = `${name} isn't a supported file type${check.detected ? ` (it's a ${what})` : ""}.`;
+  if (check.error === "mismatch") {
+    msg = `${name} says it is ${escapeHtml(check.declared || "an unknown type")}, but its contents are a ${what}.`;
+  } else if (check.error === "unreadable") {
+    msg = `${name} looks like a ${what} but couldn't be read. It may be damaged or incomplete.`;
+  }
+
+  const supported = allowedMimes.map(uploadTypeLabel).join(", ");
+  return res.status(415).type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">Upload rejected</div>
+          <p class="error">${msg}</p>
+          <p class="muted small">Supported: ${escapeHtml(supported)}. Nothing was saved.</p>
+          <a class="btn" href="${escapeHtml(backHref)}">Go back</a>
+        </div>
+      `,
+      req
+    )
+  );
+}
+
+// A write that failed after validation (database or storage error). It was rolled back, so retrying is safe.
+function sendSaveError(req, res, { title, backHref }) {
+  return res.status(500).type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">${escapeHtml(title)}</div>
+          <p class="error">Something went wrong while saving. Nothing was saved, so you can safely try again.</p>
+          <a class="btn" href="${escapeHtml(backHref)}">Go back</a>
+        </div>
+      `,
+      req
+    )
+  );
+}
+
+// The form's CSRF token didn't match (stale tab, signed out or in elsewhere, or a cross-site post)
+function sendCsrfError(req, res) {
+  const base = basePathFromReq(req);
+  return res.status(403).type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">This form has expired</div>
+          <p class="error">We couldn't confirm this request came from your session. Nothing was changed.</p>
+          <p class="muted small">Go back, refresh the page and try again.</p>
+          <a class="btn" href="${escapeHtml(base)}">Back to the feed</a>
+        </div>
+      `,
+      req
+    )
+  );
+}
+
+/* ---------------------------
+   Pagination cursor
+---------------------------- */
+
+function encodeCursor(createdAt, id) {
+  if (!createdAt || !id) return "";
+  return b64urlEncode(`${new Date(createdAt).toISOString()}|${id}`);
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const raw = b64urlDecodeToString(String(cursor));
+    const [iso, idStr] = raw.split("|");
+    const t = new Date(iso);
+    const id = Number(idStr);
+    if (!Number.isFinite(id) || isNaN(t.getTime())) return null;
+    return { createdAt: t.toISOString(), id };
+  } catch {
+    return null;
+  }
+}
+
+/* ---------------------------
+   Page renderer
+---------------------------- */
+
+function navBadge(n) {
+  const c = Number(n) || 0;
+  if (c <= 0) return "";
+  return ` <span class="navBadge">${c > 99 ? "99+" : c}</span>`;
+}
+
+function page(bodyHtml, reqForBase) {
+  const base = basePathFromReq(reqForBase);
+  const badges = reqForBase?.navBadges || {};
+
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width,initial-scale=1" />
+    <title>Nugget Depot</title>
+    <style>
+      body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;margin:24px;line-height:1.35;font-size:16px}
+      a{color:inherit}
+      .nav a{margin-right:12px}
+      .navSearch{display:inline-block;margin:0}
+      .navSearch input{width:180px;padding:6px 10px}
+      .navBadge{display:inline-block;min-width:18px;padding:1px 6px;border-radius:999px;background:#b00020;color:#fff;font-size:12px;font-weight:800;text-align:center;line-height:16px}
+      .card{border:1px solid #ddd;border-radius:12px;padding:16px;max-width:none;width:100%}
+      code{background:#f5f5f5;padding:2px 6px;border-radius:6px}
+      .muted{opacity:.75}
+      .btn{display:inline-block;margin-top:12px;padding:10px 12px;border:1px solid #ddd;border-radius:10px;text-decoration:none;background:white;cursor:pointer}
+      input, textarea{padding:10px 12px;border:1px solid #ddd;border-radius:10px;width:100%;max-width:720px;font:inherit}
+      textarea{min-height:160px;resize:vertical}
+      label{display:block;margin-top:12px;margin-bottom:6px}
+      .error{color:#b00020}
+      hr{border:none;border-top:1px solid #eee;margin:12px 0}
+      .row{display:flex;gap:10px;flex-wrap:wrap;align-items:center}
+
+      .profileTop{display:flex;flex-direction:column;align-items:center;justify-content:flex-start;gap:14px}
+      .avatarWrap{width:100%;display:flex;flex-direction:column;align-items:center;margin-top:6px}
+      .avatarBox{position:relative;width:120px;height:120px}
+      .avatar{width:120px;height:120px;border-radius:16px;object-fit:cover;aspect-ratio:1/1;border:1px solid #ddd;background:#fafafa;display:block}
+      .avatarEdit{position:absolute;right:-8px;bottom:-8px;width:34px;height:34px;border-radius:10px;border:1px solid #ddd;background:#fff;display:flex;align-items:center;justify-content:center;cursor:pointer;box-shadow:0 2px 10px rgba(0,0,0,.06);text-decoration:none}
+      .fileInput{position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0}
+      .nameUnder{margin-top:10px;font-weight:800}
+      .handleUnder{margin-top:4px}
+      .small{font-size:13px}
+      .stack{width:100%;max-width:none}
+      .help{margin-top:6px}
+
+      .brandBar{
+        width:100%;
+        max-width:none;
+        display:flex;
+        justify-content:center;
+        align-items:center;
+        margin:0 0 12px 0;
+      }
+      .brandLogo{
+        max-width:160px;
+        width:100%;
+        height:auto;
+        display:block;
+      }
+
+      .composer{
+        width:100%;
+        max-width:none;
+        border:1px solid #eee;
+        border-radius:12px;
+        padding:12px;
+        margin-top:14px;
+        background:#fff;
+      }
+      .composerTop{display:flex;gap:10px;align-items:center;flex-wrap:wrap}
+      .composerFake{
+        flex:1;
+        min-width:220px;
+        border:1px solid #ddd;
+        border-radius:10px;
+        padding:10px 12px;
+        text-decoration:none;
+        background:#fafafa;
+      }
+      .iconBtn{
+        border:1px solid #ddd;
+        border-radius:10px;
+        width:44px;
+        height:44px;
+        display:flex;
+        align-items:center;
+        justify-content:center;
+        text-decoration:none;
+        background:#fff;
+      }
+
+      .tabsRow{
+        display:flex;
+        gap:10px;
+        flex-wrap:wrap;
+        margin-top:12px;
+      }
+      .tabBtn{
+        border:1px solid #ddd;
+        border-radius:999px;
+        padding:10px 14px;
+        text-decoration:none;
+        background:#fff;
+        font-weight:700;
+      }
+      .tabBtn.active{
+        border-color:#111;
+      }
+
+      .collectionsRow{
+        width:100%;
+        max-width:720px;
+        margin-top:12px;
+        display:grid;
+        grid-template-columns: 1fr 1fr;
+        gap:10px;
+      }
+      .collectionCard{
+        border:1px solid #eee;
+        border-radius:12px;
+        padding:14px;
+        text-decoration:none;
+        background:#fff;
+        display:flex;
+        align-items:center;
+        justify-content:space-between;
+        gap:10px;
+      }
+      .collectionTitle{font-weight:800}
+      .chev{opacity:.65}
+
+      .postList{width:100%;max-width:none;margin-top:14px}
+      .postItem{border:1px solid #eee;border-radius:12px;padding:12px;margin-top:10px;background:#fff}
+
+      .postHeader{
+        display:flex;
+        justify-content:space-between;
+        gap:10px;
+        flex-wrap:wrap;
+        align-items:flex-start
+      }
+      .postAuthorRow{
+        display:flex;
+        align-items:center;
+        gap:10px;
+      }
+      .postAuthorAvatar{
+        width:45px;
+        height:45px;
+        border-radius:14px;
+        object-fit:cover;
+        border:1px solid #eee;
+        background:#fafafa;
+        flex:0 0 auto;
+      }
+      .postAuthor{font-weight:800}
+      .postMetaRight{display:flex;gap:10px;align-items:center}
+      .tradeBadge{border-radius:999px;padding:3px 8px;font-size:12px;font-weight:800;border:1px solid #ddd;background:#fff}
+      .tradeBadge.open{border-color:#1a7f37;color:#1a7f37}
+      .tradeBadge.pending{border-color:#9a6700;color:#9a6700}
+      .tradeBadge.completed{border-color:#999;color:#666}
+      .tradeBadge.negative{border-color:#b00020;color:#b00020}
+      .repBox{width:100%;max-width:720px;margin-top:10px;text-align:left}
+      .tradeBox{display:grid;grid-template-columns:1fr 1fr;gap:10px;margin-top:10px;border:1px solid #f0f0f0;border-radius:10px;padding:8px 10px}
+      .tradeCol{min-width:0}
+      .tradeList{margin:4px 0 0 0;padding-left:18px;font-size:13px;overflow-wrap:anywhere}
+      select{padding:8px 10px;border:1px solid #ddd;border-radius:10px;font:inherit;background:#fff}
+      .tagLink{color:#0b57d0;text-decoration:none;font-weight:600}
+      .tagLink:hover{text-decoration:underline}
+      .linkBtn{border:none;background:none;padding:0;font:inherit;text-decoration:underline;cursor:pointer;color:inherit}
+
+      /* MEDIA: make it as large as possible within the viewport */
+      .mediaGrid{
+        width:100%;
+        display:grid;
+        grid-template-columns: 1fr;
+        gap:10px;
+        margin-top:10px;
+      }
+      .mediaTile{
+        width:100%;
+        border-radius:12px;
+        border:1px solid #eee;
+        background:#fafafa;
+        overflow:hidden;
+        cursor:pointer;
+        position:relative;
+      }
+      .mediaTile img, .mediaTile video{
+        display:block;
+        width:100%;
+        height:auto;
+        max-height:70vh;
+        object-fit:contain;
+        aspect-ratio:auto;
+      }
+      .mediaTile video{object-fit:contain}
+      .mediaBadge{
+        position:absolute;
+        right:8px;
+        top:8px;
+        background:rgba(0,0,0,.65);
+        color:#fff;
+        border-radius:999px;
+        padding:4px 8px;
+        font-size:12px;
+        font-weight:700;
+      }
+
+      .actions{display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin-top:10px}
+      .actionBtn{
+        border:1px solid #ddd;
+        border-radius:10px;
+        padding:10px 12px;
+        background:#fff;
+        cursor:pointer;
+        display:inline-flex;
+        align-items:center;
+        gap:8px;
+        font-weight:800;
+        line-height:1;
+      }
+      .actionBtn.liked{border-color:#111}
+      .heartIcon{
+        font-size:18px;
+        line-height:1;
+        display:inline-block;
+      }
+
+      .commentBox{margin-top:10px}
+      .commentItem{border-top:1px solid #f0f0f0;padding-top:8px;margin-top:8px}
+
+      .commentRow{
+        display:flex;
+        gap:10px;
+        align-items:flex-start;
+      }
+      .commentAvatar{
+        width:45px;
+        height:45px;
+        border-radius:14px;
+        object-fit:cover;
+        border:1px solid #eee;
+        background:#fafafa;
+        flex:0 0 auto;
+        margin-top:1px;
+      }
+      .commentBody{
+        flex:1;
+        min-width:0;
+      }
+      .commentAuthor{font-weight:700; line-height:1.1}
+      .commentText{white-space:pre-wrap; margin-top:4px}
+      .commentReply{margin-left:55px}
+      .replyBox{margin:6px 0 0 55px}
+      .replyBox summary{cursor:pointer}
+
+      .divider{height:1px;background:#eee;margin:12px 0}
+
+      /* Two-column grid for Collection + Trades timelines on ALL sizes */
+      .bucketGrid{
+        width:100%;
+        margin-top:14px;
+        display:grid;
+        grid-template-columns: repeat(2, minmax(0, 1fr));
+        gap:10px;
+      }
+      .bucketGrid .postItem{
+        margin-top:0;
+      }
+
+      /* Profile actions (Follow + Message) */
+      .profileActions{
+        display:flex;
+        gap:10px;
+        margin-top:10px;
+        flex-wrap:wrap;
+        justify-content:center;
+      }
+      .pillBtn{
+        border:1px solid #ddd;
+        border-radius:999px;
+        padding:10px 14px;
+        background:#fff;
+        cursor:pointer;
+        font-weight:900;
+        display:inline-flex;
+        align-items:center;
+        gap:8px;
+        text-decoration:none;
+      }
+      .pillBtn.primary{border-color:#111}
+      .pillIcon{font-size:16px;line-height:1}
+
+      /* DM UI */
+      .dmWrap{width:100%;max-width:920px;margin-top:14px}
+      .dmThread{border:1px solid #eee;border-radius:12px;padding:12px;background:#fff}
+      .dmMsg{padding:10px 12px;border-radius:12px;max-width:78%;border:1px solid #eee;background:#fafafa}
+      .dmRow{display:flex;margin-top:10px}
+      .dmRow.me{justify-content:flex-end}
+      .dmRow.me .dmMsg{background:#fff;border-color:#ddd}
+      .dmMeta{font-size:12px;opacity:.7;margin-top:6px}
+      .dmComposer{margin-top:12px;border-top:1px solid #eee;padding-top:12px}
+      .dmFile{margin-top:10px}
+      .dmMediaLink{display:inline-block;margin-top:8px}
+      .inboxRow.unread{border-color:#111;font-weight:700}
+
+      /* Lightbox */
+      .lb{
+        position:fixed;
+        inset:0;
+        background:rgba(0,0,0,.92);
+        display:none;
+        align-items:center;
+        justify-content:center;
+        z-index:9999;
+        padding:18px;
+      }
+      .lb.show{display:flex}
+      .lbInner{
+        width:100%;
         height:100%;
         max-width:none;
         max-height:none;
@@ -910,1098 +2773,4656 @@ function page(bodyHtml, reqForBase) {
         cursor:pointer;
         font-weight:800;
       }
-      .lbStage{
-        flex:1;
-        display:flex;
-        align-items:center;
-        justify-content:center;
-        overflow:hidden;
-        border-radius:14px;
+      .lbStage{
+        flex:1;
+        display:flex;
+        align-items:center;
+        justify-content:center;
+        overflow:hidden;
+        border-radius:14px;
+      }
+      .lbStage img, .lbStage video{
+        width:100%;
+        height:100%;
+        max-width:100%;
+        max-height:100%;
+        object-fit:contain;
+        border-radius:14px;
+        display:block;
+      }
+      .lbNav{
+        display:flex;
+        justify-content:center;
+        gap:10px;
+      }
+
+      /* Mobile scaling: slightly smaller overall so it fits better */
+      @media (max-width: 520px){
+        body{margin:14px;font-size:14px}
+        .card{padding:12px}
+        input, textarea{padding:9px 10px}
+        .collectionsRow{grid-template-columns: 1fr}
+        .actionBtn{padding:9px 10px}
+        .heartIcon{font-size:20px}
+        .avatarBox{width:104px;height:104px}
+        .avatar{width:104px;height:104px;border-radius:14px}
+        .postAuthorAvatar,.commentAvatar{width:40px;height:40px;border-radius:12px}
+        .commentReply,.replyBox{margin-left:24px}
+        .composerFake{min-width:160px}
+        .tabBtn{padding:9px 12px}
+        .pillBtn{padding:8px 12px}
+        .dmMsg{max-width:90%}
+      }
+    </style>
+  </head>
+  <body>
+    <div class="nav">
+      <a href="${base}">Feed</a>
+      <a href="${base}/me">My Profile</a>
+      <a href="${base}/collection">My Collection</a>
+      <a href="${base}/trades">Trades</a>
+      <a href="${base}/inbox">Messages${navBadge(badges.messages)}</a>
+      <a href="${base}/notifications">Notifications${navBadge(badges.notifications)}</a>
+      ${reqForBase && isModerator(getViewerCustomerId(reqForBase)) ? `<a href="${base}/mod">Moderation</a>` : ""}
+      ${reqForBase && getViewerCustomerId(reqForBase) ? `<a href="${base}/logout">Log out</a>` : ""}
+      <form class="navSearch" method="GET" action="${base}/search" role="search">
+        <input type="search" name="q" maxlength="100" placeholder="Search" aria-label="Search" />
+      </form>
+    </div>
+    <hr/>
+    <div class="card">
+      ${bodyHtml}
+    </div>
+
+    <div class="lb" id="lb">
+      <div class="lbInner">
+        <div class="lbTop">
+          <div id="lbTitle" class="small"></div>
+          <button class="lbBtn" type="button" id="lbClose">Close</button>
+        </div>
+        <div class="lbStage" id="lbStage"></div>
+        <div class="lbNav">
+          <button class="lbBtn" type="button" id="lbPrev">Prev</button>
+          <button class="lbBtn" type="button" id="lbNext">Next</button>
+        </div>
+      </div>
+    </div>
+
+    <script>
+      (function(){
+        const lb = document.getElementById('lb');
+        const stage = document.getElementById('lbStage');
+        const title = document.getElementById('lbTitle');
+        const closeBtn = document.getElementById('lbClose');
+        const prevBtn = document.getElementById('lbPrev');
+        const nextBtn = document.getElementById('lbNext');
+
+        let items = [];
+        let idx = 0;
+
+        function setStage(){
+          if (!stage) return;
+          stage.innerHTML = '';
+          const it = items[idx];
+          if (!it) return;
+
+          title.textContent = (idx + 1) + ' / ' + items.length;
+
+          if (it.type === 'video'){
+            const v = document.createElement('video');
+            v.src = it.src;
+            v.controls = true;
+            v.playsInline = true;
+            stage.appendChild(v);
+          } else {
+            const im = document.createElement('img');
+            im.src = it.src;
+            im.alt = '';
+            stage.appendChild(im);
+          }
+        }
+
+        function openLightbox(group, start){
+          const els = document.querySelectorAll('[data-lb-group="' + group + '"]');
+          const nextItems = [];
+          els.forEach((el) => {
+            const src = el.getAttribute('data-lb-src') || '';
+            const type = el.getAttribute('data-lb-type') || 'image';
+            if (src) nextItems.push({ src, type });
+          });
+          if (!nextItems.length) return;
+
+          items = nextItems;
+          idx = Math.max(0, Math.min(items.length - 1, Number(start) || 0));
+          setStage();
+
+          if (lb) lb.classList.add('show');
+          document.body.style.overflow = 'hidden';
+        }
+
+        function closeLightbox(){
+          if (lb) lb.classList.remove('show');
+          if (stage) stage.innerHTML = '';
+          document.body.style.overflow = '';
+          items = [];
+          idx = 0;
+        }
+
+        document.addEventListener('click', (e) => {
+          const t = e.target;
+          if (!(t instanceof HTMLElement)) return;
+
+          const tile = t.closest && t.closest('[data-lb-open="1"]');
+          if (tile){
+            const group = tile.getAttribute('data-lb-group') || '';
+            const start = tile.getAttribute('data-lb-idx') || '0';
+            if (group) openLightbox(group, start);
+          }
+        });
+
+        if (closeBtn) closeBtn.addEventListener('click', closeLightbox);
+        if (lb) lb.addEventListener('click', (e) => { if (e.target === lb) closeLightbox(); });
+
+        function prev(){
+          if (!items.length) return;
+          idx = (idx - 1 + items.length) % items.length;
+          setStage();
+        }
+        function next(){
+          if (!items.length) return;
+          idx = (idx + 1) % items.length;
+          setStage();
+        }
+
+        if (prevBtn) prevBtn.addEventListener('click', prev);
+        if (nextBtn) nextBtn.addEventListener('click', next);
+
+        document.addEventListener('keydown', (e) => {
+          if (!lb || !lb.classList.contains('show')) return;
+          if (e.key === 'Escape') closeLightbox();
+          if (e.key === 'ArrowLeft') prev();
+          if (e.key === 'ArrowRight') next();
+        });
+      })();
+    </script>
+  </body>
+</html>`;
+}
+
+/* ---------------------------
+   Auth middleware
+---------------------------- */
+
+async function requireProxyAuth(req, res, next) {
+  if (!SHOPIFY_API_SECRET) {
+    return res
+      .status(200)
+      .type("html")
+      .send(page(`<p class="error">Missing SHOPIFY_API_SECRET</p>`, req));
+  }
+
+  let signed = null;
+  if (verifyShopifyProxy(req)) {
+    const q = (k) => (typeof req.query[k] === "string" ? req.query[k] : "");
+    signed = {
+      customerId: q("logged_in_customer_id"),
+      shop: q("shop"),
+      pathPrefix: q("path_prefix") || "/apps/nuggetdepot",
+    };
+  }
+
+  try {
+    req.auth = await resolveAuth(req, res, signed);
+  } catch (e) {
+    // Session store trouble: signed requests still work, cookie-only ones don't
+    console.error("session error:", e);
+    req.auth = signed ? { ...signed, sessionId: "" } : null;
+  }
+  if (req.auth) return next();
+
+  const keys = Object.keys(req.query || {}).sort().join(", ");
+  return res.status(200).type("html").send(
+    page(
+      `
+        <p class="error">Invalid proxy signature.</p>
+        <p class="muted">Path: <code>${escapeHtml(req.originalUrl)}</code></p>
+        <p class="muted">Query keys: <code>${escapeHtml(keys || "none")}</code></p>
+      `,
+      req
+    )
+  );
+}
+
+/* ---------------------------
+   Proxy routes
+---------------------------- */
+
+const proxy = express.Router();
+proxy.use(requireProxyAuth);
+
+// Force no-cache for all proxy responses (prevents 304s for HTML); media routes override it in sendMedia()
+proxy.use((req, res, next) => {
+  res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  next();
+});
+
+// Every state-changing request must carry the CSRF token from the page that rendered its form. Uploads
+// are checked once multer has read the body; any other multipart request has no parsed token and fails here.
+proxy.use((req, res, next) => {
+  if (req.method === "GET" || req.method === "HEAD") return next();
+  if (req.method === "POST" && isMultipartRoute(req)) return next();
+  return requireCsrf(req, res, next);
+});
+
+// Nav badge counts, only for full HTML page loads (skips media, fetch and form posts)
+proxy.use(async (req, res, next) => {
+  req.navBadges = { notifications: 0, messages: 0 };
+  if (req.method !== "GET") return next();
+  if (!String(req.headers.accept || "").includes("text/html")) return next();
+
+  const viewerId = getViewerCustomerId(req);
+  if (!pool || !viewerId) return next();
+
+  try {
+    req.navBadges.notifications = await countUnreadNotifications(viewerId);
+    req.navBadges.messages = await countUnreadMessages(viewerId);
+  } catch (e) {
+    console.error("nav badge error:", e);
+  }
+  next();
+});
+
+/* ---------------------------
+   DB helpers
+---------------------------- */
+
+async function getProfile(customerId) {
+  if (!pool) return null;
+  await ensureSchema();
+  const r = await pool.query(
+    `SELECT customer_id, shop, username, username_changed_at, first_name, last_name, bio, social_url, avatar_mime
+     FROM profiles_v2
+     WHERE customer_id=$1`,
+    [customerId]
+  );
+  return r.rows?.[0] || null;
+}
+
+// Media getters return { media_mime, content_hash, load() }: the bytes are only fetched when the
+// response needs them (a 304 doesn't)
+async function getAvatar(customerId) {
+  if (!pool) return null;
+  await ensureSchema();
+  const r = await pool.query(
+    `SELECT (avatar_bytes IS NOT NULL OR avatar_key IS NOT NULL) AS has_avatar,
+            avatar_key, avatar_hash, avatar_mime, first_name, last_name
+     FROM profiles_v2
+     WHERE customer_id=$1`,
+    [customerId]
+  );
+  const row = r.rows?.[0];
+  if (!row) return null;
+  return {
+    ...row,
+    content_hash: row.avatar_hash || "",
+    load: async () => {
+      if (row.avatar_key) return loadMediaBytes(null, row.avatar_key);
+      const b = await pool.query(`SELECT avatar_bytes FROM profiles_v2 WHERE customer_id=$1`, [customerId]);
+      return b.rows?.[0]?.avatar_bytes || null;
+    },
+  };
+}
+
+// Stores the new avatar and its variants, then drops the previous blob (if it was in the store)
+async function setAvatar(customerId, { bytes, mime }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const prev = await pool.query(`SELECT avatar_key FROM profiles_v2 WHERE customer_id=$1`, [customerId]);
+  const stored = await storeMediaBytes(`avatars/${customerId}`, bytes, mime);
+  await updateProfile(customerId, {
+    avatar_bytes: stored.bytes,
+    avatar_key: stored.key,
+    avatar_hash: stored.hash,
+    avatar_mime: mime,
+  });
+  await deleteBlobs([prev.rows?.[0]?.avatar_key]);
+  await deleteMediaVariants({ kind: "avatar", refId: customerId });
+  await saveMediaVariants({ kind: "avatar", refId: customerId, bytes, mime });
+}
+
+async function ensureRow(customerId, shop) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  await pool.query(
+    `INSERT INTO profiles_v2 (
+        customer_id, shop,
+        username, full_name, favorite_pokemon,
+        first_name, last_name, bio, social_url, avatar_mime
+     )
+     VALUES ($1,$2,'','','','','','','','')
+     ON CONFLICT (customer_id)
+     DO UPDATE SET shop=EXCLUDED.shop, updated_at=NOW()`,
+    [customerId, shop]
+  );
+}
+
+async function updateProfile(customerId, patch) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const keys = Object.keys(patch);
+  if (keys.length === 0) return;
+
+  const sets = [];
+  const vals = [];
+  let i = 1;
+
+  for (const k of keys) {
+    sets.push(`${k}=$${i++}`);
+    vals.push(patch[k]);
+  }
+  vals.push(customerId);
+
+  await pool.query(
+    `UPDATE profiles_v2 SET ${sets.join(", ")}, updated_at=NOW() WHERE customer_id=$${i}`,
+    vals
+  );
+}
+
+// Returns "ok" | "unchanged" | "taken" | "cooldown".
+// Re-casing your own name is free; any other change (after the first claim) waits out the cooldown.
+async function claimUsername({ shop, customerId, username }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const cur = await pool.query(`SELECT username FROM profiles_v2 WHERE customer_id=$1`, [customerId]);
+  if (String(cur.rows?.[0]?.username || "") === username) return "unchanged";
+
+  const taken = await pool.query(
+    `SELECT 1 FROM profiles_v2 WHERE shop=$1 AND username <> '' AND lower(username)=lower($2) AND customer_id <> $3 LIMIT 1`,
+    [shop, username, customerId]
+  );
+  if ((taken.rows || []).length) return "taken";
+
+  try {
+    const r = await pool.query(
+      `
+      UPDATE profiles_v2
+      SET username = $2,
+          username_changed_at = CASE WHEN lower(username) = lower($2) THEN username_changed_at ELSE NOW() END,
+          updated_at = NOW()
+      WHERE customer_id = $1
+        AND (
+          username = ''
+          OR lower(username) = lower($2)
+          OR username_changed_at IS NULL
+          OR username_changed_at < NOW() - make_interval(days => $3)
+        )
+      RETURNING customer_id
+      `,
+      [customerId, username, USERNAME_COOLDOWN_DAYS]
+    );
+    return (r.rows || []).length ? "ok" : "cooldown";
+  } catch (e) {
+    // Lost a race with someone claiming the same name
+    if (e?.code === "23505") return "taken";
+    throw e;
+  }
+}
+
+// The post, its media and (for trades) its listing are written in one transaction: either all of it
+// exists afterwards or none of it does. Tags, mentions and image variants follow as side effects.
+async function createPost({ shop, customerId, body, bucket, media = [], trade = null }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const b = normalizeBucket(bucket);
+  const items = (Array.isArray(media) ? media : []).filter((it) => it?.bytes && it?.mime);
+
+  const postId = await reserveId("posts_v1");
+  if (!postId) return null;
+
+  const stored = await storeMediaItems(`post-media/${postId}`, items);
+  try {
+    await withTransaction(async (db) => {
+      await db.query(
+        `INSERT INTO posts_v1 (id, shop, customer_id, body, bucket)
+         VALUES ($1,$2,$3,$4,$5)`,
+        [postId, shop, customerId, body || "", b]
+      );
+      await insertMediaRows(db, "post_media_v1", "post_id", postId, stored);
+      if (trade) {
+        await db.query(
+          `INSERT INTO trade_listings_v1 (post_id, have_cards, want_cards)
+           VALUES ($1,$2,$3)`,
+          [postId, trade.haveCards || [], trade.wantCards || []]
+        );
+      }
+    });
+  } catch (e) {
+    await deleteBlobs(stored.map((s) => s.key));
+    throw e;
+  }
+
+  await indexPostTags(postId);
+  await indexMentions({ shop, postId, actorId: customerId, body });
+  for (let i = 0; i < items.length; i++) {
+    await saveMediaVariants({ kind: "post", refId: postId, idx: i, bytes: items[i].bytes, mime: items[i].mime });
+  }
+  return postId;
+}
+
+async function getPostById(postId) {
+  if (!pool) return null;
+  await ensureSchema();
+  const r = await pool.query(
+    `SELECT id, shop, customer_id, body, bucket, created_at, edited_at, hidden_at,
+       (media_mime <> '') AS has_legacy_media,
+       EXISTS (SELECT 1 FROM post_media_v1 pm WHERE pm.post_id = posts_v1.id) AS has_media
+     FROM posts_v1
+     WHERE id=$1`,
+    [postId]
+  );
+  return r.rows?.[0] || null;
+}
+
+// For viewer-facing routes: a post a moderator hid is gone for everyone (the author's own edit routes
+// use getPostById)
+async function getVisiblePostById(postId) {
+  const post = await getPostById(postId);
+  return post && !post.hidden_at ? post : null;
+}
+
+// Author-only: returns false when the post is missing or owned by someone else
+async function updatePostBody({ postId, customerId, body }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+  const r = await pool.query(
+    `UPDATE posts_v1 SET body=$3, edited_at=NOW() WHERE id=$1 AND customer_id=$2 RETURNING id, shop`,
+    [postId, customerId, body || ""]
+  );
+  const row = r.rows?.[0];
+  if (!row) return false;
+
+  await indexPostTags(postId);
+  await indexMentions({ shop: row.shop, postId, actorId: customerId, body });
+  return true;
+}
+
+// Author-only: deletes the post and everything hanging off it (media, likes, comments,
+// notifications, trade listing, offers, tags, mentions, image variants) in one statement, then its stored blobs
+async function deletePost({ postId, customerId }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+  const r = await pool.query(
+    `
+    WITH del AS (
+      DELETE FROM posts_v1 WHERE id=$1 AND customer_id=$2 RETURNING id
+    ),
+    del_media AS (
+      DELETE FROM post_media_v1 WHERE post_id IN (SELECT id FROM del) RETURNING storage_key
+    ),
+    del_variants AS (
+      DELETE FROM media_variants_v1 WHERE kind = 'post' AND ref_id IN (SELECT id::text FROM del) RETURNING storage_key
+    ),
+    del_likes AS (
+      DELETE FROM likes_v1 WHERE post_id IN (SELECT id FROM del)
+    ),
+    del_comments AS (
+      DELETE FROM comments_v1 WHERE post_id IN (SELECT id FROM del)
+    ),
+    del_notifications AS (
+      DELETE FROM notifications_v1 WHERE post_id IN (SELECT id FROM del)
+    ),
+    del_trade AS (
+      DELETE FROM trade_listings_v1 WHERE post_id IN (SELECT id FROM del)
+    ),
+    del_offers AS (
+      DELETE FROM trade_offers_v1 WHERE post_id IN (SELECT id FROM del)
+    ),
+    del_tags AS (
+      DELETE FROM post_tags_v1 WHERE post_id IN (SELECT id FROM del)
+    ),
+    del_mentions AS (
+      DELETE FROM mentions_v1 WHERE post_id IN (SELECT id FROM del)
+    )
+    SELECT id, ARRAY(
+      SELECT storage_key FROM del_media WHERE storage_key IS NOT NULL
+      UNION ALL
+      SELECT storage_key FROM del_variants WHERE storage_key IS NOT NULL
+    ) AS blob_keys
+    FROM del
+    `,
+    [postId, customerId]
+  );
+  const row = r.rows?.[0];
+  if (!row) return false;
+  await deleteBlobs(row.blob_keys);
+  return true;
+}
+
+// Author-only: returns false when the post is missing, not a trade, or owned by someone else
+// Open <-> pending freely; completed is final (feedback hangs off it, so a listing can't be recycled).
+// Returns "ok", "completed" (already final) or null (not the author's trade).
+async function updateTradeStatus({ postId, customerId, status }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const st = normalizeTradeStatus(status);
+  if (!st) return null;
+
+  const r = await pool.query(
+    `UPDATE trade_listings_v1 t
+     SET status=$3, status_updated_at=NOW()
+     FROM posts_v1 p
+     WHERE t.post_id = p.id AND p.id=$1 AND p.customer_id=$2 AND t.status <> 'completed'
+     RETURNING t.post_id`,
+    [postId, customerId, st]
+  );
+  if ((r.rows || []).length) return "ok";
+
+  const existing = await pool.query(
+    `SELECT t.status
+     FROM trade_listings_v1 t
+     JOIN posts_v1 p ON p.id = t.post_id
+     WHERE p.id=$1 AND p.customer_id=$2`,
+    [postId, customerId]
+  );
+  return existing.rows?.[0] ? "completed" : null;
+}
+
+async function getTradeMeta(postIds) {
+  const byPostId = {};
+  if (!pool || postIds.length === 0) return { byPostId };
+  await ensureSchema();
+
+  const r = await pool.query(
+    `SELECT post_id, have_cards, want_cards, status
+     FROM trade_listings_v1
+     WHERE post_id = ANY($1::bigint[])`,
+    [postIds]
+  );
+  for (const row of r.rows || []) {
+    byPostId[row.post_id] = {
+      trade: {
+        have: Array.isArray(row.have_cards) ? row.have_cards : [],
+        want: Array.isArray(row.want_cards) ? row.want_cards : [],
+        status: normalizeTradeStatus(row.status) || "open",
+      },
+    };
+  }
+  return { byPostId };
+}
+
+/* ---------------------------
+   Trade offer helpers
+---------------------------- */
+
+// Offers can only be made on someone else's open trade listing
+async function createOffer({ shop, postId, fromId, cards, note }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    INSERT INTO trade_offers_v1 (shop, post_id, from_id, to_id, cards, note)
+    SELECT $1, p.id, $3, p.customer_id, $4, $5
+    FROM posts_v1 p
+    JOIN trade_listings_v1 t ON t.post_id = p.id
+    WHERE p.id = $2 AND t.status = 'open' AND p.customer_id <> $3
+    RETURNING id, to_id
+    `,
+    [shop, postId, fromId, cards || [], note || ""]
+  );
+  const row = r.rows?.[0];
+  if (!row) return null;
+
+  await addNotification({ shop, recipientId: row.to_id, actorId: fromId, kind: "offer", postId });
+  return Number(row.id);
+}
+
+async function getOfferById(offerId) {
+  if (!pool) return null;
+  await ensureSchema();
+  const r = await pool.query(
+    `SELECT o.id, o.shop, o.post_id, o.from_id, o.to_id, o.cards, o.note, o.status,
+       o.parent_id, o.root_id, o.created_at,
+       t.status AS trade_status
+     FROM trade_offers_v1 o
+     LEFT JOIN trade_listings_v1 t ON t.post_id = o.post_id
+     WHERE o.id=$1`,
+    [offerId]
+  );
+  return r.rows?.[0] || null;
+}
+
+// Recipient of a pending offer accepts it; the listing moves open -> pending in the same statement
+async function acceptOffer({ offerId, customerId }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    WITH acc AS (
+      UPDATE trade_offers_v1 o
+      SET status='accepted', responded_at=NOW()
+      FROM trade_listings_v1 t
+      WHERE o.id=$1 AND o.to_id=$2 AND o.status='pending'
+        AND t.post_id = o.post_id AND t.status='open'
+      RETURNING o.id, o.shop, o.post_id, o.from_id
+    ),
+    lst AS (
+      UPDATE trade_listings_v1
+      SET status='pending', status_updated_at=NOW()
+      WHERE post_id IN (SELECT post_id FROM acc)
+    )
+    SELECT * FROM acc
+    `,
+    [offerId, customerId]
+  );
+  const row = r.rows?.[0];
+  if (!row) return null;
+
+  await addNotification({
+    shop: row.shop,
+    recipientId: row.from_id,
+    actorId: customerId,
+    kind: "offer_accepted",
+    postId: row.post_id,
+  });
+  return row;
+}
+
+async function declineOffer({ offerId, customerId }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const r = await pool.query(
+    `UPDATE trade_offers_v1
+     SET status='declined', responded_at=NOW()
+     WHERE id=$1 AND to_id=$2 AND status='pending'
+     RETURNING id, shop, post_id, from_id`,
+    [offerId, customerId]
+  );
+  const row = r.rows?.[0];
+  if (!row) return null;
+
+  await addNotification({
+    shop: row.shop,
+    recipientId: row.from_id,
+    actorId: customerId,
+    kind: "offer_declined",
+    postId: row.post_id,
+  });
+  return row;
+}
+
+// Counter = close the pending offer as "countered" and send a new offer back the other way
+async function counterOffer({ offerId, customerId, cards, note }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    WITH old AS (
+      UPDATE trade_offers_v1 o
+      SET status='countered', responded_at=NOW()
+      FROM trade_listings_v1 t
+      WHERE o.id=$1 AND o.to_id=$2 AND o.status='pending'
+        AND t.post_id = o.post_id AND t.status='open'
+      RETURNING o.id, o.shop, o.post_id, o.from_id, o.to_id, o.root_id
+    )
+    INSERT INTO trade_offers_v1 (shop, post_id, from_id, to_id, cards, note, parent_id, root_id)
+    SELECT shop, post_id, to_id, from_id, $3, $4, id, COALESCE(root_id, id)
+    FROM old
+    RETURNING id, shop, post_id, to_id
+    `,
+    [offerId, customerId, cards || [], note || ""]
+  );
+  const row = r.rows?.[0];
+  if (!row) return null;
+
+  await addNotification({
+    shop: row.shop,
+    recipientId: row.to_id,
+    actorId: customerId,
+    kind: "offer",
+    postId: row.post_id,
+  });
+  return row;
+}
+
+function normalizeRating(x) {
+  const v = String(x || "").toLowerCase().trim();
+  if (v === "positive") return 1;
+  if (v === "neutral") return 0;
+  if (v === "negative") return -1;
+  return null;
+}
+
+function ratingLabel(r) {
+  const n = Number(r);
+  if (n > 0) return "Positive";
+  if (n < 0) return "Negative";
+  return "Neutral";
+}
+
+// Either side of an accepted offer on a completed trade rates the other side, once per listing.
+// Returns "ok", "duplicate" or null (not allowed / not found).
+async function leaveTradeFeedback({ offerId, raterId, rating, comment }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    INSERT INTO trade_feedback_v1 (shop, offer_id, post_id, rater_id, ratee_id, rating, comment)
+    SELECT o.shop, o.id, o.post_id, $2,
+      CASE WHEN o.from_id = $2 THEN o.to_id ELSE o.from_id END,
+      $3, $4
+    FROM trade_offers_v1 o
+    JOIN trade_listings_v1 t ON t.post_id = o.post_id
+    WHERE o.id = $1
+      AND o.status = 'accepted'
+      AND t.status = 'completed'
+      AND (o.from_id = $2 OR o.to_id = $2)
+      AND o.from_id <> o.to_id
+    ON CONFLICT (post_id, rater_id, ratee_id) DO NOTHING
+    RETURNING id, shop, ratee_id, post_id
+    `,
+    [offerId, raterId, rating, comment || ""]
+  );
+  const row = r.rows?.[0];
+  if (row) {
+    await addNotification({
+      shop: row.shop,
+      recipientId: row.ratee_id,
+      actorId: raterId,
+      kind: "feedback",
+      postId: row.post_id,
+    });
+    return "ok";
+  }
+
+  const existing = await pool.query(
+    `SELECT 1
+     FROM trade_feedback_v1 f
+     JOIN trade_offers_v1 o ON o.post_id = f.post_id
+     WHERE o.id=$1 AND f.rater_id=$2
+       AND f.ratee_id = CASE WHEN o.from_id = $2 THEN o.to_id ELSE o.from_id END`,
+    [offerId, raterId]
+  );
+  return (existing.rows || []).length ? "duplicate" : null;
+}
+
+async function getReputation(customerId) {
+  const empty = { positive: 0, neutral: 0, negative: 0, total: 0, score: 0 };
+  if (!pool || !customerId) return empty;
+  await ensureSchema();
+
+  const r = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE rating = 1)::int AS positive,
+       COUNT(*) FILTER (WHERE rating = 0)::int AS neutral,
+       COUNT(*) FILTER (WHERE rating = -1)::int AS negative
+     FROM trade_feedback_v1
+     WHERE ratee_id = $1`,
+    [customerId]
+  );
+  const row = r.rows?.[0] || {};
+  const positive = Number(row.positive) || 0;
+  const neutral = Number(row.neutral) || 0;
+  const negative = Number(row.negative) || 0;
+  return { positive, neutral, negative, total: positive + neutral + negative, score: positive - negative };
+}
+
+async function listRecentFeedback({ customerId, limit = 5 }) {
+  if (!pool || !customerId) return [];
+  await ensureSchema();
+
+  const r = await pool.query(
+    `SELECT f.id, f.rater_id, f.rating, f.comment, f.created_at,
+       pr.first_name, pr.last_name, pr.username
+     FROM trade_feedback_v1 f
+     LEFT JOIN profiles_v2 pr ON pr.customer_id = f.rater_id
+     WHERE f.ratee_id = $1
+     ORDER BY f.created_at DESC, f.id DESC
+     LIMIT $2`,
+    [customerId, limit]
+  );
+  return r.rows || [];
+}
+
+// Offer ids (from the list) whose other side the rater has already rated on that listing
+async function getFeedbackGiven({ raterId, offerIds }) {
+  const out = new Set();
+  if (!pool || !raterId || offerIds.length === 0) return out;
+  await ensureSchema();
+
+  const r = await pool.query(
+    `SELECT o.id
+     FROM trade_offers_v1 o
+     JOIN trade_feedback_v1 f
+       ON f.post_id = o.post_id AND f.rater_id = $1
+      AND f.ratee_id = CASE WHEN o.from_id = $1 THEN o.to_id ELSE o.from_id END
+     WHERE o.id = ANY($2::bigint[])`,
+    [raterId, offerIds]
+  );
+  for (const row of r.rows || []) out.add(Number(row.id));
+  return out;
+}
+
+// Every offer the viewer sent or received, grouped into threads (root + counters), newest activity first.
+// The limit keeps the newest offers (pending ones are the ones that need action); very old ones drop off.
+async function listOfferThreads({ viewerId, limit = 200 }) {
+  if (!pool) return [];
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    SELECT
+      o.id, o.post_id, o.from_id, o.to_id, o.cards, o.note, o.status,
+      o.parent_id, o.root_id, o.created_at, o.responded_at,
+      COALESCE(o.root_id, o.id) AS thread_id,
+      p.body AS post_body, p.customer_id AS post_owner_id,
+      t.status AS trade_status, t.have_cards, t.want_cards,
+      fp.first_name AS from_first_name, fp.last_name AS from_last_name,
+      tp.first_name AS to_first_name, tp.last_name AS to_last_name
+    FROM trade_offers_v1 o
+    LEFT JOIN posts_v1 p ON p.id = o.post_id
+    LEFT JOIN trade_listings_v1 t ON t.post_id = o.post_id
+    LEFT JOIN profiles_v2 fp ON fp.customer_id = o.from_id
+    LEFT JOIN profiles_v2 tp ON tp.customer_id = o.to_id
+    WHERE o.from_id = $1 OR o.to_id = $1
+    ORDER BY o.created_at DESC, o.id DESC
+    LIMIT $2
+    `,
+    [viewerId, limit]
+  );
+
+  // Oldest first again so each thread reads root -> counters
+  const rows = (r.rows || []).reverse();
+  const threads = [];
+  const byId = {};
+  for (const row of rows) {
+    const tid = Number(row.thread_id);
+    let th = byId[tid];
+    if (!th) {
+      th = {
+        thread_id: tid,
+        post_id: Number(row.post_id),
+        post_body: row.post_body || "",
+        post_owner_id: row.post_owner_id || "",
+        trade_status: normalizeTradeStatus(row.trade_status) || "open",
+        have: Array.isArray(row.have_cards) ? row.have_cards : [],
+        want: Array.isArray(row.want_cards) ? row.want_cards : [],
+        offers: [],
+        latest_at: row.created_at,
+      };
+      byId[tid] = th;
+      threads.push(th);
+    }
+    th.offers.push(row);
+    th.latest_at = row.responded_at && row.responded_at > row.created_at ? row.responded_at : row.created_at;
+  }
+
+  threads.sort((a, b) => new Date(b.latest_at) - new Date(a.latest_at));
+  return threads;
+}
+
+async function getPostMediaRow(postId, idx) {
+  if (!pool) return null;
+  await ensureSchema();
+
+  const i = Number(idx);
+  if (!Number.isFinite(i) || i < 0) return null;
+
+  // A post hidden by a moderator takes its media down with it
+  const r = await pool.query(
+    `SELECT pm.media_mime, pm.storage_key, pm.content_hash
+     FROM post_media_v1 pm
+     JOIN posts_v1 p ON p.id = pm.post_id
+     WHERE pm.post_id=$1 AND pm.idx=$2 AND (pm.media_bytes IS NOT NULL OR pm.storage_key IS NOT NULL)
+       AND p.hidden_at IS NULL`,
+    [postId, i]
+  );
+  const row = r.rows?.[0];
+  if (row?.media_mime) {
+    return {
+      media_mime: row.media_mime,
+      content_hash: row.content_hash || "",
+      load: async () => {
+        if (row.storage_key) return loadMediaBytes(null, row.storage_key);
+        const b = await pool.query(`SELECT media_bytes FROM post_media_v1 WHERE post_id=$1 AND idx=$2`, [
+          postId,
+          i,
+        ]);
+        return b.rows?.[0]?.media_bytes || null;
+      },
+    };
+  }
+
+  if (i === 0) {
+    const legacy = await pool.query(
+      `SELECT media_mime FROM posts_v1 WHERE id=$1 AND media_bytes IS NOT NULL AND hidden_at IS NULL`,
+      [postId]
+    );
+    if (legacy.rows?.[0]?.media_mime) {
+      return {
+        media_mime: legacy.rows[0].media_mime,
+        content_hash: "",
+        load: async () => {
+          const b = await pool.query(`SELECT media_bytes FROM posts_v1 WHERE id=$1`, [postId]);
+          return b.rows?.[0]?.media_bytes || null;
+        },
+      };
+    }
+  }
+
+  return null;
+}
+
+async function getPostMediaMeta(postIds) {
+  const byPostId = {};
+  for (const id of postIds) {
+    byPostId[id] = { media_count: 0, media_types: [] };
+  }
+  if (!pool || postIds.length === 0) return { byPostId };
+  await ensureSchema();
+
+  const r = await pool.query(
+    `SELECT post_id, COUNT(*)::int AS cnt
+     FROM post_media_v1
+     WHERE post_id = ANY($1::bigint[])
+     GROUP BY post_id`,
+    [postIds]
+  );
+  for (const row of r.rows || []) {
+    if (byPostId[row.post_id]) byPostId[row.post_id].media_count = Number(row.cnt) || 0;
+  }
+
+  const r2 = await pool.query(
+    `SELECT post_id, idx, media_mime, content_hash
+     FROM post_media_v1
+     WHERE post_id = ANY($1::bigint[])
+     ORDER BY post_id, idx ASC`,
+    [postIds]
+  );
+  for (const row of r2.rows || []) {
+    if (!byPostId[row.post_id]) continue;
+    byPostId[row.post_id].media_types.push({
+      idx: Number(row.idx) || 0,
+      mime: row.media_mime || "",
+      hash: row.content_hash || "",
+    });
+  }
+
+  const legacy = await pool.query(
+    `SELECT id, media_mime
+     FROM posts_v1
+     WHERE id = ANY($1::bigint[])`,
+    [postIds]
+  );
+  for (const row of legacy.rows || []) {
+    const pid = Number(row.id);
+    if (!byPostId[pid]) continue;
+    if (byPostId[pid].media_count > 0) continue;
+    const mm = String(row.media_mime || "").trim();
+    if (mm) {
+      byPostId[pid].media_count = 1;
+      byPostId[pid].media_types = [{ idx: 0, mime: mm }];
+    }
+  }
+
+  return { byPostId };
+}
+
+async function listPostsForCustomerWithMeta({ targetCustomerId, viewerCustomerId, limit = 20 }) {
+  if (!pool) return { posts: [], nextCursor: "" };
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    SELECT
+      p.id, p.shop, p.customer_id, p.body, p.bucket, p.created_at, p.edited_at,
+      pr.first_name, pr.last_name, pr.username
+    FROM posts_v1 p
+    LEFT JOIN profiles_v2 pr ON pr.customer_id = p.customer_id
+    WHERE p.customer_id = $1 AND p.bucket = 'feed' AND p.hidden_at IS NULL
+      AND ${notShadowHiddenSql("p.customer_id", "$3")}
+    ORDER BY p.created_at DESC, p.id DESC
+    LIMIT $2
+    `,
+    [targetCustomerId, limit, viewerCustomerId || ""]
+  );
+
+  const posts = r.rows || [];
+  const postIds = posts.map((x) => Number(x.id)).filter((x) => Number.isFinite(x));
+
+  const meta = await getPostsMeta(postIds, viewerCustomerId);
+  const mediaMeta = await getPostMediaMeta(postIds);
+  const tradeMeta = await getTradeMeta(postIds);
+
+  const nextCursor =
+    posts.length === limit
+      ? encodeCursor(posts[posts.length - 1].created_at, posts[posts.length - 1].id)
+      : "";
+
+  return {
+    posts: posts.map((p) => ({
+      ...p,
+      ...meta.byPostId[p.id],
+      ...mediaMeta.byPostId[p.id],
+      ...tradeMeta.byPostId[p.id],
+    })),
+    nextCursor,
+  };
+}
+
+async function listBucketPostsWithMeta({
+  shop,
+  viewerCustomerId,
+  bucket = "feed",
+  limit = 20,
+  cursor = null,
+  tradeStatus = "",
+}) {
+  if (!pool) return { posts: [], nextCursor: "" };
+  await ensureSchema();
+
+  const b = normalizeBucket(bucket);
+
+  const params = [shop, b, limit];
+  let cursorClause = "";
+
+  if (cursor?.createdAt && cursor?.id) {
+    cursorClause = ` AND (p.created_at < $4 OR (p.created_at = $4 AND p.id < $5))`;
+    params.push(cursor.createdAt, cursor.id);
+  }
+
+  const st = b === "trades" ? normalizeTradeStatus(tradeStatus) : "";
+  if (st) {
+    params.push(st);
+    cursorClause += ` AND EXISTS (SELECT 1 FROM trade_listings_v1 t WHERE t.post_id = p.id AND t.status = $${params.length})`;
+  }
+
+  params.push(viewerCustomerId || "");
+  cursorClause += ` AND p.hidden_at IS NULL AND ${visibleAuthorSql("p.customer_id", `$${params.length}`)}`;
+
+  const r = await pool.query(
+    `
+    SELECT
+      p.id, p.shop, p.customer_id, p.body, p.bucket, p.created_at, p.edited_at,
+      pr.first_name, pr.last_name, pr.username
+    FROM posts_v1 p
+    LEFT JOIN profiles_v2 pr ON pr.customer_id = p.customer_id
+    WHERE p.shop = $1 AND p.bucket = $2${cursorClause}
+    ORDER BY p.created_at DESC, p.id DESC
+    LIMIT $3
+    `,
+    params
+  );
+
+  const posts = r.rows || [];
+  const postIds = posts.map((x) => Number(x.id)).filter((x) => Number.isFinite(x));
+  const meta = await getPostsMeta(postIds, viewerCustomerId);
+  const mediaMeta = await getPostMediaMeta(postIds);
+  const tradeMeta = await getTradeMeta(postIds);
+
+  const nextCursor =
+    posts.length === limit
+      ? encodeCursor(posts[posts.length - 1].created_at, posts[posts.length - 1].id)
+      : "";
+
+  return {
+    posts: posts.map((p) => ({
+      ...p,
+      ...meta.byPostId[p.id],
+      ...mediaMeta.byPostId[p.id],
+      ...tradeMeta.byPostId[p.id],
+    })),
+    nextCursor,
+  };
+}
+
+// Following timeline: posts (any bucket) from members the viewer follows.
+// Each followee contributes at most `limit` rows via the (customer_id, created_at, id) index,
+// so a page stays cheap even with hundreds of follows.
+async function listFollowingPostsWithMeta({ shop, viewerCustomerId, limit = 20, cursor = null }) {
+  if (!pool || !viewerCustomerId) return { posts: [], nextCursor: "" };
+  await ensureSchema();
+
+  const params = [shop, viewerCustomerId, limit];
+  let cursorClause = "";
+
+  if (cursor?.createdAt && cursor?.id) {
+    cursorClause = ` AND (p.created_at < $4 OR (p.created_at = $4 AND p.id < $5))`;
+    params.push(cursor.createdAt, cursor.id);
+  }
+
+  const r = await pool.query(
+    `
+    SELECT
+      p.id, p.shop, p.customer_id, p.body, p.bucket, p.created_at, p.edited_at,
+      pr.first_name, pr.last_name, pr.username
+    FROM follows_v1 f
+    CROSS JOIN LATERAL (
+      SELECT p.id, p.shop, p.customer_id, p.body, p.bucket, p.created_at, p.edited_at
+      FROM posts_v1 p
+      WHERE p.customer_id = f.followed_id AND p.shop = $1 AND p.hidden_at IS NULL${cursorClause}
+      ORDER BY p.created_at DESC, p.id DESC
+      LIMIT $3
+    ) p
+    LEFT JOIN profiles_v2 pr ON pr.customer_id = p.customer_id
+    WHERE f.follower_id = $2 AND ${visibleAuthorSql("f.followed_id", "$2")}
+    ORDER BY p.created_at DESC, p.id DESC
+    LIMIT $3
+    `,
+    params
+  );
+
+  const posts = r.rows || [];
+  const postIds = posts.map((x) => Number(x.id)).filter((x) => Number.isFinite(x));
+  const meta = await getPostsMeta(postIds, viewerCustomerId);
+  const mediaMeta = await getPostMediaMeta(postIds);
+  const tradeMeta = await getTradeMeta(postIds);
+
+  const nextCursor =
+    posts.length === limit
+      ? encodeCursor(posts[posts.length - 1].created_at, posts[posts.length - 1].id)
+      : "";
+
+  return {
+    posts: posts.map((p) => ({
+      ...p,
+      ...meta.byPostId[p.id],
+      ...mediaMeta.byPostId[p.id],
+      ...tradeMeta.byPostId[p.id],
+    })),
+    nextCursor,
+  };
+}
+
+async function getPostsMeta(postIds, viewerCustomerId) {
+  const byPostId = {};
+  for (const id of postIds) {
+    byPostId[id] = {
+      like_count: 0,
+      comment_count: 0,
+      viewer_liked: false,
+      comments_preview: [],
+    };
+  }
+  if (!pool || postIds.length === 0) return { byPostId };
+
+  const likesR = await pool.query(
+    `SELECT post_id, COUNT(*)::int AS cnt
+     FROM likes_v1
+     WHERE post_id = ANY($1::bigint[])
+     GROUP BY post_id`,
+    [postIds]
+  );
+  for (const row of likesR.rows || []) {
+    if (byPostId[row.post_id]) byPostId[row.post_id].like_count = Number(row.cnt) || 0;
+  }
+
+  if (viewerCustomerId) {
+    const viewerR = await pool.query(
+      `SELECT post_id
+       FROM likes_v1
+       WHERE post_id = ANY($1::bigint[]) AND customer_id = $2`,
+      [postIds, viewerCustomerId]
+    );
+    for (const row of viewerR.rows || []) {
+      if (byPostId[row.post_id]) byPostId[row.post_id].viewer_liked = true;
+    }
+  }
+
+  // Comments from members blocked either way are left out of counts and previews
+  const cCountR = await pool.query(
+    `SELECT c.post_id, COUNT(*)::int AS cnt
+     FROM comments_v1 c
+     WHERE c.post_id = ANY($1::bigint[]) AND c.hidden_at IS NULL AND ${notBlockedSql("c.customer_id", "$2")}
+     GROUP BY c.post_id`,
+    [postIds, viewerCustomerId || ""]
+  );
+  for (const row of cCountR.rows || []) {
+    if (byPostId[row.post_id]) byPostId[row.post_id].comment_count = Number(row.cnt) || 0;
+  }
+
+  const cR = await pool.query(
+    `
+    SELECT * FROM (
+      SELECT
+        c.id, c.post_id, c.body, c.created_at, c.customer_id,
+        pr.first_name, pr.last_name, pr.username,
+        ROW_NUMBER() OVER (PARTITION BY c.post_id ORDER BY c.created_at DESC, c.id DESC) AS rn
+      FROM comments_v1 c
+      LEFT JOIN profiles_v2 pr ON pr.customer_id = c.customer_id
+      WHERE c.post_id = ANY($1::bigint[]) AND c.hidden_at IS NULL AND ${notBlockedSql("c.customer_id", "$2")}
+    ) t
+    WHERE t.rn <= 2
+    ORDER BY t.post_id, t.created_at ASC
+    `,
+    [postIds, viewerCustomerId || ""]
+  );
+
+  for (const row of cR.rows || []) {
+    if (!byPostId[row.post_id]) continue;
+    byPostId[row.post_id].comments_preview.push({
+      id: row.id,
+      body: row.body || "",
+      created_at: row.created_at,
+      first_name: row.first_name || "",
+      last_name: row.last_name || "",
+      username: row.username || "",
+      customer_id: row.customer_id || "",
+    });
+  }
+
+  return { byPostId };
+}
+
+async function toggleLike({ shop, postId, customerId }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  try {
+    await pool.query(`INSERT INTO likes_v1 (shop, post_id, customer_id) VALUES ($1,$2,$3)`, [
+      shop,
+      postId,
+      customerId,
+    ]);
+    await notifyPostAuthor({ postId, actorId: customerId, kind: "like" });
+    return { liked: true };
+  } catch {
+    await pool.query(`DELETE FROM likes_v1 WHERE post_id=$1 AND customer_id=$2`, [
+      postId,
+      customerId,
+    ]);
+    await clearNotification({ actorId: customerId, kind: "like", postId });
+    return { liked: false };
+  }
+}
+
+async function addComment({ shop, postId, customerId, body, parentId = null }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  // Replies stay one level deep: a reply to a reply hangs off the top-level comment
+  let threadParentId = null;
+  if (parentId) {
+    const pr = await pool.query(`SELECT id, parent_id FROM comments_v1 WHERE id=$1 AND post_id=$2`, [
+      parentId,
+      postId,
+    ]);
+    const parent = pr.rows?.[0];
+    if (!parent) throw new Error("Parent comment not found");
+    threadParentId = parent.parent_id ? Number(parent.parent_id) : Number(parent.id);
+  }
+
+  const r = await pool.query(
+    `INSERT INTO comments_v1 (shop, post_id, customer_id, body, parent_id)
+     VALUES ($1,$2,$3,$4,$5)
+     RETURNING id`,
+    [shop, postId, customerId, body, threadParentId]
+  );
+  const commentId = r.rows?.[0]?.id || null;
+  await notifyPostAuthor({ postId, actorId: customerId, kind: "comment", commentId });
+  if (commentId) await indexMentions({ shop, postId, commentId, actorId: customerId, body });
+  if (commentId && parseHashtags(body).length) await indexPostTags(postId);
+  return { id: commentId, parentId: threadParentId };
+}
+
+// Commenter or post author only. A top-level comment takes its replies with it.
+// Returns the post id, or null when the comment is missing or the viewer may not delete it.
+async function deleteComment({ commentId, customerId }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    WITH target AS (
+      SELECT c.id, c.post_id
+      FROM comments_v1 c
+      LEFT JOIN posts_v1 p ON p.id = c.post_id
+      WHERE c.id = $1 AND (c.customer_id = $2 OR p.customer_id = $2)
+    ),
+    del AS (
+      DELETE FROM comments_v1
+      WHERE id IN (SELECT id FROM target) OR parent_id IN (SELECT id FROM target)
+      RETURNING id
+    ),
+    del_mentions AS (
+      DELETE FROM mentions_v1 WHERE comment_id IN (SELECT id FROM del)
+    ),
+    del_notifications AS (
+      DELETE FROM notifications_v1 WHERE comment_id IN (SELECT id FROM del)
+    )
+    SELECT post_id FROM target
+    `,
+    [commentId, customerId]
+  );
+  const row = r.rows?.[0];
+  if (!row) return null;
+
+  await indexPostTags(Number(row.post_id));
+  return Number(row.post_id);
+}
+
+async function getPostWithMeta({ postId, viewerCustomerId }) {
+  if (!pool) return null;
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    SELECT
+      p.id, p.shop, p.customer_id, p.body, p.bucket, p.created_at, p.edited_at,
+      pr.first_name, pr.last_name, pr.username
+    FROM posts_v1 p
+    LEFT JOIN profiles_v2 pr ON pr.customer_id = p.customer_id
+    WHERE p.id = $1 AND p.hidden_at IS NULL
+    `,
+    [postId]
+  );
+  const post = r.rows?.[0];
+  if (!post) return null;
+
+  const meta = await getPostsMeta([Number(post.id)], viewerCustomerId);
+  const mediaMeta = await getPostMediaMeta([Number(post.id)]);
+  const tradeMeta = await getTradeMeta([Number(post.id)]);
+  return {
+    ...post,
+    ...meta.byPostId[post.id],
+    ...mediaMeta.byPostId[post.id],
+    ...tradeMeta.byPostId[post.id],
+  };
+}
+
+// Top-level comments oldest-first with their replies attached.
+// Cursors carry millisecond timestamps, so the comparison truncates created_at to match.
+async function listPostComments({ postId, viewerCustomerId, limit = 20, cursor = null }) {
+  if (!pool) return { comments: [], nextCursor: "" };
+  await ensureSchema();
+
+  const params = [postId, limit, viewerCustomerId || ""];
+  let cursorClause = "";
+
+  if (cursor?.createdAt && cursor?.id) {
+    cursorClause = ` AND (date_trunc('milliseconds', c.created_at) > $4 OR (date_trunc('milliseconds', c.created_at) = $4 AND c.id > $5))`;
+    params.push(cursor.createdAt, cursor.id);
+  }
+  cursorClause += ` AND c.hidden_at IS NULL AND ${notBlockedSql("c.customer_id", "$3")}`;
+
+  const r = await pool.query(
+    `
+    SELECT
+      c.id, c.post_id, c.parent_id, c.customer_id, c.body, c.created_at,
+      pr.first_name, pr.last_name, pr.username
+    FROM comments_v1 c
+    LEFT JOIN profiles_v2 pr ON pr.customer_id = c.customer_id
+    WHERE c.post_id = $1 AND c.parent_id IS NULL${cursorClause}
+    ORDER BY c.created_at ASC, c.id ASC
+    LIMIT $2
+    `,
+    params
+  );
+
+  const comments = (r.rows || []).map((c) => ({ ...c, replies: [] }));
+  const byId = {};
+  for (const c of comments) byId[c.id] = c;
+
+  const ids = comments.map((c) => Number(c.id));
+  if (ids.length) {
+    const rr = await pool.query(
+      `
+      SELECT
+        c.id, c.post_id, c.parent_id, c.customer_id, c.body, c.created_at,
+        pr.first_name, pr.last_name, pr.username
+      FROM comments_v1 c
+      LEFT JOIN profiles_v2 pr ON pr.customer_id = c.customer_id
+      WHERE c.parent_id = ANY($1::bigint[]) AND c.hidden_at IS NULL AND ${notBlockedSql("c.customer_id", "$2")}
+      ORDER BY c.created_at ASC, c.id ASC
+      `,
+      [ids, viewerCustomerId || ""]
+    );
+    for (const row of rr.rows || []) {
+      if (byId[row.parent_id]) byId[row.parent_id].replies.push(row);
+    }
+  }
+
+  const nextCursor =
+    comments.length === limit
+      ? encodeCursor(comments[comments.length - 1].created_at, comments[comments.length - 1].id)
+      : "";
+
+  return { comments, nextCursor };
+}
+
+/* ---------------------------
+   Follow + DM helpers
+---------------------------- */
+
+async function isFollowing({ followerId, followedId }) {
+  if (!pool) return false;
+  await ensureSchema();
+  if (!followerId || !followedId) return false;
+
+  const r = await pool.query(
+    `SELECT 1 FROM follows_v1 WHERE follower_id=$1 AND followed_id=$2 LIMIT 1`,
+    [followerId, followedId]
+  );
+  return (r.rows || []).length > 0;
+}
+
+async function toggleFollow({ shop, followerId, followedId }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  try {
+    await pool.query(
+      `INSERT INTO follows_v1 (follower_id, followed_id) VALUES ($1,$2)`,
+      [followerId, followedId]
+    );
+    await addNotification({ shop, recipientId: followedId, actorId: followerId, kind: "follow" });
+    return { following: true };
+  } catch {
+    await pool.query(
+      `DELETE FROM follows_v1 WHERE follower_id=$1 AND followed_id=$2`,
+      [followerId, followedId]
+    );
+    await clearNotification({ actorId: followerId, kind: "follow", recipientId: followedId });
+    return { following: false };
+  }
+}
+
+// The message and its attachments commit together, so there's never a message missing its file
+async function createMessage({ shop, senderId, receiverId, body, media = [] }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const items = (Array.isArray(media) ? media : []).filter((it) => it?.bytes && it?.mime);
+
+  const id = await reserveId("messages_v1");
+  if (!id) return null;
+
+  const stored = await storeMediaItems(`message-media/${id}`, items);
+  try {
+    await withTransaction(async (db) => {
+      await db.query(
+        `INSERT INTO messages_v1 (id, shop, sender_id, receiver_id, body)
+         VALUES ($1,$2,$3,$4,$5)`,
+        [id, shop, senderId, receiverId, body || ""]
+      );
+      await insertMediaRows(db, "message_media_v1", "message_id", id, stored);
+    });
+  } catch (e) {
+    await deleteBlobs(stored.map((s) => s.key));
+    throw e;
+  }
+
+  await addNotification({
+    shop,
+    recipientId: receiverId,
+    actorId: senderId,
+    kind: "message",
+    messageId: id,
+  });
+  return id;
+}
+
+async function listConversation({ viewerId, otherId, limit = 30 }) {
+  if (!pool) return [];
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    SELECT
+      m.id, m.shop, m.sender_id, m.receiver_id, m.body, m.created_at,
+      (SELECT COUNT(*)::int FROM message_media_v1 mm WHERE mm.message_id = m.id) AS media_count,
+      (SELECT mm.content_hash FROM message_media_v1 mm WHERE mm.message_id = m.id AND mm.idx = 0) AS media_hash
+    FROM messages_v1 m
+    WHERE
+      ((m.sender_id=$1 AND m.receiver_id=$2)
+      OR
+      (m.sender_id=$2 AND m.receiver_id=$1))
+      AND m.hidden_at IS NULL
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT $3
+    `,
+    [viewerId, otherId, limit]
+  );
+
+  return (r.rows || []).reverse();
+}
+
+async function listInbox({ viewerId, limit = 50 }) {
+  if (!pool) return [];
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    SELECT
+      m.id, m.sender_id, m.receiver_id, m.body, m.created_at,
+      CASE WHEN m.sender_id=$1 THEN m.receiver_id ELSE m.sender_id END AS other_id
+    FROM messages_v1 m
+    WHERE (m.sender_id=$1 OR m.receiver_id=$1)
+      AND m.hidden_at IS NULL
+      AND ${notBlockedSql("m.sender_id", "$1")}
+      AND ${notBlockedSql("m.receiver_id", "$1")}
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT $2
+    `,
+    [viewerId, limit]
+  );
+
+  const seen = new Set();
+  const out = [];
+  for (const row of r.rows || []) {
+    const oid = row.other_id;
+    if (!oid || seen.has(oid)) continue;
+    seen.add(oid);
+    out.push({ ...row, unread_count: 0 });
+  }
+
+  if (out.length) {
+    const unreadR = await pool.query(
+      `
+      SELECT m.sender_id, COUNT(*)::int AS cnt
+      FROM messages_v1 m
+      LEFT JOIN conversation_reads_v1 cr ON cr.viewer_id = m.receiver_id AND cr.other_id = m.sender_id
+      WHERE m.receiver_id = $1
+        AND m.sender_id = ANY($2::text[])
+        AND m.id > COALESCE(cr.last_read_id, 0)
+        AND m.hidden_at IS NULL
+      GROUP BY m.sender_id
+      `,
+      [viewerId, out.map((x) => String(x.other_id))]
+    );
+    const unreadBySender = {};
+    for (const row of unreadR.rows || []) unreadBySender[row.sender_id] = Number(row.cnt) || 0;
+    for (const row of out) row.unread_count = unreadBySender[row.other_id] || 0;
+  }
+
+  return out;
+}
+
+async function countUnreadMessages(viewerId) {
+  if (!pool || !viewerId) return 0;
+  await ensureSchema();
+  const r = await pool.query(
+    `
+    SELECT COUNT(*)::int AS cnt
+    FROM messages_v1 m
+    LEFT JOIN conversation_reads_v1 cr ON cr.viewer_id = m.receiver_id AND cr.other_id = m.sender_id
+    WHERE m.receiver_id = $1 AND m.id > COALESCE(cr.last_read_id, 0)
+      AND m.hidden_at IS NULL
+      AND ${notBlockedSql("m.sender_id", "$1")}
+    `,
+    [viewerId]
+  );
+  return Number(r.rows?.[0]?.cnt) || 0;
+}
+
+// Moves the viewer's read marker to the newest message received from otherId (never backwards)
+async function markConversationRead({ viewerId, otherId }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  await pool.query(
+    `
+    INSERT INTO conversation_reads_v1 (viewer_id, other_id, last_read_id)
+    SELECT $1, $2, COALESCE(MAX(m.id), 0)
+    FROM messages_v1 m
+    WHERE m.receiver_id = $1 AND m.sender_id = $2
+    ON CONFLICT (viewer_id, other_id)
+    DO UPDATE SET
+      last_read_id = GREATEST(conversation_reads_v1.last_read_id, EXCLUDED.last_read_id),
+      updated_at = NOW()
+    `,
+    [viewerId, otherId]
+  );
+
+  // Opening the thread also clears its DM notifications
+  await pool.query(
+    `UPDATE notifications_v1 SET read_at=NOW()
+     WHERE recipient_id=$1 AND actor_id=$2 AND kind='message' AND read_at IS NULL`,
+    [viewerId, otherId]
+  );
+}
+
+async function getMessageById(messageId) {
+  if (!pool) return null;
+  await ensureSchema();
+  const r = await pool.query(
+    `SELECT id, shop, sender_id, receiver_id, body, created_at FROM messages_v1 WHERE id=$1`,
+    [messageId]
+  );
+  return r.rows?.[0] || null;
+}
+
+async function getMessageMediaRow(messageId, idx) {
+  if (!pool) return null;
+  await ensureSchema();
+
+  const i = Number(idx);
+  if (!Number.isFinite(i) || i < 0) return null;
+
+  const r = await pool.query(
+    `SELECT media_mime, storage_key, content_hash FROM message_media_v1
+     WHERE message_id=$1 AND idx=$2 AND (media_bytes IS NOT NULL OR storage_key IS NOT NULL)`,
+    [messageId, i]
+  );
+  const row = r.rows?.[0];
+  if (!row?.media_mime) return null;
+  return {
+    media_mime: row.media_mime,
+    content_hash: row.content_hash || "",
+    load: async () => {
+      if (row.storage_key) return loadMediaBytes(null, row.storage_key);
+      const b = await pool.query(`SELECT media_bytes FROM message_media_v1 WHERE message_id=$1 AND idx=$2`, [
+        messageId,
+        i,
+      ]);
+      return b.rows?.[0]?.media_bytes || null;
+    },
+  };
+}
+
+/* ---------------------------
+   Block + mute helpers
+---------------------------- */
+
+// SQL condition: no block between `col` and the viewer (`viewerParam`), in either direction
+function notBlockedSql(col, viewerParam) {
+  return `NOT EXISTS (
+      SELECT 1 FROM blocks_v1 bl
+      WHERE (bl.blocker_id = ${viewerParam} AND bl.blocked_id = ${col})
+         OR (bl.blocker_id = ${col} AND bl.blocked_id = ${viewerParam})
+    )`;
+}
+
+// SQL condition: `col` isn't shadow-hidden, unless it is the viewer (they still see their own posts)
+function notShadowHiddenSql(col, viewerParam) {
+  return `(${col} = ${viewerParam} OR NOT EXISTS (
+      SELECT 1 FROM profiles_v2 sh WHERE sh.customer_id = ${col} AND sh.shadow_hidden_at IS NOT NULL
+    ))`;
+}
+
+// SQL condition for feeds: `col` is not blocked either way, not muted by the viewer and not shadow-hidden
+function visibleAuthorSql(col, viewerParam) {
+  return `${notBlockedSql(col, viewerParam)}
+    AND NOT EXISTS (SELECT 1 FROM mutes_v1 mu WHERE mu.muter_id = ${viewerParam} AND mu.muted_id = ${col})
+    AND ${notShadowHiddenSql(col, viewerParam)}`;
+}
+
+async function isBlockedEitherWay(a, b) {
+  if (!pool || !a || !b) return false;
+  await ensureSchema();
+  const r = await pool.query(
+    `SELECT 1 FROM blocks_v1
+     WHERE (blocker_id=$1 AND blocked_id=$2) OR (blocker_id=$2 AND blocked_id=$1)
+     LIMIT 1`,
+    [a, b]
+  );
+  return (r.rows || []).length > 0;
+}
+
+async function isMuted({ muterId, mutedId }) {
+  if (!pool) return false;
+  await ensureSchema();
+  const r = await pool.query(`SELECT 1 FROM mutes_v1 WHERE muter_id=$1 AND muted_id=$2 LIMIT 1`, [
+    muterId,
+    mutedId,
+  ]);
+  return (r.rows || []).length > 0;
+}
+
+// Blocking also removes follows in both directions
+async function toggleBlock({ blockerId, blockedId }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  try {
+    await pool.query(`INSERT INTO blocks_v1 (blocker_id, blocked_id) VALUES ($1,$2)`, [
+      blockerId,
+      blockedId,
+    ]);
+    await pool.query(
+      `DELETE FROM follows_v1
+       WHERE (follower_id=$1 AND followed_id=$2) OR (follower_id=$2 AND followed_id=$1)`,
+      [blockerId, blockedId]
+    );
+    return { blocked: true };
+  } catch {
+    await pool.query(`DELETE FROM blocks_v1 WHERE blocker_id=$1 AND blocked_id=$2`, [
+      blockerId,
+      blockedId,
+    ]);
+    return { blocked: false };
+  }
+}
+
+async function toggleMute({ muterId, mutedId }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  try {
+    await pool.query(`INSERT INTO mutes_v1 (muter_id, muted_id) VALUES ($1,$2)`, [muterId, mutedId]);
+    return { muted: true };
+  } catch {
+    await pool.query(`DELETE FROM mutes_v1 WHERE muter_id=$1 AND muted_id=$2`, [muterId, mutedId]);
+    return { muted: false };
+  }
+}
+
+async function listBlocksAndMutes(viewerId) {
+  if (!pool || !viewerId) return { blocked: [], muted: [] };
+  await ensureSchema();
+
+  const blockedR = await pool.query(
+    `SELECT b.blocked_id AS customer_id, b.created_at, pr.first_name, pr.last_name, pr.username
+     FROM blocks_v1 b
+     LEFT JOIN profiles_v2 pr ON pr.customer_id = b.blocked_id
+     WHERE b.blocker_id = $1
+     ORDER BY b.created_at DESC`,
+    [viewerId]
+  );
+  const mutedR = await pool.query(
+    `SELECT m.muted_id AS customer_id, m.created_at, pr.first_name, pr.last_name, pr.username
+     FROM mutes_v1 m
+     LEFT JOIN profiles_v2 pr ON pr.customer_id = m.muted_id
+     WHERE m.muter_id = $1
+     ORDER BY m.created_at DESC`,
+    [viewerId]
+  );
+  return { blocked: blockedR.rows || [], muted: mutedR.rows || [] };
+}
+
+/* ---------------------------
+   Report + moderation helpers
+---------------------------- */
+
+// Who owns the reported thing. Messages can only be reported by their recipient.
+// Returns null when the target doesn't exist (or is the reporter's own).
+async function getReportTargetOwner({ targetType, targetId, reporterId }) {
+  if (!pool) return null;
+  await ensureSchema();
+
+  let r;
+  if (targetType === "post") {
+    const id = Number(targetId);
+    if (!Number.isFinite(id)) return null;
+    r = await pool.query(`SELECT customer_id AS owner_id FROM posts_v1 WHERE id=$1 AND hidden_at IS NULL`, [id]);
+  } else if (targetType === "comment") {
+    const id = Number(targetId);
+    if (!Number.isFinite(id)) return null;
+    r = await pool.query(`SELECT customer_id AS owner_id FROM comments_v1 WHERE id=$1 AND hidden_at IS NULL`, [id]);
+  } else if (targetType === "message") {
+    const id = Number(targetId);
+    if (!Number.isFinite(id)) return null;
+    r = await pool.query(
+      `SELECT sender_id AS owner_id FROM messages_v1 WHERE id=$1 AND receiver_id=$2 AND hidden_at IS NULL`,
+      [id, reporterId]
+    );
+  } else if (targetType === "profile") {
+    r = await pool.query(`SELECT customer_id AS owner_id FROM profiles_v2 WHERE customer_id=$1`, [
+      String(targetId || ""),
+    ]);
+  } else {
+    return null;
+  }
+
+  const owner = r.rows?.[0]?.owner_id;
+  if (!owner || String(owner) === String(reporterId)) return null;
+  return String(owner);
+}
+
+// Returns "ok" | "duplicate" (already an open report from this member) | null (no such target)
+async function createReport({ shop, reporterId, targetType, targetId, reason, details }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const ownerId = await getReportTargetOwner({ targetType, targetId, reporterId });
+  if (!ownerId) return null;
+
+  const r = await pool.query(
+    `INSERT INTO reports_v1 (shop, reporter_id, target_type, target_id, target_owner_id, reason, details)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [shop, reporterId, targetType, String(targetId), ownerId, reason, details || ""]
+  );
+  return (r.rows || []).length ? "ok" : "duplicate";
+}
+
+async function listOpenReports({ shop, limit = 100 }) {
+  if (!pool) return [];
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    SELECT
+      r.id, r.reporter_id, r.target_type, r.target_id, r.target_owner_id, r.reason, r.details, r.created_at,
+      rp.first_name AS reporter_first, rp.last_name AS reporter_last,
+      op.first_name AS owner_first, op.last_name AS owner_last, op.username AS owner_username,
+      op.suspended_at AS owner_suspended_at, op.suspended_until AS owner_suspended_until,
+      CASE r.target_type WHEN 'post' THEN p.body WHEN 'comment' THEN c.body WHEN 'message' THEN m.body ELSE '' END AS target_body,
+      COALESCE(p.hidden_at, c.hidden_at, m.hidden_at) AS target_hidden_at,
+      c.post_id AS comment_post_id,
+      (SELECT COUNT(*)::int FROM reports_v1 o
+       WHERE o.status = 'open' AND o.target_type = r.target_type AND o.target_id = r.target_id) AS open_count
+    FROM reports_v1 r
+    LEFT JOIN posts_v1 p ON r.target_type = 'post' AND p.id = CASE WHEN r.target_type = 'post' THEN r.target_id::bigint END
+    LEFT JOIN comments_v1 c ON r.target_type = 'comment' AND c.id = CASE WHEN r.target_type = 'comment' THEN r.target_id::bigint END
+    LEFT JOIN messages_v1 m ON r.target_type = 'message' AND m.id = CASE WHEN r.target_type = 'message' THEN r.target_id::bigint END
+    LEFT JOIN profiles_v2 rp ON rp.customer_id = r.reporter_id
+    LEFT JOIN profiles_v2 op ON op.customer_id = r.target_owner_id
+    WHERE r.shop = $1 AND r.status = 'open'
+    ORDER BY r.created_at ASC, r.id ASC
+    LIMIT $2
+    `,
+    [shop, limit]
+  );
+  return r.rows || [];
+}
+
+// action: "hide" (post/comment/message), "dismiss" or "suspend" (the target's owner, until null = permanent;
+// `note` doubles as the suspension reason, defaulting to the report reason).
+// Hide and suspend close every open report on the same target; dismiss closes just this one.
+// Returns the resolved report's target, or null when the report isn't open (or can't take the action).
+async function resolveReport({ shop, reportId, moderatorId, action, note = "", until = null }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const status = action === "dismiss" ? "dismissed" : "actioned";
+  const r = await pool.query(
+    `
+    WITH rep AS (
+      SELECT id, target_type, target_id, target_owner_id, reason
+      FROM reports_v1
+      WHERE id = $1 AND shop = $2 AND status = 'open'
+        AND NOT ($4 = 'hide' AND target_type = 'profile')
+    ),
+    hide_post AS (
+      UPDATE posts_v1 SET hidden_at = NOW()
+      WHERE $4 = 'hide' AND hidden_at IS NULL
+        AND id = (SELECT target_id::bigint FROM rep WHERE target_type = 'post')
+    ),
+    hide_comment AS (
+      UPDATE comments_v1 SET hidden_at = NOW()
+      WHERE $4 = 'hide' AND hidden_at IS NULL
+        AND id = (SELECT target_id::bigint FROM rep WHERE target_type = 'comment')
+    ),
+    hide_message AS (
+      UPDATE messages_v1 SET hidden_at = NOW()
+      WHERE $4 = 'hide' AND hidden_at IS NULL
+        AND id = (SELECT target_id::bigint FROM rep WHERE target_type = 'message')
+    ),
+    suspend AS (
+      UPDATE profiles_v2
+      SET suspended_at = NOW(), suspended_until = $7::timestamptz,
+          suspension_reason = CASE WHEN $6 <> '' THEN $6 ELSE (SELECT reason FROM rep) END
+      WHERE $4 = 'suspend'
+        AND customer_id = (SELECT target_owner_id FROM rep)
+    ),
+    resolved AS (
+      UPDATE reports_v1 SET status = $5, resolved_at = NOW(), resolved_by = $3
+      WHERE shop = $2 AND status = 'open'
+        AND (
+          id = (SELECT id FROM rep)
+          OR ($4 <> 'dismiss' AND (target_type, target_id) IN (SELECT target_type, target_id FROM rep))
+        )
+    ),
+    logged AS (
+      INSERT INTO mod_actions_v1 (shop, moderator_id, action, report_id, target_type, target_id, target_owner_id, note)
+      SELECT $2, $3, $4, id, target_type, target_id, target_owner_id, $6 FROM rep
+    )
+    SELECT target_type, target_id, target_owner_id FROM rep
+    `,
+    [reportId, shop, moderatorId, action, status, note || "", until || null]
+  );
+  const row = r.rows?.[0] || null;
+
+  // A hidden comment's hashtags stop counting towards its post's tag pages
+  if (row && action === "hide" && row.target_type === "comment") {
+    const c = await pool.query(`SELECT post_id FROM comments_v1 WHERE id=$1`, [Number(row.target_id)]);
+    if (c.rows?.[0]) await indexPostTags(Number(c.rows[0].post_id));
+  }
+  return row;
+}
+
+async function getModerationState(customerId) {
+  if (!pool || !customerId) return null;
+  await ensureSchema();
+  const r = await pool.query(
+    `SELECT suspended_at, suspended_until, suspension_reason, shadow_hidden_at
+     FROM profiles_v2 WHERE customer_id=$1`,
+    [customerId]
+  );
+  return r.rows?.[0] || null;
+}
+
+// action: "suspend" (until null = permanent), "unsuspend", "shadow_hide" or "unshadow".
+// Updates the profile and writes the audit row in one statement; false when the member doesn't exist.
+async function moderateMember({ shop, moderatorId, customerId, action, until = null, reason = "" }) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    WITH upd AS (
+      UPDATE profiles_v2
+      SET
+        suspended_at = CASE WHEN $3 = 'suspend' THEN NOW() WHEN $3 = 'unsuspend' THEN NULL ELSE suspended_at END,
+        suspended_until = CASE WHEN $3 = 'suspend' THEN $4::timestamptz WHEN $3 = 'unsuspend' THEN NULL ELSE suspended_until END,
+        suspension_reason = CASE WHEN $3 = 'suspend' THEN $5 WHEN $3 = 'unsuspend' THEN '' ELSE suspension_reason END,
+        shadow_hidden_at = CASE WHEN $3 = 'shadow_hide' THEN COALESCE(shadow_hidden_at, NOW()) WHEN $3 = 'unshadow' THEN NULL ELSE shadow_hidden_at END
+      WHERE customer_id = $2
+      RETURNING customer_id
+    ),
+    logged AS (
+      INSERT INTO mod_actions_v1 (shop, moderator_id, action, target_type, target_id, target_owner_id, note)
+      SELECT $1, $6, $3, 'profile', customer_id, customer_id, $5 FROM upd
+    )
+    SELECT customer_id FROM upd
+    `,
+    [shop, customerId, action, until, reason || "", moderatorId]
+  );
+  return (r.rows || []).length > 0;
+}
+
+async function listModActions({ shop, limit = 200 }) {
+  if (!pool) return [];
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    SELECT a.id, a.moderator_id, a.action, a.report_id, a.target_type, a.target_id, a.target_owner_id,
+      a.note, a.created_at,
+      mp.first_name AS mod_first, mp.last_name AS mod_last,
+      op.first_name AS owner_first, op.last_name AS owner_last
+    FROM mod_actions_v1 a
+    LEFT JOIN profiles_v2 mp ON mp.customer_id = a.moderator_id
+    LEFT JOIN profiles_v2 op ON op.customer_id = a.target_owner_id
+    WHERE a.shop = $1
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT $2
+    `,
+    [shop, limit]
+  );
+  return r.rows || [];
+}
+
+/* ---------------------------
+   Hashtag + mention helpers
+---------------------------- */
+
+// A post is listed under every tag in its caption or its visible comments. Re-reads both so caption
+// create/edit and comment add/delete/hide share one path; replaces the post's previous tag set.
+async function indexPostTags(postId) {
+  if (!pool || !postId) return;
+
+  try {
+    await ensureSchema();
+    const r = await pool.query(`SELECT id, shop, body, created_at FROM posts_v1 WHERE id=$1`, [postId]);
+    const p = r.rows?.[0];
+    if (!p) return;
+    const c = await pool.query(
+      `SELECT body FROM comments_v1 WHERE post_id=$1 AND hidden_at IS NULL AND body LIKE '%#%'`,
+      [postId]
+    );
+
+    await pool.query(`DELETE FROM post_tags_v1 WHERE post_id=$1`, [postId]);
+    const tags = [...new Set([p.body, ...(c.rows || []).map((x) => x.body)].flatMap(parseHashtags))];
+    if (!tags.length) return;
+    await pool.query(
+      `INSERT INTO post_tags_v1 (post_id, shop, tag, created_at)
+       SELECT $1, $2, t, $4 FROM unnest($3::text[]) AS t
+       ON CONFLICT DO NOTHING`,
+      [p.id, p.shop, tags, p.created_at]
+    );
+  } catch (e) {
+    console.error("tag index error:", e);
+  }
+}
+
+// Syncs mentions_v1 for one caption (commentId null) or comment with the handles in `body`.
+// Only newly mentioned members are notified, so editing a caption doesn't re-notify; members blocked
+// either way aren't mentioned at all.
+async function indexMentions({ shop, postId, commentId = null, actorId, body }) {
+  if (!pool || !postId || !actorId) return;
+
+  const handles = parseMentions(body);
+
+  try {
+    await ensureSchema();
+    await pool.query(
+      `
+      WITH targets AS (
+        SELECT DISTINCT pr.customer_id
+        FROM profiles_v2 pr
+        WHERE pr.shop = $1 AND pr.username <> '' AND lower(pr.username) = ANY($5::text[])
+          AND pr.customer_id <> $4 AND ${notBlockedSql("pr.customer_id", "$4")}
+      ),
+      removed AS (
+        DELETE FROM mentions_v1 m
+        WHERE m.post_id = $2 AND m.comment_id IS NOT DISTINCT FROM $3::bigint
+          AND m.mentioned_id NOT IN (SELECT customer_id FROM targets)
+      ),
+      added AS (
+        INSERT INTO mentions_v1 (shop, post_id, comment_id, actor_id, mentioned_id)
+        SELECT $1, $2, $3::bigint, $4, customer_id FROM targets
+        ON CONFLICT DO NOTHING
+        RETURNING mentioned_id
+      )
+      INSERT INTO notifications_v1 (shop, recipient_id, actor_id, kind, post_id, comment_id)
+      SELECT $1, mentioned_id, $4, 'mention', $2, $3::bigint FROM added
+      `,
+      [shop, postId, commentId, actorId, handles]
+    );
+  } catch (e) {
+    console.error("mention index error:", e);
+  }
+}
+
+async function findCustomerIdByUsername({ shop, username }) {
+  if (!pool) return null;
+  await ensureSchema();
+  const u = String(username || "").trim().replace(/^@/, "");
+  if (!u) return null;
+  const r = await pool.query(
+    `SELECT customer_id FROM profiles_v2 WHERE shop=$1 AND username <> '' AND lower(username) = lower($2) LIMIT 1`,
+    [shop, u]
+  );
+  return r.rows?.[0]?.customer_id || null;
+}
+
+async function listTaggedPostsWithMeta({ shop, tag, viewerCustomerId, limit = 20, cursor = null }) {
+  if (!pool || !tag) return { posts: [], nextCursor: "" };
+  await ensureSchema();
+
+  const params = [shop, tag, limit];
+  let cursorClause = "";
+
+  if (cursor?.createdAt && cursor?.id) {
+    cursorClause = ` AND (t.created_at < $4 OR (t.created_at = $4 AND t.post_id < $5))`;
+    params.push(cursor.createdAt, cursor.id);
+  }
+
+  params.push(viewerCustomerId || "");
+  const v = `$${params.length}`;
+  cursorClause += ` AND p.hidden_at IS NULL AND ${notBlockedSql("p.customer_id", v)} AND ${notShadowHiddenSql("p.customer_id", v)}`;
+
+  const r = await pool.query(
+    `
+    SELECT
+      p.id, p.shop, p.customer_id, p.body, p.bucket, p.created_at, p.edited_at,
+      pr.first_name, pr.last_name, pr.username
+    FROM post_tags_v1 t
+    JOIN posts_v1 p ON p.id = t.post_id
+    LEFT JOIN profiles_v2 pr ON pr.customer_id = p.customer_id
+    WHERE t.shop = $1 AND t.tag = $2${cursorClause}
+    ORDER BY t.created_at DESC, t.post_id DESC
+    LIMIT $3
+    `,
+    params
+  );
+
+  const posts = r.rows || [];
+  const postIds = posts.map((x) => Number(x.id)).filter((x) => Number.isFinite(x));
+  const meta = await getPostsMeta(postIds, viewerCustomerId);
+  const mediaMeta = await getPostMediaMeta(postIds);
+  const tradeMeta = await getTradeMeta(postIds);
+
+  const nextCursor =
+    posts.length === limit
+      ? encodeCursor(posts[posts.length - 1].created_at, posts[posts.length - 1].id)
+      : "";
+
+  return {
+    posts: posts.map((p) => ({
+      ...p,
+      ...meta.byPostId[p.id],
+      ...mediaMeta.byPostId[p.id],
+      ...tradeMeta.byPostId[p.id],
+    })),
+    nextCursor,
+  };
+}
+
+/* ---------------------------
+   Search helpers
+---------------------------- */
+
+// Free text => prefix tsquery ("chari 151" => "chari:* & 151:*").
+// Only letters/digits survive, so user input can't produce tsquery syntax errors.
+function buildSearchQuery(input) {
+  const words = String(input || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .slice(0, 8)
+    .map((w) => `${w.slice(0, 40)}:*`)
+    .join(" & ");
+}
+
+async function searchPosts({ shop, viewerCustomerId, tsQuery, bucket = "", limit = 20 }) {
+  if (!pool || !tsQuery) return [];
+  await ensureSchema();
+
+  const params = [shop, tsQuery, limit, viewerCustomerId || ""];
+  let bucketClause = "";
+  if (bucket) {
+    params.push(normalizeBucket(bucket));
+    bucketClause = ` AND p.bucket = $5`;
+  }
+
+  const r = await pool.query(
+    `
+    SELECT
+      p.id, p.shop, p.customer_id, p.body, p.bucket, p.created_at, p.edited_at,
+      pr.first_name, pr.last_name, pr.username
+    FROM posts_v1 p
+    LEFT JOIN profiles_v2 pr ON pr.customer_id = p.customer_id
+    WHERE p.shop = $1
+      AND to_tsvector('english', p.body) @@ to_tsquery('english', $2)${bucketClause}
+      AND p.hidden_at IS NULL
+      AND ${notBlockedSql("p.customer_id", "$4")}
+      AND ${notShadowHiddenSql("p.customer_id", "$4")}
+    ORDER BY ts_rank(to_tsvector('english', p.body), to_tsquery('english', $2)) DESC,
+      p.created_at DESC, p.id DESC
+    LIMIT $3
+    `,
+    params
+  );
+
+  const posts = r.rows || [];
+  const postIds = posts.map((x) => Number(x.id)).filter((x) => Number.isFinite(x));
+  const meta = await getPostsMeta(postIds, viewerCustomerId);
+  const mediaMeta = await getPostMediaMeta(postIds);
+  const tradeMeta = await getTradeMeta(postIds);
+
+  return posts.map((p) => ({
+    ...p,
+    ...meta.byPostId[p.id],
+    ...mediaMeta.byPostId[p.id],
+    ...tradeMeta.byPostId[p.id],
+  }));
+}
+
+async function searchComments({ shop, viewerCustomerId, tsQuery, bucket = "", limit = 20 }) {
+  if (!pool || !tsQuery) return [];
+  await ensureSchema();
+
+  const params = [shop, tsQuery, limit, viewerCustomerId || ""];
+  let bucketClause = "";
+  if (bucket) {
+    params.push(normalizeBucket(bucket));
+    bucketClause = ` AND p.bucket = $5`;
+  }
+
+  const r = await pool.query(
+    `
+    SELECT
+      c.id, c.post_id, c.customer_id, c.body, c.created_at,
+      p.bucket,
+      pr.first_name, pr.last_name, pr.username
+    FROM comments_v1 c
+    JOIN posts_v1 p ON p.id = c.post_id
+    LEFT JOIN profiles_v2 pr ON pr.customer_id = c.customer_id
+    WHERE c.shop = $1
+      AND to_tsvector('english', c.body) @@ to_tsquery('english', $2)${bucketClause}
+      AND c.hidden_at IS NULL AND p.hidden_at IS NULL
+      AND ${notBlockedSql("c.customer_id", "$4")}
+      AND ${notBlockedSql("p.customer_id", "$4")}
+    ORDER BY ts_rank(to_tsvector('english', c.body), to_tsquery('english', $2)) DESC,
+      c.created_at DESC, c.id DESC
+    LIMIT $3
+    `,
+    params
+  );
+  return r.rows || [];
+}
+
+async function searchMembers({ shop, viewerCustomerId, tsQuery, limit = 20 }) {
+  if (!pool || !tsQuery) return [];
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    SELECT customer_id, first_name, last_name, username
+    FROM profiles_v2
+    WHERE shop = $1
+      AND to_tsvector('simple', username || ' ' || first_name || ' ' || last_name || ' ' || full_name)
+        @@ to_tsquery('simple', $2)
+      AND ${notBlockedSql("customer_id", "$4")}
+    ORDER BY (username <> '') DESC, first_name ASC, last_name ASC, customer_id ASC
+    LIMIT $3
+    `,
+    [shop, tsQuery, limit, viewerCustomerId || ""]
+  );
+  return r.rows || [];
+}
+
+/* ---------------------------
+   Notification helpers
+---------------------------- */
+
+// Notifications are a side effect: failures are logged, never surfaced to the action
+async function addNotification({ shop, recipientId, actorId, kind, postId = null, messageId = null }) {
+  if (!pool) return;
+  if (!recipientId || !actorId || String(recipientId) === String(actorId)) return;
+
+  try {
+    await ensureSchema();
+    await pool.query(
+      `INSERT INTO notifications_v1 (shop, recipient_id, actor_id, kind, post_id, message_id)
+       VALUES ($1,$2,$3,$4,$5,$6)`,
+      [shop || "", recipientId, actorId, kind, postId, messageId]
+    );
+  } catch (e) {
+    console.error("notification error:", e);
+  }
+}
+
+async function notifyPostAuthor({ postId, actorId, kind, commentId = null }) {
+  if (!pool || !postId || !actorId) return;
+
+  try {
+    await ensureSchema();
+    await pool.query(
+      `INSERT INTO notifications_v1 (shop, recipient_id, actor_id, kind, post_id, comment_id)
+       SELECT p.shop, p.customer_id, $2, $3, p.id, $4::bigint
+       FROM posts_v1 p
+       WHERE p.id=$1 AND p.customer_id <> $2`,
+      [postId, actorId, kind, commentId]
+    );
+  } catch (e) {
+    console.error("notification error:", e);
+  }
+}
+
+// Undo side of a toggle (unlike / unfollow) so re-toggling doesn't pile up notifications
+async function clearNotification({ actorId, kind, postId = null, recipientId = null }) {
+  if (!pool || !actorId) return;
+
+  try {
+    await ensureSchema();
+    if (postId) {
+      await pool.query(
+        `DELETE FROM notifications_v1 WHERE actor_id=$1 AND kind=$2 AND post_id=$3`,
+        [actorId, kind, postId]
+      );
+    } else if (recipientId) {
+      await pool.query(
+        `DELETE FROM notifications_v1 WHERE actor_id=$1 AND kind=$2 AND recipient_id=$3`,
+        [actorId, kind, recipientId]
+      );
+    }
+  } catch (e) {
+    console.error("notification clear error:", e);
+  }
+}
+
+async function countUnreadNotifications(recipientId) {
+  if (!pool || !recipientId) return 0;
+  await ensureSchema();
+  const r = await pool.query(
+    `SELECT COUNT(*)::int AS cnt FROM notifications_v1 WHERE recipient_id=$1 AND read_at IS NULL`,
+    [recipientId]
+  );
+  return Number(r.rows?.[0]?.cnt) || 0;
+}
+
+async function listNotifications({ recipientId, limit = 200 }) {
+  if (!pool) return [];
+  await ensureSchema();
+
+  const r = await pool.query(
+    `
+    SELECT
+      n.id, n.actor_id, n.kind, n.post_id, n.message_id, n.read_at, n.created_at,
+      pr.first_name, pr.last_name, pr.username
+    FROM notifications_v1 n
+    LEFT JOIN profiles_v2 pr ON pr.customer_id = n.actor_id
+    WHERE n.recipient_id = $1
+    ORDER BY n.created_at DESC, n.id DESC
+    LIMIT $2
+    `,
+    [recipientId, limit]
+  );
+  return r.rows || [];
+}
+
+async function markAllNotificationsRead(recipientId) {
+  if (!pool) throw new Error("DB not configured");
+  await ensureSchema();
+  await pool.query(
+    `UPDATE notifications_v1 SET read_at=NOW() WHERE recipient_id=$1 AND read_at IS NULL`,
+    [recipientId]
+  );
+}
+
+// Collapse rows (newest first) into one entry per post+kind, per DM sender, and one for follows
+function groupNotifications(rows) {
+  const groups = [];
+  const byKey = {};
+
+  for (const row of rows) {
+    const kind = String(row.kind || "");
+    const key =
+      kind === "like" || kind === "comment" || kind === "mention" || kind.startsWith("offer")
+        ? `${kind}:${row.post_id}`
+        : kind === "message"
+        ? `message:${row.actor_id}`
+        : kind;
+
+    let g = byKey[key];
+    if (!g) {
+      g = {
+        kind,
+        post_id: row.post_id,
+        latest_at: row.created_at,
+        unread: false,
+        count: 0,
+        actors: [],
+        actorIds: new Set(),
+      };
+      byKey[key] = g;
+      groups.push(g);
+    }
+
+    g.count += 1;
+    if (!row.read_at) g.unread = true;
+
+    const aid = String(row.actor_id || "");
+    if (aid && !g.actorIds.has(aid)) {
+      g.actorIds.add(aid);
+      g.actors.push({
+        customer_id: aid,
+        name: `${row.first_name || ""} ${row.last_name || ""}`.trim() || "User",
+      });
+    }
+  }
+
+  return groups;
+}
+
+/* ---------------------------
+   Rendering helpers
+---------------------------- */
+
+// Escapes text and turns #tags / @handles into links
+function renderRichText(text, base) {
+  const s = String(text || "");
+  let out = "";
+  let last = 0;
+  for (const m of s.matchAll(RICH_TOKEN_RE)) {
+    out += escapeHtml(s.slice(last, m.index));
+    if (m[1]) {
+      out += `<a class="tagLink" href="${base}/tag/${encodeURIComponent(m[1].toLowerCase())}">#${escapeHtml(m[1])}</a>`;
+    } else {
+      out += `<a class="tagLink" href="${base}/@${encodeURIComponent(m[2].toLowerCase())}">@${escapeHtml(m[2])}</a>`;
+    }
+    last = m.index + m[0].length;
+  }
+  return out + escapeHtml(s.slice(last));
+}
+
+function renderTabs({ base, active }) {
+  const a = normalizeTab(active);
+  const feedHref = `${base}?tab=feed`;
+  const folHref = `${base}?tab=following`;
+  const colHref = `${base}?tab=collection`;
+  const trdHref = `${base}?tab=trades`;
+
+  return `
+    <div class="tabsRow">
+      <a class="tabBtn ${a === "feed" ? "active" : ""}" href="${feedHref}">Feed</a>
+      <a class="tabBtn ${a === "following" ? "active" : ""}" href="${folHref}">Following</a>
+      <a class="tabBtn ${a === "collection" ? "active" : ""}" href="${colHref}">Collections</a>
+      <a class="tabBtn ${a === "trades" ? "active" : ""}" href="${trdHref}">Trades</a>
+    </div>
+  `;
+}
+
+function renderTradeFields({ idPrefix }) {
+  return `
+    <label for="${idPrefix}_have">Have (one card per line)</label>
+    <textarea id="${idPrefix}_have" name="have" placeholder="Charizard ex 199/165" style="min-height:90px"></textarea>
+
+    <label for="${idPrefix}_want">Want (one card per line)</label>
+    <textarea id="${idPrefix}_want" name="want" placeholder="Mew ex 151 SIR" style="min-height:90px"></textarea>
+    <div class="muted small help">At least one card in Have or Want. Up to ${MAX_TRADE_CARDS} each.</div>
+  `;
+}
+
+function renderInlineBucketComposer({ base, csrf, bucket, returnTo, requireMedia }) {
+  const b = normalizeBucket(bucket);
+  const title = bucketLabel(b);
+
+  return `
+    <div class="composer">
+      <div style="font-weight:900">${escapeHtml(title)} Post</div>
+      <div class="muted small help">${requireMedia ? "Media is required on this page." : "Media optional."} Up to ${MAX_MEDIA_FILES} files.</div>
+
+      <form method="POST" enctype="multipart/form-data" action="${base}/post/new" style="margin-top:10px">
+        ${csrfInput(csrf)}
+        <input type="hidden" name="return" value="${escapeHtml(returnTo)}" />
+        <input type="hidden" name="bucket" value="${escapeHtml(b)}" />
+
+        <label for="b_${b}_body">Caption (optional)</label>
+        <textarea id="b_${b}_body" name="body" maxlength="500" placeholder="Write something (max 500 characters)" style="min-height:120px"></textarea>
+
+        ${b === "trades" ? renderTradeFields({ idPrefix: `b_${b}` }) : ""}
+
+        <label for="b_${b}_media">Photo or video ${requireMedia ? "(required)" : "(optional)"}</label>
+        <input id="b_${b}_media" type="file" name="media" ${requireMedia ? "required" : ""} multiple accept="image/*,video/*" />
+
+        <div class="row">
+          <button class="btn" type="submit">Post</button>
+        </div>
+
+        <div class="muted small help">15MB max per file.</div>
+      </form>
+    </div>
+  `;
+}
+
+function renderPostMediaHtml({ base, post }) {
+  const id = Number(post.id);
+  const types = Array.isArray(post.media_types) ? post.media_types : [];
+  const count = Number(post.media_count || 0);
+
+  if (!count || !types.length) return "";
+
+  const group = `post-${id}`;
+  // Collection + trades render in the two-column .bucketGrid
+  const sizes = post.bucket === "feed" ? "(max-width: 760px) 100vw, 720px" : "(max-width: 760px) 50vw, 360px";
+  const tiles = types
+    .slice(0, MAX_MEDIA_FILES)
+    .map((t) => {
+      const idx = Number(t.idx) || 0;
+      const mime = String(t.mime || "");
+      const mediaPath = `${base}/posts/${id}/media/${idx}`;
+      const src = mediaSrc(mediaPath, t.hash);
+      const isVid = isVideoMime(mime);
+      const badge = count > 1 ? `<div class="mediaBadge">${count}</div>` : "";
+      // Variants for the tile (the route falls back to the original); the lightbox uses data-lb-src
+      const thumb = mediaSrc(mediaPath, t.hash, "thumb");
+      const medium = mediaSrc(mediaPath, t.hash, "medium");
+      const srcset = `${thumb} ${MEDIA_VARIANT_SIZES.thumb}w, ${medium} ${MEDIA_VARIANT_SIZES.medium}w`;
+
+      if (isVid) {
+        return `
+        <div class="mediaTile" data-lb-open="1" data-lb-group="${group}" data-lb-idx="${idx}" data-lb-src="${src}" data-lb-type="video">
+          ${badge}
+          <video muted playsinline preload="metadata" src="${src}"></video>
+        </div>
+      `;
       }
-      .lbStage img, .lbStage video{
-        width:100%;
-        height:100%;
-        max-width:100%;
-        max-height:100%;
-        object-fit:contain;
-        border-radius:14px;
-        display:block;
+
+      return `
+      <div class="mediaTile" data-lb-open="1" data-lb-group="${group}" data-lb-idx="${idx}" data-lb-src="${src}" data-lb-type="image">
+        ${badge}
+        <img src="${medium}" srcset="${srcset}" sizes="${sizes}" loading="lazy" alt="Post media" />
+      </div>
+    `;
+    })
+    .join("");
+
+  const hiddenAll = types
+    .slice(0, MAX_MEDIA_FILES)
+    .map((t) => {
+      const idx = Number(t.idx) || 0;
+      const mime = String(t.mime || "");
+      const src = mediaSrc(`${base}/posts/${id}/media/${idx}`, t.hash);
+      const type = isVideoMime(mime) ? "video" : "image";
+      return `<span style="display:none" data-lb-group="${group}" data-lb-src="${src}" data-lb-type="${type}"></span>`;
+    })
+    .join("");
+
+  return `<div class="mediaGrid">${tiles}</div>${hiddenAll}`;
+}
+
+/* ---------------------------
+   Post card renderer
+---------------------------- */
+
+// Have/want lists + author-only status switcher for trade posts
+function renderTradeHtml({ base, csrf, post, isAuthor, returnPath }) {
+  const t = post.trade;
+  if (!t) return "";
+
+  const list = (cards) =>
+    cards.length
+      ? `<ul class="tradeList">${cards.map((c) => `<li>${escapeHtml(c)}</li>`).join("")}</ul>`
+      : `<div class="muted small">None listed</div>`;
+
+  const statusForm =
+    isAuthor && t.status !== "completed"
+      ? `
+      <form method="POST" action="${base}/posts/${Number(post.id)}/trade-status" class="row" style="margin-top:8px">
+        ${csrfInput(csrf)}
+        <input type="hidden" name="return" value="${escapeHtml(returnPath || "")}" />
+        <select name="status" aria-label="Trade status">
+          ${TRADE_STATUSES.map(
+            (st) => `<option value="${st}" ${st === t.status ? "selected" : ""}>${tradeStatusLabel(st)}</option>`
+          ).join("")}
+        </select>
+        <button class="linkBtn small" type="submit">Update status</button>
+      </form>
+    `
+      : "";
+
+  const offerHtml = isAuthor
+    ? `<div class="small" style="margin-top:8px"><a href="${base}/offers">View offers</a></div>`
+    : t.status === "open"
+    ? `<a class="pillBtn primary" style="margin-top:8px" href="${base}/posts/${Number(post.id)}/offer">Make offer</a>`
+    : "";
+
+  return `
+    <div class="tradeBox">
+      <div class="tradeCol">
+        <div class="small" style="font-weight:800">Have</div>
+        ${list(t.have)}
+      </div>
+      <div class="tradeCol">
+        <div class="small" style="font-weight:800">Want</div>
+        ${list(t.want)}
+      </div>
+    </div>
+    ${statusForm}
+    ${offerHtml}
+  `;
+}
+
+// detail=true is the /posts/:id page: no comment preview/form (the page renders the full thread)
+function renderPostCard({ post, base, csrf, viewerId, showAuthorLink = true, returnPath, detail = false }) {
+  const id = Number(post.id);
+  const authorName = `${post.first_name || ""} ${post.last_name || ""}`.trim() || "User";
+  const handle = safeHandle(post.username || "");
+  const when = new Date(post.created_at).toLocaleString();
+  const editedHtml = post.edited_at ? ` · <span title="${escapeHtml(new Date(post.edited_at).toLocaleString())}">edited</span>` : "";
+  const isAuthor = !!viewerId && String(viewerId) === String(post.customer_id);
+
+  const body = renderRichText(post.body, base);
+
+  const authorHref = profileHref(base, post.customer_id, post.username);
+  const authorAvatar = `${base}/avatar/${encodeURIComponent(post.customer_id || "")}?size=thumb`;
+
+  const authorNameHtml = showAuthorLink
+    ? `<a href="${authorHref}" class="postAuthor">${escapeHtml(authorName)}</a>`
+    : `<div class="postAuthor">${escapeHtml(authorName)}</div>`;
+
+  const handleHtml = handle ? `<div class="muted small">${escapeHtml(handle)}</div>` : "";
+
+  const likeCount = Number(post.like_count || 0);
+  const commentCount = Number(post.comment_count || 0);
+  const liked = !!post.viewer_liked;
+
+  const likeAction = `${base}/posts/${id}/like`;
+  const commentAction = `${base}/posts/${id}/comment`;
+
+  const postHref = `${base}/posts/${id}`;
+
+  const returnInput = `<input type="hidden" name="return" value="${escapeHtml(returnPath || "")}" />`;
+  // The detail page is gone once its post is deleted
+  const deleteReturnInput = detail
+    ? `<input type="hidden" name="return" value="${escapeHtml(base)}" />`
+    : returnInput;
+
+  const ownerHtml = isAuthor
+    ? `
+        <a class="muted small" href="${base}/posts/${id}/edit?return=${encodeURIComponent(returnPath || "")}">Edit</a>
+        <form method="POST" action="${base}/posts/${id}/delete" style="margin:0" onsubmit="return confirm('Delete this post?')">
+          ${csrfInput(csrf)}
+          ${deleteReturnInput}
+          <button class="linkBtn muted small" type="submit">Delete</button>
+        </form>
+      `
+    : viewerId
+    ? renderReportLink({ base, type: "post", id, returnPath })
+    : "";
+
+  const commentsPreview = Array.isArray(post.comments_preview) ? post.comments_preview : [];
+  const previewHtml =
+    commentsPreview.length === 0
+      ? ""
+      : commentsPreview
+          .map((c) => {
+            const cn = `${c.first_name || ""} ${c.last_name || ""}`.trim() || "User";
+            const cAvatar = `${base}/avatar/${encodeURIComponent(c.customer_id || "")}?size=thumb`;
+            return `
+              <div class="commentItem">
+                <div class="commentRow">
+                  <img class="commentAvatar" src="${cAvatar}" alt="" />
+                  <div class="commentBody">
+                    <div class="commentAuthor">${escapeHtml(cn)}</div>
+                    <div class="small commentText">${renderRichText(c.body, base)}</div>
+                    ${renderCommentActions({ c, base, csrf, viewerId, postAuthorId: post.customer_id, returnPath })}
+                  </div>
+                </div>
+              </div>
+            `;
+          })
+          .join("");
+
+  const mediaHtml = renderPostMediaHtml({ base, post });
+  const tradeHtml = renderTradeHtml({ base, csrf, post, isAuthor, returnPath });
+  const tradeBadge = post.trade
+    ? `<span class="tradeBadge ${escapeHtml(post.trade.status)}">${escapeHtml(tradeStatusLabel(post.trade.status))}</span>`
+    : "";
+
+  return `
+    <div class="postItem" id="post-${id}">
+      <div class="postHeader">
+        <div class="postAuthorRow">
+          <img class="postAuthorAvatar" src="${authorAvatar}" alt="" />
+          <div>
+            ${authorNameHtml}
+            ${handleHtml}
+            <div class="muted small">${escapeHtml(when)}${editedHtml}</div>
+          </div>
+        </div>
+        <div class="postMetaRight">${tradeBadge}${ownerHtml}</div>
+      </div>
+
+      ${body ? `<p style="margin:10px 0 0 0;white-space:pre-wrap">${body}</p>` : ""}
+      ${tradeHtml}
+      ${mediaHtml}
+
+      <div class="actions">
+        <form method="POST" action="${likeAction}" style="margin:0">
+          ${csrfInput(csrf)}
+          ${returnInput}
+          <button class="actionBtn ${liked ? "liked" : ""}" type="submit" aria-label="Like">
+            <span class="heartIcon">${liked ? "♥" : "♡"}</span>
+            <span>${likeCount}</span>
+          </button>
+        </form>
+
+        ${
+          detail
+            ? `<span class="muted small">Comments: ${commentCount}</span>`
+            : `<a class="muted small" href="${postHref}">Comments: ${commentCount}</a>`
+        }
+      </div>
+
+      ${
+        detail
+          ? ""
+          : `
+      <div class="commentBox">
+        ${previewHtml}
+        ${
+          commentCount > commentsPreview.length
+            ? `<div class="small" style="margin-top:8px"><a href="${postHref}">View all ${commentCount} comments</a></div>`
+            : ""
+        }
+        <form method="POST" action="${commentAction}" style="margin-top:10px">
+          ${csrfInput(csrf)}
+          ${returnInput}
+          <input name="comment" maxlength="300" placeholder="Write a comment..." />
+          <button class="btn" type="submit" style="margin-top:10px">Comment</button>
+        </form>
+      </div>`
       }
-      .lbNav{
-        display:flex;
-        justify-content:center;
-        gap:10px;
+    </div>
+  `;
+}
+
+/* ---------------------------
+   Reputation renderer
+---------------------------- */
+
+function renderReputationHtml({ base, reputation, feedback }) {
+  const r = reputation || { positive: 0, neutral: 0, negative: 0, total: 0, score: 0 };
+  const items = Array.isArray(feedback) ? feedback : [];
+
+  const summary =
+    r.total === 0
+      ? `<div class="muted small">No trade feedback yet.</div>`
+      : `<div class="small">
+          <b>Reputation ${r.score > 0 ? "+" : ""}${r.score}</b>
+          <span class="muted">· ${r.positive} positive · ${r.neutral} neutral · ${r.negative} negative</span>
+        </div>`;
+
+  const list = items
+    .map((f) => {
+      const name = `${f.first_name || ""} ${f.last_name || ""}`.trim() || "User";
+      const rating = Number(f.rating);
+      const cls = rating > 0 ? "open" : rating < 0 ? "negative" : "completed";
+      return `
+        <div class="commentItem">
+          <div class="small">
+            <span class="tradeBadge ${cls}">${ratingLabel(rating)}</span>
+            <a href="${profileHref(base, f.rater_id, f.username)}">${escapeHtml(name)}</a>
+            <span class="muted">· ${escapeHtml(new Date(f.created_at).toLocaleDateString())}</span>
+          </div>
+          ${f.comment ? `<div class="small commentText">${escapeHtml(f.comment)}</div>` : ""}
+        </div>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="repBox">
+      ${summary}
+      ${list}
+    </div>
+  `;
+}
+
+/* ---------------------------
+   Suspension + moderator member panel
+---------------------------- */
+
+function suspensionMessage(state) {
+  const until = state?.suspended_until
+    ? `until ${new Date(state.suspended_until).toLocaleString()}`
+    : "permanently";
+  const reason = state?.suspension_reason ? ` Reason: ${state.suspension_reason}.` : "";
+  return `Your account is suspended ${until}.${reason}`;
+}
+
+// Rejects writes from a suspended viewer with a 403 page. Lookup errors fail open (logged).
+async function blockSuspendedWrites(req, res, next) {
+  const viewerId = getViewerCustomerId(req);
+  if (!viewerId || !pool) return next();
+
+  let state = null;
+  try {
+    state = await getModerationState(viewerId);
+  } catch (e) {
+    console.error("suspension check error:", e);
+    return next();
+  }
+  if (!isSuspensionActive(state)) return next();
+
+  const base = basePathFromReq(req);
+  return res.status(403).type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">Account suspended</div>
+          <p class="error">${escapeHtml(suspensionMessage(state))}</p>
+          <p class="muted small">You can still browse, but you can't post, comment, like, follow or send messages.</p>
+          <a class="btn" href="${base}">Back to feed</a>
+        </div>
+      `,
+      req
+    )
+  );
+}
+
+function renderSuspendFields(defaultReason = "") {
+  return `
+    <select name="duration" class="input" style="width:auto">
+      ${SUSPENSION_DURATIONS.map(([v, label]) => `<option value="${v}" ${v === "7" ? "selected" : ""}>${label}</option>`).join("")}
+    </select>
+    <input class="input" style="width:auto;flex:1" name="reason" maxlength="200" placeholder="Reason shown to the member"
+      value="${escapeHtml(defaultReason)}" />
+  `;
+}
+
+function renderModMemberPanel({ base, csrf, customerId, state }) {
+  const action = (name) => `${base}/mod/members/${encodeURIComponent(customerId)}/${name}`;
+  const suspended = isSuspensionActive(state);
+
+  const statusLine = suspended
+    ? `<span class="tradeBadge negative">Suspended</span> ${escapeHtml(
+        state.suspended_until ? `until ${new Date(state.suspended_until).toLocaleString()}` : "permanently"
+      )}${state.suspension_reason ? ` · ${escapeHtml(state.suspension_reason)}` : ""}`
+    : `<span class="muted">Not suspended</span>`;
+
+  return `
+    <div class="repBox" style="text-align:left">
+      <div class="small" style="font-weight:900">Moderation</div>
+      <div class="small" style="margin-top:4px">${statusLine}</div>
+      ${state?.shadow_hidden_at ? `<div class="small" style="margin-top:4px"><span class="tradeBadge completed">Shadow-hidden</span></div>` : ""}
+      ${
+        suspended
+          ? `<form method="POST" action="${action("unsuspend")}" style="margin-top:8px">
+               ${csrfInput(csrf)}
+               <button class="pillBtn" type="submit">Lift suspension</button>
+             </form>`
+          : `<form method="POST" action="${action("suspend")}" class="row" style="margin-top:8px"
+               onsubmit="return confirm('Suspend this member?')">
+               ${csrfInput(csrf)}
+               ${renderSuspendFields()}
+               <button class="pillBtn" type="submit">Suspend</button>
+             </form>`
       }
+      <form method="POST" action="${action("shadow")}" style="margin-top:8px">
+        ${csrfInput(csrf)}
+        <button class="pillBtn" type="submit">${state?.shadow_hidden_at ? "Un-hide posts" : "Shadow-hide posts"}</button>
+      </form>
+    </div>
+  `;
+}
+
+/* ---------------------------
+   Comment thread renderer
+---------------------------- */
+
+// Link to the report form; who may report what is checked by the server
+function renderReportLink({ base, type, id, returnPath }) {
+  const href = `${base}/report?type=${type}&id=${encodeURIComponent(id)}&return=${encodeURIComponent(returnPath || "")}`;
+  return `<a class="muted small" href="${href}">Report</a>`;
+}
+
+// Delete (commenter or post author) and Report (anyone but the commenter)
+function renderCommentActions({ c, base, csrf, viewerId, postAuthorId, returnPath }) {
+  if (!viewerId || !c.id) return "";
+  const isCommenter = String(viewerId) === String(c.customer_id);
+  const canDelete = isCommenter || String(viewerId) === String(postAuthorId || "");
+
+  const deleteHtml = canDelete
+    ? `
+      <form method="POST" action="${base}/comments/${Number(c.id)}/delete" style="margin:0" onsubmit="return confirm('Delete this comment?')">
+        ${csrfInput(csrf)}
+        <input type="hidden" name="return" value="${escapeHtml(returnPath || "")}" />
+        <button class="linkBtn muted small" type="submit">Delete</button>
+      </form>
+    `
+    : "";
+  const reportHtml = isCommenter ? "" : renderReportLink({ base, type: "comment", id: c.id, returnPath });
+
+  return `<div class="row" style="gap:12px;margin-top:4px">${deleteHtml}${reportHtml}</div>`;
+}
+
+function renderCommentItem({ c, base, csrf, parentName = "", viewerId, postAuthorId, returnPath }) {
+  const cid = Number(c.id);
+  const cn = `${c.first_name || ""} ${c.last_name || ""}`.trim() || "User";
+  const cAvatar = `${base}/avatar/${encodeURIComponent(c.customer_id || "")}?size=thumb`;
+  const cHref = profileHref(base, c.customer_id, c.username);
+  const when = new Date(c.created_at).toLocaleString();
+  const replyTo = c.parent_id
+    ? `<div class="muted small">↳ replying to <a href="#comment-${Number(c.parent_id)}">${escapeHtml(parentName || "comment")}</a></div>`
+    : "";
+
+  return `
+    <div class="commentItem ${c.parent_id ? "commentReply" : ""}" id="comment-${cid}">
+      <div class="commentRow">
+        <img class="commentAvatar" src="${cAvatar}" alt="" />
+        <div class="commentBody">
+          <div class="commentAuthor"><a href="${cHref}">${escapeHtml(cn)}</a></div>
+          ${replyTo}
+          <div class="small commentText">${renderRichText(c.body, base)}</div>
+          <div class="muted small" style="margin-top:4px">${escapeHtml(when)}</div>
+          ${renderCommentActions({ c, base, csrf, viewerId, postAuthorId, returnPath })}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Top-level comment + its replies + a collapsed reply form
+function renderCommentThread({ c, base, csrf, postId, returnPath, viewerId, postAuthorId }) {
+  const cid = Number(c.id);
+  const name = `${c.first_name || ""} ${c.last_name || ""}`.trim() || "User";
+  const replies = Array.isArray(c.replies) ? c.replies : [];
+
+  return `
+    <div class="commentThread">
+      ${renderCommentItem({ c, base, csrf, viewerId, postAuthorId, returnPath })}
+      ${replies
+        .map((r) =>
+          renderCommentItem({ c: r, base, csrf, parentName: name, viewerId, postAuthorId, returnPath })
+        )
+        .join("")}
+      <details class="replyBox">
+        <summary class="muted small">Reply</summary>
+        <form method="POST" action="${base}/posts/${Number(postId)}/comment" style="margin-top:8px">
+          ${csrfInput(csrf)}
+          <input type="hidden" name="return" value="${escapeHtml(returnPath || "")}" />
+          <input type="hidden" name="parent_id" value="${cid}" />
+          <input name="comment" maxlength="300" placeholder="Reply to ${escapeHtml(name)}..." />
+          <button class="btn" type="submit" style="margin-top:10px">Reply</button>
+        </form>
+      </details>
+    </div>
+  `;
+}
+
+/* ---------------------------
+   Media responses (ETag + Range)
+---------------------------- */
+
+const MEDIA_CACHE_IMMUTABLE = "private, max-age=31536000, immutable";
+const MEDIA_CACHE_REVALIDATE = "private, no-cache";
+
+// Post and message media URLs carry ?v=<start of the original's content hash>, and only a URL with the
+// current version is cached as immutable. Bytes rewritten in place (the metadata backfill) get a new hash,
+// so pages move to a new URL instead of browsers keeping the old copy for a year.
+function mediaVersion(hash) {
+  return hash ? String(hash).slice(0, 16) : "";
+}
+
+function mediaSrc(url, hash, size = "") {
+  const v = mediaVersion(hash);
+  const q = [size ? `size=${size}` : "", v ? `v=${v}` : ""].filter(Boolean).join("&amp;");
+  return q ? `${url}?${q}` : url;
+}
+
+function mediaCacheControl(req, hash) {
+  const v = typeof req.query.v === "string" ? req.query.v : "";
+  return v && v === mediaVersion(hash) ? MEDIA_CACHE_IMMUTABLE : MEDIA_CACHE_REVALIDATE;
+}
+
+// Sends media with a content-hash ETag, 304 on If-None-Match and a single-range 206 on Range.
+// `hash` may be empty (older rows): it's computed from the bytes then.
+async function sendMedia(req, res, { mime, hash, load, cacheControl = MEDIA_CACHE_REVALIDATE }) {
+  let bytes = null;
+  if (!hash) {
+    bytes = await load();
+    if (!bytes) return res.status(404).type("text").send("Not found");
+    hash = sha256Hex(bytes);
+  }
+  const etag = `"${hash}"`;
+
+  // Overrides the proxy-wide no-store headers
+  res.removeHeader("Pragma");
+  res.removeHeader("Expires");
+  res.setHeader("Cache-Control", cacheControl);
+  res.setHeader("ETag", etag);
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("Content-Type", mime);
+
+  const inm = String(req.headers["if-none-match"] || "");
+  if (inm && (inm.trim() === "*" || inm.split(",").some((t) => t.trim().replace(/^W\//, "") === etag))) {
+    return res.status(304).end();
+  }
+
+  if (!bytes) bytes = await load();
+  if (!bytes) return res.status(404).type("text").send("Not found");
+
+  // If-Range with a different validator means "send the whole thing"
+  const ifRange = String(req.headers["if-range"] || "");
+  const ranges = req.headers.range && (!ifRange || ifRange === etag) ? req.range(bytes.length, { combine: true }) : null;
+
+  if (ranges === -1) {
+    res.setHeader("Content-Range", `bytes */${bytes.length}`);
+    return res.status(416).end();
+  }
+  if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.setHeader("Content-Range", `bytes ${start}-${end}/${bytes.length}`);
+    return res.status(206).send(bytes.subarray(start, end + 1));
+  }
+
+  // Malformed or multi-range requests fall back to the full body
+  return res.status(200).send(bytes);
+}
+
+/* ---------------------------
+   Non-proxy root
+---------------------------- */
+
+app.get("/", (req, res) => {
+  res.type("html").send(`
+    <h1>Nugget Depot</h1>
+    <p>Server is live.</p>
+    <ul>
+      <li><a href="/healthz">Health Check</a></li>
+      <li>Shopify App Proxy entry: <code>/proxy</code> (requires signed request)</li>
+    </ul>
+  `);
+});
+app.get("/healthz", (req, res) => res.status(200).type("text").send("ok"));
 
-      /* Mobile scaling: slightly smaller overall so it fits better */
-      @media (max-width: 520px){
-        body{margin:14px;font-size:14px}
-        .card{padding:12px}
-        input, textarea{padding:9px 10px}
-        .collectionsRow{grid-template-columns: 1fr}
-        .actionBtn{padding:9px 10px}
-        .heartIcon{font-size:20px}
-        .avatarBox{width:104px;height:104px}
-        .avatar{width:104px;height:104px;border-radius:14px}
-        .postAuthorAvatar,.commentAvatar{width:40px;height:40px;border-radius:12px}
-        .composerFake{min-width:160px}
-        .tabBtn{padding:9px 12px}
-        .pillBtn{padding:8px 12px}
-        .dmMsg{max-width:90%}
-      }
-    </style>
-  </head>
-  <body>
-    <div class="nav">
-      <a href="${base}">Feed</a>
-      <a href="${base}/me">My Profile</a>
-      <a href="${base}/collection">My Collection</a>
-      <a href="${base}/trades">Trades</a>
-      <a href="${base}/inbox">Messages</a>
-    </div>
-    <hr/>
-    <div class="card">
-      ${bodyHtml}
+/* ---------------------------
+   Proxy endpoints
+---------------------------- */
+
+/** Avatar (me) */
+proxy.get("/me/avatar", async (req, res) => {
+  const customerId = getViewerCustomerId(req);
+  if (!customerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
+
+  try {
+    const a = await getAvatar(customerId);
+
+    // Avatars can be replaced under the same URL, so revalidate instead of caching for a year
+    if (a?.has_avatar && a?.avatar_mime) {
+      const size = normalizeMediaSize(req.query.size);
+      const m = (await getMediaVariant({ kind: "avatar", refId: customerId, size })) || a;
+      return sendMedia(req, res, {
+        mime: m.media_mime || a.avatar_mime,
+        hash: m.content_hash,
+        load: m.load,
+        cacheControl: MEDIA_CACHE_REVALIDATE,
+      });
+    }
+
+    const ini = initialsFor(a?.first_name || "", a?.last_name || "");
+    const svg = Buffer.from(svgAvatar(ini));
+    return sendMedia(req, res, {
+      mime: "image/svg+xml; charset=utf-8",
+      hash: "",
+      load: async () => svg,
+      cacheControl: MEDIA_CACHE_REVALIDATE,
+    });
+  } catch (e) {
+    console.error("avatar error:", e);
+    return res.status(200).type("text").send("Avatar error");
+  }
+});
+
+/** Avatar for any user (used in comments + post headers, requires login) */
+proxy.get("/avatar/:customerId", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
+
+  const targetId = String(req.params.customerId || "").trim();
+  if (!targetId) return res.status(404).type("text").send("Not found");
+
+  try {
+    const a = await getAvatar(targetId);
+
+    // Avatars can be replaced under the same URL, so revalidate instead of caching for a year
+    if (a?.has_avatar && a?.avatar_mime) {
+      const size = normalizeMediaSize(req.query.size);
+      const m = (await getMediaVariant({ kind: "avatar", refId: targetId, size })) || a;
+      return sendMedia(req, res, {
+        mime: m.media_mime || a.avatar_mime,
+        hash: m.content_hash,
+        load: m.load,
+        cacheControl: MEDIA_CACHE_REVALIDATE,
+      });
+    }
+
+    const ini = initialsFor(a?.first_name || "", a?.last_name || "");
+    const svg = Buffer.from(svgAvatar(ini));
+    return sendMedia(req, res, {
+      mime: "image/svg+xml; charset=utf-8",
+      hash: "",
+      load: async () => svg,
+      cacheControl: MEDIA_CACHE_REVALIDATE,
+    });
+  } catch (e) {
+    console.error("avatar public error:", e);
+    return res.status(200).type("text").send("Avatar error");
+  }
+});
+
+/** Post media (multi) */
+proxy.get("/posts/:id/media/:idx", async (req, res) => {
+  const customerId = getViewerCustomerId(req);
+  if (!customerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
+
+  const id = Number(req.params.id);
+  const idx = Number(req.params.idx);
+  if (!Number.isFinite(id) || !Number.isFinite(idx))
+    return res.status(404).type("text").send("Not found");
+
+  try {
+    // ?size=thumb|medium serves the resized copy when there is one
+    // (the original is looked up first either way: it carries the URL's version, and it's missing when the
+    // post is hidden, which takes the variants down too; it doesn't load the bytes)
+    const size = normalizeMediaSize(req.query.size);
+    const original = await getPostMediaRow(id, idx);
+    if (!original?.media_mime) return res.status(404).type("text").send("Not found");
+    const m = (await getMediaVariant({ kind: "post", refId: id, idx, size })) || original;
+
+    return sendMedia(req, res, {
+      mime: m.media_mime,
+      hash: m.content_hash,
+      load: m.load,
+      cacheControl: mediaCacheControl(req, original?.content_hash),
+    });
+  } catch (e) {
+    console.error("post media error:", e);
+    return res.status(200).type("text").send("Media error");
+  }
+});
+
+/** Backward compatible single media route (no recursion) */
+proxy.get("/posts/:id/media", async (req, res) => {
+  const customerId = getViewerCustomerId(req);
+  if (!customerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
+
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
+
+  try {
+    const m = await getPostMediaRow(id, 0);
+    if (!m?.media_mime) return res.status(404).type("text").send("Not found");
+
+    return sendMedia(req, res, {
+      mime: m.media_mime,
+      hash: m.content_hash,
+      load: m.load,
+      cacheControl: mediaCacheControl(req, m.content_hash),
+    });
+  } catch (e) {
+    console.error("post media legacy error:", e);
+    return res.status(200).type("text").send("Media error");
+  }
+});
+
+/** Message attachment (only sender/receiver can access) */
+proxy.get("/messages/:id/media/:idx", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
+
+  const id = Number(req.params.id);
+  const idx = Number(req.params.idx);
+  if (!Number.isFinite(id) || !Number.isFinite(idx))
+    return res.status(404).type("text").send("Not found");
+
+  try {
+    const msg = await getMessageById(id);
+    if (!msg) return res.status(404).type("text").send("Not found");
+
+    const allowed =
+      String(msg.sender_id) === String(viewerId) || String(msg.receiver_id) === String(viewerId);
+    if (!allowed) return res.status(404).type("text").send("Not found");
+
+    const m = await getMessageMediaRow(id, idx);
+    if (!m?.media_mime) return res.status(404).type("text").send("Not found");
+
+    return sendMedia(req, res, {
+      mime: m.media_mime,
+      hash: m.content_hash,
+      load: m.load,
+      cacheControl: mediaCacheControl(req, m.content_hash),
+    });
+  } catch (e) {
+    console.error("message media error:", e);
+    return res.status(200).type("text").send("Media error");
+  }
+});
+
+/** Feed page (tabs) */
+proxy.get("/", async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
+
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
+  }
+
+  await ensureRow(viewerId, shop);
+
+  const tab = normalizeTab(typeof req.query.tab === "string" ? req.query.tab : "feed");
+
+  const newPostHref = `${base}/post/new?return=feed&bucket=feed`;
+
+  const { posts, nextCursor } =
+    tab === "following"
+      ? await listFollowingPostsWithMeta({
+          shop,
+          viewerCustomerId: viewerId,
+          limit: 15,
+          cursor: null,
+        })
+      : await listBucketPostsWithMeta({
+          shop,
+          viewerCustomerId: viewerId,
+          bucket: tab,
+          limit: 15,
+          cursor: null,
+        });
+
+  const emptyText =
+    tab === "following" ? "No posts from members you follow yet." : "No posts yet.";
+
+  const postsHtml =
+    posts.length === 0
+      ? `<div class="postList"><p class="muted">${emptyText}</p></div>`
+      : `<div class="postList" id="feedList">
+          ${posts
+            .map((p) =>
+              renderPostCard({
+                post: p,
+                base,
+                csrf,
+                viewerId,
+                showAuthorLink: true,
+                returnPath: `${base}?tab=${tab}`,
+              })
+            )
+            .join("")}
+        </div>`;
+
+  const moreBlock = `
+    <div class="divider"></div>
+    <div id="feedMore" data-next="${escapeHtml(nextCursor || "")}" data-tab="${escapeHtml(tab)}">
+      <div class="muted small" id="feedStatus">${nextCursor ? "Loading more as you scroll..." : "End of feed."}</div>
+      <div id="feedSentinel" style="height:1px"></div>
     </div>
+    <script>
+      (function(){
+        const more = document.getElementById('feedMore');
+        const sentinel = document.getElementById('feedSentinel');
+        const list = document.getElementById('feedList');
+        const status = document.getElementById('feedStatus');
+        if (!more || !sentinel || !list || !status) return;
 
-    <div class="lb" id="lb">
-      <div class="lbInner">
-        <div class="lbTop">
-          <div id="lbTitle" class="small"></div>
-          <button class="lbBtn" type="button" id="lbClose">Close</button>
+        let loading = false;
+
+        async function loadMore(){
+          const next = more.getAttribute('data-next') || '';
+          const tab = more.getAttribute('data-tab') || 'feed';
+          if (!next || loading) return;
+          loading = true;
+          status.textContent = 'Loading...';
+          try{
+            const resp = await fetch('${base}/feed/more?tab=' + encodeURIComponent(tab) + '&cursor=' + encodeURIComponent(next), { credentials: 'same-origin' });
+            const data = await resp.json();
+            if (data && data.html) {
+              const tmp = document.createElement('div');
+              tmp.innerHTML = data.html;
+              while(tmp.firstChild) list.appendChild(tmp.firstChild);
+            }
+            more.setAttribute('data-next', (data && data.nextCursor) ? data.nextCursor : '');
+            status.textContent = (data && data.nextCursor) ? 'Loading more as you scroll...' : 'End of feed.';
+          }catch(e){
+            status.textContent = 'Could not load more.';
+          }finally{
+            loading = false;
+          }
+        }
+
+        const io = new IntersectionObserver((entries) => {
+          entries.forEach((entry) => {
+            if (entry.isIntersecting) loadMore();
+          });
+        }, { root: null, rootMargin: '600px', threshold: 0 });
+
+        io.observe(sentinel);
+      })();
+    </script>
+  `;
+
+  const composerHtml =
+    tab === "feed"
+      ? `
+        <div class="composer">
+          <div class="composerTop">
+            <a class="composerFake" href="${newPostHref}">Share something...</a>
+            <a class="iconBtn" href="${newPostHref}" aria-label="Add photo or video">＋</a>
+          </div>
+          <div class="muted small help">500 characters max. Media optional. Up to ${MAX_MEDIA_FILES} files.</div>
+          ${renderTabs({ base, active: tab })}
+        </div>
+      `
+      : tab === "following"
+      ? `
+        <div class="composer">
+          <div style="font-weight:900">Following</div>
+          <div class="muted small help">Posts from members you follow, newest first.</div>
+          ${renderTabs({ base, active: tab })}
+        </div>
+      `
+      : `
+        <div class="composer">
+          <div style="font-weight:900">${escapeHtml(bucketLabel(tab))}</div>
+          <div class="muted small help">Use the dedicated page to post in this bucket.</div>
+          ${renderTabs({ base, active: tab })}
+          <div class="row" style="margin-top:10px">
+            <a class="btn" href="${base}/${tab === "collection" ? "collection" : "trades"}">Go to ${escapeHtml(bucketLabel(tab))} page</a>
+          </div>
         </div>
-        <div class="lbStage" id="lbStage"></div>
-        <div class="lbNav">
-          <button class="lbBtn" type="button" id="lbPrev">Prev</button>
-          <button class="lbBtn" type="button" id="lbNext">Next</button>
+      `;
+
+  return res.type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div class="brandBar">
+            <img class="brandLogo" src="${GOLD_NUGGET_LOGO_URL}" alt="Gold Nugget" />
+          </div>
+
+          ${composerHtml}
+
+          ${postsHtml}
+          ${moreBlock}
         </div>
-      </div>
-    </div>
+      `,
+      req
+    )
+  );
+});
 
-    <script>
-      (function(){
-        const lb = document.getElementById('lb');
-        const stage = document.getElementById('lbStage');
-        const title = document.getElementById('lbTitle');
-        const closeBtn = document.getElementById('lbClose');
-        const prevBtn = document.getElementById('lbPrev');
-        const nextBtn = document.getElementById('lbNext');
+/** Feed endless loader (bucket-aware) */
+proxy.get("/feed/more", async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
-        let items = [];
-        let idx = 0;
+  if (!viewerId) return res.status(200).json({ html: "", nextCursor: "" });
+  if (!pool) return res.status(200).json({ html: "", nextCursor: "" });
 
-        function setStage(){
-          if (!stage) return;
-          stage.innerHTML = '';
-          const it = items[idx];
-          if (!it) return;
+  const tab = normalizeTab(typeof req.query.tab === "string" ? req.query.tab : "feed");
+  const cursor = decodeCursor(typeof req.query.cursor === "string" ? req.query.cursor : "");
 
-          title.textContent = (idx + 1) + ' / ' + items.length;
+  const { posts, nextCursor } =
+    tab === "following"
+      ? await listFollowingPostsWithMeta({
+          shop,
+          viewerCustomerId: viewerId,
+          limit: 15,
+          cursor,
+        })
+      : await listBucketPostsWithMeta({
+          shop,
+          viewerCustomerId: viewerId,
+          bucket: tab,
+          limit: 15,
+          cursor,
+        });
 
-          if (it.type === 'video'){
-            const v = document.createElement('video');
-            v.src = it.src;
-            v.controls = true;
-            v.playsInline = true;
-            stage.appendChild(v);
-          } else {
-            const im = document.createElement('img');
-            im.src = it.src;
-            im.alt = '';
-            stage.appendChild(im);
-          }
-        }
+  const html = posts
+    .map((p) =>
+      renderPostCard({
+        post: p,
+        base,
+        csrf,
+        viewerId,
+        showAuthorLink: true,
+        returnPath: `${base}?tab=${tab}`,
+      })
+    )
+    .join("");
 
-        function openLightbox(group, start){
-          const els = document.querySelectorAll('[data-lb-group="' + group + '"]');
-          const nextItems = [];
-          els.forEach((el) => {
-            const src = el.getAttribute('data-lb-src') || '';
-            const type = el.getAttribute('data-lb-type') || 'image';
-            if (src) nextItems.push({ src, type });
-          });
-          if (!nextItems.length) return;
+  return res.status(200).json({ html, nextCursor: nextCursor || "" });
+});
 
-          items = nextItems;
-          idx = Math.max(0, Math.min(items.length - 1, Number(start) || 0));
-          setStage();
+/** Like toggle */
+proxy.post("/posts/:id/like", blockSuspendedWrites, async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-          if (lb) lb.classList.add('show');
-          document.body.style.overflow = 'hidden';
-        }
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-        function closeLightbox(){
-          if (lb) lb.classList.remove('show');
-          if (stage) stage.innerHTML = '';
-          document.body.style.overflow = '';
-          items = [];
-          idx = 0;
-        }
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.redirect(base);
 
-        document.addEventListener('click', (e) => {
-          const t = e.target;
-          if (!(t instanceof HTMLElement)) return;
+  const returnPath = cleanText(req.body?.return, 300);
+  const fallback =
+    req.headers.referer && String(req.headers.referer).includes("/proxy") ? req.headers.referer : `${base}`;
 
-          const tile = t.closest && t.closest('[data-lb-open="1"]');
-          if (tile){
-            const group = tile.getAttribute('data-lb-group') || '';
-            const start = tile.getAttribute('data-lb-idx') || '0';
-            if (group) openLightbox(group, start);
-          }
-        });
+  const post = await getVisiblePostById(id);
+  if (!post || (await isBlockedEitherWay(viewerId, post.customer_id))) {
+    return res.status(404).type("text").send("Not found");
+  }
 
-        if (closeBtn) closeBtn.addEventListener('click', closeLightbox);
-        if (lb) lb.addEventListener('click', (e) => { if (e.target === lb) closeLightbox(); });
+  try {
+    await ensureRow(viewerId, shop);
+    await toggleLike({ shop, postId: id, customerId: viewerId });
+    if (returnPath && returnPath.startsWith("/")) return res.redirect(returnPath + `#post-${id}`);
+    return res.redirect(fallback + `#post-${id}`);
+  } catch (e) {
+    console.error("like error:", e);
+    return res.redirect(fallback + `#post-${id}`);
+  }
+});
 
-        function prev(){
-          if (!items.length) return;
-          idx = (idx - 1 + items.length) % items.length;
-          setStage();
-        }
-        function next(){
-          if (!items.length) return;
-          idx = (idx + 1) % items.length;
-          setStage();
-        }
+/** Add comment */
+proxy.post("/posts/:id/comment", blockSuspendedWrites, async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-        if (prevBtn) prevBtn.addEventListener('click', prev);
-        if (nextBtn) nextBtn.addEventListener('click', next);
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-        document.addEventListener('keydown', (e) => {
-          if (!lb || !lb.classList.contains('show')) return;
-          if (e.key === 'Escape') closeLightbox();
-          if (e.key === 'ArrowLeft') prev();
-          if (e.key === 'ArrowRight') next();
-        });
-      })();
-    </script>
-  </body>
-</html>`;
-}
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.redirect(base);
 
-/* ---------------------------
-   Auth middleware
----------------------------- */
+  const body = cleanMultiline(req.body?.comment, 300);
+  const returnPath = cleanText(req.body?.return, 300);
+  const parentId = Number(req.body?.parent_id) || null;
+  const fallback =
+    req.headers.referer && String(req.headers.referer).includes("/proxy") ? req.headers.referer : `${base}`;
 
-function requireProxyAuth(req, res, next) {
-  if (!SHOPIFY_API_SECRET) {
+  if (!body) return res.redirect(fallback + `#post-${id}`);
+
+  const post = await getVisiblePostById(id);
+  if (!post || (await isBlockedEitherWay(viewerId, post.customer_id))) {
+    return res.status(404).type("text").send("Not found");
+  }
+
+  try {
+    await ensureRow(viewerId, shop);
+    const c = await addComment({ shop, postId: id, customerId: viewerId, body, parentId });
+    const anchor = c.parentId ? `#comment-${c.parentId}` : `#post-${id}`;
+    if (returnPath && returnPath.startsWith("/")) return res.redirect(returnPath + anchor);
+    return res.redirect(fallback + anchor);
+  } catch (e) {
+    console.error("comment error:", e);
+    return res.redirect(fallback + `#post-${id}`);
+  }
+});
+
+/** Post detail: full comment thread with replies */
+proxy.get("/posts/:id", async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
+
+  if (!viewerId) {
     return res
-      .status(200)
       .type("html")
-      .send(page(`<p class="error">Missing SHOPIFY_API_SECRET</p>`, req));
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
   }
 
-  if (verifyShopifyProxy(req)) {
-    const shop = typeof req.query.shop === "string" ? req.query.shop : "";
-    const customerId =
-      typeof req.query.logged_in_customer_id === "string"
-        ? req.query.logged_in_customer_id
-        : "";
-    const pathPrefix =
-      typeof req.query.path_prefix === "string"
-        ? req.query.path_prefix
-        : "/apps/nuggetdepot";
-    if (shop && customerId && pathPrefix) {
-      setAuthCookie(res, { shop, customer_id: customerId, path_prefix: pathPrefix });
-    }
-    return next();
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
+
+  await ensureRow(viewerId, shop);
+
+  const post = await getPostWithMeta({ postId: id, viewerCustomerId: viewerId });
+  if (!post || (await isBlockedEitherWay(viewerId, post.customer_id))) {
+    return res.status(404).type("html").send(page(`<p class="error">Post not found.</p>`, req));
   }
 
-  const cookies = parseCookies(req);
-  const session = verifySession(cookies[AUTH_COOKIE]);
-  if (session) return next();
+  const returnPath = `${base}/posts/${id}`;
+  const { comments, nextCursor } = await listPostComments({
+    postId: id,
+    viewerCustomerId: viewerId,
+    limit: 20,
+    cursor: null,
+  });
+
+  const cardHtml = renderPostCard({
+    post,
+    base,
+    csrf,
+    viewerId,
+    showAuthorLink: true,
+    returnPath,
+    detail: true,
+  });
+
+  const threadsHtml = comments
+    .map((c) =>
+      renderCommentThread({ c, base, csrf, postId: id, returnPath, viewerId, postAuthorId: post.customer_id })
+    )
+    .join("");
+
+  const moreBlock = `
+    <div class="divider"></div>
+    <div id="commentMore" data-next="${escapeHtml(nextCursor || "")}">
+      <div class="muted small" id="commentStatus">${nextCursor ? "Loading more as you scroll..." : comments.length ? "End of comments." : ""}</div>
+      <div id="commentSentinel" style="height:1px"></div>
+    </div>
+    <script>
+      (function(){
+        const more = document.getElementById('commentMore');
+        const sentinel = document.getElementById('commentSentinel');
+        const list = document.getElementById('commentList');
+        const status = document.getElementById('commentStatus');
+        if (!more || !sentinel || !list || !status) return;
+
+        let loading = false;
+
+        async function loadMore(){
+          const next = more.getAttribute('data-next') || '';
+          if (!next || loading) return;
+          loading = true;
+          status.textContent = 'Loading...';
+          try{
+            const resp = await fetch('${base}/posts/${id}/comments/more?cursor=' + encodeURIComponent(next), { credentials: 'same-origin' });
+            const data = await resp.json();
+            if (data && data.html) {
+              const tmp = document.createElement('div');
+              tmp.innerHTML = data.html;
+              while(tmp.firstChild) list.appendChild(tmp.firstChild);
+            }
+            more.setAttribute('data-next', (data && data.nextCursor) ? data.nextCursor : '');
+            status.textContent = (data && data.nextCursor) ? 'Loading more as you scroll...' : 'End of comments.';
+          }catch(e){
+            status.textContent = 'Could not load more.';
+          }finally{
+            loading = false;
+          }
+        }
+
+        const io = new IntersectionObserver((entries) => {
+          entries.forEach((entry) => {
+            if (entry.isIntersecting) loadMore();
+          });
+        }, { root: null, rootMargin: '600px', threshold: 0 });
+
+        io.observe(sentinel);
+      })();
+    </script>
+  `;
 
-  const keys = Object.keys(req.query || {}).sort().join(", ");
-  return res.status(200).type("html").send(
+  return res.type("html").send(
     page(
       `
-        <p class="error">Invalid proxy signature.</p>
-        <p class="muted">Path: <code>${escapeHtml(req.originalUrl)}</code></p>
-        <p class="muted">Query keys: <code>${escapeHtml(keys || "none")}</code></p>
+        <div class="stack">
+          ${cardHtml}
+
+          <div class="commentBox" id="comments">
+            <div style="font-weight:900;margin-top:12px">Comments</div>
+            <form method="POST" action="${base}/posts/${id}/comment" style="margin-top:10px">
+              ${csrfInput(csrf)}
+              <input type="hidden" name="return" value="${escapeHtml(returnPath)}" />
+              <input name="comment" maxlength="300" placeholder="Write a comment..." />
+              <button class="btn" type="submit" style="margin-top:10px">Comment</button>
+            </form>
+            <div id="commentList">
+              ${threadsHtml || `<p class="muted">No comments yet.</p>`}
+            </div>
+            ${moreBlock}
+          </div>
+        </div>
       `,
       req
     )
   );
-}
+});
 
-/* ---------------------------
-   Proxy routes
----------------------------- */
+/** Comment thread endless loader */
+proxy.get("/posts/:id/comments/more", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
-const proxy = express.Router();
-proxy.use(requireProxyAuth);
+  if (!viewerId) return res.status(200).json({ html: "", nextCursor: "" });
+  if (!pool) return res.status(200).json({ html: "", nextCursor: "" });
 
-// Force no-cache for all proxy responses (prevents 304s for HTML)
-proxy.use((req, res, next) => {
-  res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
-  res.setHeader("Pragma", "no-cache");
-  res.setHeader("Expires", "0");
-  next();
-});
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(200).json({ html: "", nextCursor: "" });
 
-/* ---------------------------
-   DB helpers
----------------------------- */
+  const cursor = decodeCursor(typeof req.query.cursor === "string" ? req.query.cursor : "");
+  if (!cursor) return res.status(200).json({ html: "", nextCursor: "" });
 
-async function getProfile(customerId) {
-  if (!pool) return null;
-  await ensureSchema();
-  const r = await pool.query(
-    `SELECT customer_id, shop, username, first_name, last_name, bio, social_url, avatar_mime
-     FROM profiles_v2
-     WHERE customer_id=$1`,
-    [customerId]
-  );
-  return r.rows?.[0] || null;
-}
+  const post = await getVisiblePostById(id);
+  if (!post) return res.status(200).json({ html: "", nextCursor: "" });
 
-async function getAvatar(customerId) {
-  if (!pool) return null;
-  await ensureSchema();
-  const r = await pool.query(
-    `SELECT avatar_bytes, avatar_mime, first_name, last_name
-     FROM profiles_v2
-     WHERE customer_id=$1`,
-    [customerId]
-  );
-  return r.rows?.[0] || null;
-}
+  const returnPath = `${base}/posts/${id}`;
+  const { comments, nextCursor } = await listPostComments({
+    postId: id,
+    viewerCustomerId: viewerId,
+    limit: 20,
+    cursor,
+  });
 
-async function ensureRow(customerId, shop) {
-  if (!pool) throw new Error("DB not configured");
-  await ensureSchema();
+  const html = comments
+    .map((c) =>
+      renderCommentThread({ c, base, csrf, postId: id, returnPath, viewerId, postAuthorId: post.customer_id })
+    )
+    .join("");
 
-  await pool.query(
-    `INSERT INTO profiles_v2 (
-        customer_id, shop,
-        username, full_name, favorite_pokemon,
-        first_name, last_name, bio, social_url, avatar_mime
-     )
-     VALUES ($1,$2,'','','','','','','','')
-     ON CONFLICT (customer_id)
-     DO UPDATE SET shop=EXCLUDED.shop, updated_at=NOW()`,
-    [customerId, shop]
-  );
-}
+  return res.status(200).json({ html, nextCursor: nextCursor || "" });
+});
 
-async function updateProfile(customerId, patch) {
-  if (!pool) throw new Error("DB not configured");
-  await ensureSchema();
+/** Trade status (author only) */
+proxy.post("/posts/:id/trade-status", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-  const keys = Object.keys(patch);
-  if (keys.length === 0) return;
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-  const sets = [];
-  const vals = [];
-  let i = 1;
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
 
-  for (const k of keys) {
-    sets.push(`${k}=$${i++}`);
-    vals.push(patch[k]);
-  }
-  vals.push(customerId);
+  const returnPath = cleanText(req.body?.return, 300);
+  const returnTo = returnPath && returnPath.startsWith("/") ? returnPath : `${base}/trades`;
 
-  await pool.query(
-    `UPDATE profiles_v2 SET ${sets.join(", ")}, updated_at=NOW() WHERE customer_id=$${i}`,
-    vals
-  );
-}
+  try {
+    const result = await updateTradeStatus({ postId: id, customerId: viewerId, status: req.body?.status });
+    if (!result) return res.status(404).type("text").send("Not found");
+    if (result === "completed") {
+      return res.status(409).type("text").send("This trade is completed and can't be reopened.");
+    }
+    return res.redirect(returnTo + `#post-${id}`);
+  } catch (e) {
+    console.error("trade status error:", e);
+    return res.redirect(returnTo + `#post-${id}`);
+  }
+});
 
-async function createPost({ shop, customerId, body, bucket }) {
-  if (!pool) throw new Error("DB not configured");
-  await ensureSchema();
+/* ---------------------------
+   Trade offers
+---------------------------- */
 
-  const b = normalizeBucket(bucket);
+function renderOfferFormPage({ base, csrf, action, title, contextHtml, err }) {
+  return `
+    ${err ? `<p class="error">List at least one card to offer.</p>` : ""}
+    <div class="stack">
+      <div style="font-weight:900;font-size:18px">${escapeHtml(title)}</div>
+      ${contextHtml}
+      <form method="POST" action="${action}">
+        ${csrfInput(csrf)}
+        <label for="offer_cards">Cards you're offering (one per line)</label>
+        <textarea id="offer_cards" name="cards" required placeholder="Charizard ex 199/165" style="min-height:120px"></textarea>
+        <div class="muted small help">Up to ${MAX_TRADE_CARDS} cards.</div>
+
+        <label for="offer_note">Note (optional)</label>
+        <textarea id="offer_note" name="note" maxlength="500" placeholder="Condition, shipping, add-ons..." style="min-height:90px"></textarea>
 
-  const r = await pool.query(
-    `INSERT INTO posts_v1 (shop, customer_id, body, bucket)
-     VALUES ($1,$2,$3,$4)
-     RETURNING id`,
-    [shop, customerId, body || "", b]
-  );
-  return r.rows?.[0]?.id || null;
+        <div class="row">
+          <button class="btn" type="submit">Send offer</button>
+          <a class="btn" href="${base}/offers">Cancel</a>
+        </div>
+      </form>
+    </div>
+  `;
 }
 
-async function addPostMedia(postId, mediaItems) {
-  if (!pool) throw new Error("DB not configured");
-  await ensureSchema();
-  if (!postId) return;
+/** Make offer page */
+proxy.get("/posts/:id/offer", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
-  const items = Array.isArray(mediaItems) ? mediaItems : [];
-  for (let i = 0; i < items.length; i++) {
-    const it = items[i];
-    if (!it?.bytes || !it?.mime) continue;
-    await pool.query(
-      `INSERT INTO post_media_v1 (post_id, idx, media_bytes, media_mime) VALUES ($1,$2,$3,$4)`,
-      [postId, i, it.bytes, it.mime]
-    );
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
   }
-}
 
-async function getPostMediaRow(postId, idx) {
-  if (!pool) return null;
-  await ensureSchema();
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
 
-  const i = Number(idx);
-  if (!Number.isFinite(i) || i < 0) return null;
+  const post = await getPostWithMeta({ postId: id, viewerCustomerId: viewerId });
+  if (!post || !post.trade || String(post.customer_id) === String(viewerId)) {
+    return res.status(404).type("text").send("Not found");
+  }
+  if (post.trade.status !== "open") {
+    return res
+      .type("html")
+      .send(page(`<p class="error">This trade is no longer open.</p><a class="btn" href="${base}/trades">Back to trades</a>`, req));
+  }
 
-  const r = await pool.query(
-    `SELECT media_bytes, media_mime FROM post_media_v1 WHERE post_id=$1 AND idx=$2`,
-    [postId, i]
+  const ownerName = `${post.first_name || ""} ${post.last_name || ""}`.trim() || "User";
+  const contextHtml = `
+    <div class="muted small" style="margin-top:6px">Offer to ${escapeHtml(ownerName)} on <a href="${base}/posts/${id}">this trade</a>.</div>
+    ${renderTradeHtml({ base, csrf, post: { ...post, trade: { ...post.trade, status: "" } }, isAuthor: false, returnPath: "" })}
+  `;
+
+  return res.type("html").send(
+    page(
+      renderOfferFormPage({
+        base,
+        csrf,
+        action: `${base}/posts/${id}/offer`,
+        title: "Make offer",
+        contextHtml,
+        err: req.query.err === "1",
+      }),
+      req
+    )
   );
-  if (r.rows?.[0]?.media_bytes && r.rows?.[0]?.media_mime) return r.rows[0];
+});
 
-  if (i === 0) {
-    const legacy = await pool.query(`SELECT media_bytes, media_mime FROM posts_v1 WHERE id=$1`, [
-      postId,
-    ]);
-    if (legacy.rows?.[0]?.media_bytes && legacy.rows?.[0]?.media_mime) return legacy.rows[0];
-  }
+/** Send offer */
+proxy.post("/posts/:id/offer", blockSuspendedWrites, async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-  return null;
-}
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-async function getPostMediaMeta(postIds) {
-  const byPostId = {};
-  for (const id of postIds) {
-    byPostId[id] = { media_count: 0, media_types: [] };
-  }
-  if (!pool || postIds.length === 0) return { byPostId };
-  await ensureSchema();
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
 
-  const r = await pool.query(
-    `SELECT post_id, COUNT(*)::int AS cnt
-     FROM post_media_v1
-     WHERE post_id = ANY($1::bigint[])
-     GROUP BY post_id`,
-    [postIds]
-  );
-  for (const row of r.rows || []) {
-    if (byPostId[row.post_id]) byPostId[row.post_id].media_count = Number(row.cnt) || 0;
+  const cards = parseCardList(req.body?.cards);
+  const note = cleanMultiline(req.body?.note, 500);
+  if (cards.length === 0) return res.redirect(`${base}/posts/${id}/offer?err=1`);
+
+  try {
+    await ensureRow(viewerId, shop);
+    const offerId = await createOffer({ shop, postId: id, fromId: viewerId, cards, note });
+    if (!offerId) return res.status(404).type("text").send("Not found");
+    return res.redirect(`${base}/offers#offer-${offerId}`);
+  } catch (e) {
+    console.error("offer error:", e);
+    return res.redirect(`${base}/posts/${id}/offer?err=1`);
   }
+});
 
-  const r2 = await pool.query(
-    `SELECT post_id, idx, media_mime
-     FROM post_media_v1
-     WHERE post_id = ANY($1::bigint[])
-     ORDER BY post_id, idx ASC`,
-    [postIds]
-  );
-  for (const row of r2.rows || []) {
-    if (!byPostId[row.post_id]) continue;
-    byPostId[row.post_id].media_types.push({
-      idx: Number(row.idx) || 0,
-      mime: row.media_mime || "",
-    });
+/** Offers (sent + received, with counter history) */
+proxy.get("/offers", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
+
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
   }
 
-  const legacy = await pool.query(
-    `SELECT id, media_mime
-     FROM posts_v1
-     WHERE id = ANY($1::bigint[])`,
-    [postIds]
+  const threads = await listOfferThreads({ viewerId, limit: 200 });
+  const acceptedIds = threads.flatMap((th) =>
+    th.offers.filter((o) => o.status === "accepted").map((o) => Number(o.id))
   );
-  for (const row of legacy.rows || []) {
-    const pid = Number(row.id);
-    if (!byPostId[pid]) continue;
-    if (byPostId[pid].media_count > 0) continue;
-    const mm = String(row.media_mime || "").trim();
-    if (mm) {
-      byPostId[pid].media_count = 1;
-      byPostId[pid].media_types = [{ idx: 0, mime: mm }];
-    }
-  }
+  const feedbackGiven = await getFeedbackGiven({ raterId: viewerId, offerIds: acceptedIds });
 
-  return { byPostId };
-}
+  const feedbackStatus =
+    req.query.fb === "1"
+      ? `<p class="muted small">Thanks, your feedback was saved.</p>`
+      : req.query.fb === "dup"
+      ? `<p class="error">You already left feedback for this trade.</p>`
+      : "";
 
-async function listPostsForCustomerWithMeta({ targetCustomerId, viewerCustomerId, limit = 20 }) {
-  if (!pool) return { posts: [], nextCursor: "" };
-  await ensureSchema();
+  const statusLabel = {
+    pending: "Pending",
+    accepted: "Accepted",
+    declined: "Declined",
+    countered: "Countered",
+  };
+
+  const threadsHtml =
+    threads.length === 0
+      ? `<p class="muted">No offers yet. Browse <a href="${base}/trades">Trades</a> to make one.</p>`
+      : threads
+          .map((th) => {
+            const mine = String(th.post_owner_id) === String(viewerId);
+            const offersHtml = th.offers
+              .map((o) => {
+                const fromName = `${o.from_first_name || ""} ${o.from_last_name || ""}`.trim() || "User";
+                const fromMe = String(o.from_id) === String(viewerId);
+                const canRespond =
+                  o.status === "pending" && String(o.to_id) === String(viewerId) && th.trade_status === "open";
+                const cards = Array.isArray(o.cards) ? o.cards : [];
+                const actions = canRespond
+                  ? `
+                    <div class="row" style="margin-top:8px">
+                      <form method="POST" action="${base}/offers/${Number(o.id)}/accept" style="margin:0">
+                        ${csrfInput(csrf)}
+                        <button class="pillBtn primary" type="submit">Accept</button>
+                      </form>
+                      <form method="POST" action="${base}/offers/${Number(o.id)}/decline" style="margin:0">
+                        ${csrfInput(csrf)}
+                        <button class="pillBtn" type="submit">Decline</button>
+                      </form>
+                      <a class="pillBtn" href="${base}/offers/${Number(o.id)}/counter">Counter</a>
+                    </div>
+                  `
+                  : "";
+                const canRate =
+                  o.status === "accepted" &&
+                  th.trade_status === "completed" &&
+                  (String(o.from_id) === String(viewerId) || String(o.to_id) === String(viewerId)) &&
+                  !feedbackGiven.has(Number(o.id));
+                const feedbackForm = canRate
+                  ? `
+                    <form method="POST" action="${base}/offers/${Number(o.id)}/feedback" style="margin-top:8px">
+                      ${csrfInput(csrf)}
+                      <div class="small" style="font-weight:800">Rate this trade</div>
+                      <div class="row">
+                        <select name="rating" aria-label="Rating">
+                          <option value="positive">Positive</option>
+                          <option value="neutral">Neutral</option>
+                          <option value="negative">Negative</option>
+                        </select>
+                        <input name="comment" maxlength="200" placeholder="Short comment (optional)" style="flex:1;min-width:160px" />
+                        <button class="pillBtn" type="submit">Leave feedback</button>
+                      </div>
+                    </form>
+                  `
+                  : "";
+                return `
+                  <div class="commentItem" id="offer-${Number(o.id)}">
+                    <div class="small"><b>${fromMe ? "You" : escapeHtml(fromName)}</b> ${o.parent_id ? "countered" : "offered"} · ${escapeHtml(new Date(o.created_at).toLocaleString())}
+                      <span class="tradeBadge">${escapeHtml(statusLabel[o.status] || o.status)}</span>
+                    </div>
+                    <ul class="tradeList">${cards.map((c) => `<li>${escapeHtml(c)}</li>`).join("")}</ul>
+                    ${o.note ? `<div class="small commentText">${escapeHtml(o.note)}</div>` : ""}
+                    ${actions}
+                    ${feedbackForm}
+                  </div>
+                `;
+              })
+              .join("");
+
+            const snippet = escapeHtml(String(th.post_body || "").slice(0, 80));
+            return `
+              <div class="postItem">
+                <div style="display:flex;justify-content:space-between;gap:10px;align-items:center">
+                  <div>
+                    <div style="font-weight:900"><a href="${base}/posts/${th.post_id}">${mine ? "Your trade" : "Trade"}</a> ${snippet ? `<span class="muted small">${snippet}</span>` : ""}</div>
+                    <div class="muted small">Have: ${escapeHtml(th.have.join(", ") || "—")} · Want: ${escapeHtml(th.want.join(", ") || "—")}</div>
+                  </div>
+                  <span class="tradeBadge ${escapeHtml(th.trade_status)}">${escapeHtml(tradeStatusLabel(th.trade_status))}</span>
+                </div>
+                ${offersHtml}
+              </div>
+            `;
+          })
+          .join("");
 
-  const r = await pool.query(
-    `
-    SELECT
-      p.id, p.shop, p.customer_id, p.body, p.bucket, p.created_at,
-      pr.first_name, pr.last_name, pr.username
-    FROM posts_v1 p
-    LEFT JOIN profiles_v2 pr ON pr.customer_id = p.customer_id
-    WHERE p.customer_id = $1 AND p.bucket = 'feed'
-    ORDER BY p.created_at DESC, p.id DESC
-    LIMIT $2
-    `,
-    [targetCustomerId, limit]
+  return res.type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">Offers</div>
+          ${feedbackStatus}
+          <div class="postList">${threadsHtml}</div>
+        </div>
+      `,
+      req
+    )
   );
+});
 
-  const posts = r.rows || [];
-  const postIds = posts.map((x) => Number(x.id)).filter((x) => Number.isFinite(x));
+proxy.post("/offers/:id/accept", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-  const meta = await getPostsMeta(postIds, viewerCustomerId);
-  const mediaMeta = await getPostMediaMeta(postIds);
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-  const nextCursor =
-    posts.length === limit
-      ? encodeCursor(posts[posts.length - 1].created_at, posts[posts.length - 1].id)
-      : "";
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
 
-  return {
-    posts: posts.map((p) => ({
-      ...p,
-      ...meta.byPostId[p.id],
-      ...mediaMeta.byPostId[p.id],
-    })),
-    nextCursor,
-  };
-}
+  try {
+    const row = await acceptOffer({ offerId: id, customerId: viewerId });
+    if (!row) return res.status(404).type("text").send("Not found");
+    return res.redirect(`${base}/offers#offer-${id}`);
+  } catch (e) {
+    console.error("offer accept error:", e);
+    return res.redirect(`${base}/offers`);
+  }
+});
 
-async function listBucketPostsWithMeta({
-  shop,
-  viewerCustomerId,
-  bucket = "feed",
-  limit = 20,
-  cursor = null,
-}) {
-  if (!pool) return { posts: [], nextCursor: "" };
-  await ensureSchema();
+proxy.post("/offers/:id/decline", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-  const b = normalizeBucket(bucket);
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-  const params = [shop, b, limit];
-  let cursorClause = "";
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
 
-  if (cursor?.createdAt && cursor?.id) {
-    cursorClause = ` AND (p.created_at < $4 OR (p.created_at = $4 AND p.id < $5))`;
-    params.push(cursor.createdAt, cursor.id);
+  try {
+    const row = await declineOffer({ offerId: id, customerId: viewerId });
+    if (!row) return res.status(404).type("text").send("Not found");
+    return res.redirect(`${base}/offers#offer-${id}`);
+  } catch (e) {
+    console.error("offer decline error:", e);
+    return res.redirect(`${base}/offers`);
   }
+});
 
-  const r = await pool.query(
-    `
-    SELECT
-      p.id, p.shop, p.customer_id, p.body, p.bucket, p.created_at,
-      pr.first_name, pr.last_name, pr.username
-    FROM posts_v1 p
-    LEFT JOIN profiles_v2 pr ON pr.customer_id = p.customer_id
-    WHERE p.shop = $1 AND p.bucket = $2${cursorClause}
-    ORDER BY p.created_at DESC, p.id DESC
-    LIMIT $3
-    `,
-    params
-  );
+/** Post-trade feedback (either side of an accepted offer on a completed trade) */
+proxy.post("/offers/:id/feedback", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-  const posts = r.rows || [];
-  const postIds = posts.map((x) => Number(x.id)).filter((x) => Number.isFinite(x));
-  const meta = await getPostsMeta(postIds, viewerCustomerId);
-  const mediaMeta = await getPostMediaMeta(postIds);
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-  const nextCursor =
-    posts.length === limit
-      ? encodeCursor(posts[posts.length - 1].created_at, posts[posts.length - 1].id)
-      : "";
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
 
-  return {
-    posts: posts.map((p) => ({
-      ...p,
-      ...meta.byPostId[p.id],
-      ...mediaMeta.byPostId[p.id],
-    })),
-    nextCursor,
-  };
-}
+  const rating = normalizeRating(req.body?.rating);
+  if (rating === null) return res.redirect(`${base}/offers#offer-${id}`);
+  const comment = cleanText(req.body?.comment, 200);
 
-async function getPostsMeta(postIds, viewerCustomerId) {
-  const byPostId = {};
-  for (const id of postIds) {
-    byPostId[id] = {
-      like_count: 0,
-      comment_count: 0,
-      viewer_liked: false,
-      comments_preview: [],
-    };
+  try {
+    const result = await leaveTradeFeedback({ offerId: id, raterId: viewerId, rating, comment });
+    if (result === "duplicate") return res.redirect(`${base}/offers?fb=dup#offer-${id}`);
+    if (!result) return res.status(404).type("text").send("Not found");
+    return res.redirect(`${base}/offers?fb=1#offer-${id}`);
+  } catch (e) {
+    console.error("feedback error:", e);
+    return res.redirect(`${base}/offers#offer-${id}`);
   }
-  if (!pool || postIds.length === 0) return { byPostId };
+});
 
-  const likesR = await pool.query(
-    `SELECT post_id, COUNT(*)::int AS cnt
-     FROM likes_v1
-     WHERE post_id = ANY($1::bigint[])
-     GROUP BY post_id`,
-    [postIds]
-  );
-  for (const row of likesR.rows || []) {
-    if (byPostId[row.post_id]) byPostId[row.post_id].like_count = Number(row.cnt) || 0;
-  }
+/** Counter offer page (recipient of a pending offer only) */
+proxy.get("/offers/:id/counter", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
-  if (viewerCustomerId) {
-    const viewerR = await pool.query(
-      `SELECT post_id
-       FROM likes_v1
-       WHERE post_id = ANY($1::bigint[]) AND customer_id = $2`,
-      [postIds, viewerCustomerId]
-    );
-    for (const row of viewerR.rows || []) {
-      if (byPostId[row.post_id]) byPostId[row.post_id].viewer_liked = true;
-    }
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
   }
 
-  const cCountR = await pool.query(
-    `SELECT post_id, COUNT(*)::int AS cnt
-     FROM comments_v1
-     WHERE post_id = ANY($1::bigint[])
-     GROUP BY post_id`,
-    [postIds]
-  );
-  for (const row of cCountR.rows || []) {
-    if (byPostId[row.post_id]) byPostId[row.post_id].comment_count = Number(row.cnt) || 0;
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
+
+  const offer = await getOfferById(id);
+  if (
+    !offer ||
+    String(offer.to_id) !== String(viewerId) ||
+    offer.status !== "pending" ||
+    offer.trade_status !== "open"
+  ) {
+    return res.status(404).type("text").send("Not found");
   }
 
-  const cR = await pool.query(
-    `
-    SELECT * FROM (
-      SELECT
-        c.post_id, c.body, c.created_at, c.customer_id,
-        pr.first_name, pr.last_name, pr.username,
-        ROW_NUMBER() OVER (PARTITION BY c.post_id ORDER BY c.created_at DESC, c.id DESC) AS rn
-      FROM comments_v1 c
-      LEFT JOIN profiles_v2 pr ON pr.customer_id = c.customer_id
-      WHERE c.post_id = ANY($1::bigint[])
-    ) t
-    WHERE t.rn <= 2
-    ORDER BY t.post_id, t.created_at ASC
-    `,
-    [postIds]
+  const cards = Array.isArray(offer.cards) ? offer.cards : [];
+  const contextHtml = `
+    <div class="muted small" style="margin-top:6px">Countering this offer on <a href="${base}/posts/${Number(offer.post_id)}">the trade</a>:</div>
+    <ul class="tradeList">${cards.map((c) => `<li>${escapeHtml(c)}</li>`).join("")}</ul>
+    ${offer.note ? `<div class="small commentText">${escapeHtml(offer.note)}</div>` : ""}
+  `;
+
+  return res.type("html").send(
+    page(
+      renderOfferFormPage({
+        base,
+        csrf,
+        action: `${base}/offers/${id}/counter`,
+        title: "Counter offer",
+        contextHtml,
+        err: req.query.err === "1",
+      }),
+      req
+    )
   );
+});
 
-  for (const row of cR.rows || []) {
-    if (!byPostId[row.post_id]) continue;
-    byPostId[row.post_id].comments_preview.push({
-      body: row.body || "",
-      created_at: row.created_at,
-      first_name: row.first_name || "",
-      last_name: row.last_name || "",
-      username: row.username || "",
-      customer_id: row.customer_id || "",
-    });
+proxy.post("/offers/:id/counter", blockSuspendedWrites, async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
+
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
+
+  const cards = parseCardList(req.body?.cards);
+  const note = cleanMultiline(req.body?.note, 500);
+  if (cards.length === 0) return res.redirect(`${base}/offers/${id}/counter?err=1`);
+
+  try {
+    const row = await counterOffer({ offerId: id, customerId: viewerId, cards, note });
+    if (!row) return res.status(404).type("text").send("Not found");
+    return res.redirect(`${base}/offers#offer-${Number(row.id)}`);
+  } catch (e) {
+    console.error("offer counter error:", e);
+    return res.redirect(`${base}/offers`);
   }
+});
 
-  return { byPostId };
-}
+/** Delete comment (commenter, or the author of the post it is on) */
+proxy.post("/comments/:id/delete", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-async function toggleLike({ shop, postId, customerId }) {
-  if (!pool) throw new Error("DB not configured");
-  await ensureSchema();
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
+
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
+
+  const returnPath = cleanText(req.body?.return, 300);
+  const returnTo = returnPath && returnPath.startsWith("/") ? returnPath : `${base}`;
 
   try {
-    await pool.query(`INSERT INTO likes_v1 (shop, post_id, customer_id) VALUES ($1,$2,$3)`, [
-      shop,
-      postId,
-      customerId,
-    ]);
-    return { liked: true };
-  } catch {
-    await pool.query(`DELETE FROM likes_v1 WHERE post_id=$1 AND customer_id=$2`, [
-      postId,
-      customerId,
-    ]);
-    return { liked: false };
+    const postId = await deleteComment({ commentId: id, customerId: viewerId });
+    if (!postId) return res.status(404).type("text").send("Not found");
+    return res.redirect(returnTo + `#post-${postId}`);
+  } catch (e) {
+    console.error("delete comment error:", e);
+    return res.redirect(returnTo);
+  }
+});
+
+/** Edit post caption (author only) */
+proxy.get("/posts/:id/edit", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
+
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>You are not logged in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
+  }
+
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
+
+  const post = await getPostById(id);
+  if (!post || String(post.customer_id) !== String(viewerId)) {
+    return res.status(404).type("text").send("Not found");
   }
-}
 
-async function addComment({ shop, postId, customerId, body }) {
-  if (!pool) throw new Error("DB not configured");
-  await ensureSchema();
-  await pool.query(
-    `INSERT INTO comments_v1 (shop, post_id, customer_id, body) VALUES ($1,$2,$3,$4)`,
-    [shop, postId, customerId, body]
-  );
-}
+  const r = typeof req.query.return === "string" ? req.query.return : "";
+  const returnTo = r.startsWith("/") ? r : `${base}`;
 
-/* ---------------------------
-   Follow + DM helpers
----------------------------- */
+  const status = req.query.err === "1" ? `<p class="error">Add text or keep the post's media.</p>` : "";
 
-async function isFollowing({ followerId, followedId }) {
-  if (!pool) return false;
-  await ensureSchema();
-  if (!followerId || !followedId) return false;
+  return res.type("html").send(
+    page(
+      `
+        ${status}
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">Edit post</div>
+          <form method="POST" action="${base}/posts/${id}/edit">
+            ${csrfInput(csrf)}
+            <input type="hidden" name="return" value="${escapeHtml(returnTo)}" />
 
-  const r = await pool.query(
-    `SELECT 1 FROM follows_v1 WHERE follower_id=$1 AND followed_id=$2 LIMIT 1`,
-    [followerId, followedId]
+            <label for="body">Caption</label>
+            <textarea id="body" name="body" maxlength="500" placeholder="Write your post (max 500 characters)">${escapeHtml(post.body || "")}</textarea>
+            <div class="muted small help">0 to 500 characters. Media can't be changed.</div>
+
+            <div class="row">
+              <button class="btn" type="submit">Save</button>
+              <a class="btn" href="${escapeHtml(returnTo)}">Cancel</a>
+            </div>
+          </form>
+        </div>
+      `,
+      req
+    )
   );
-  return (r.rows || []).length > 0;
-}
+});
 
-async function toggleFollow({ followerId, followedId }) {
-  if (!pool) throw new Error("DB not configured");
-  await ensureSchema();
+proxy.post("/posts/:id/edit", blockSuspendedWrites, async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-  try {
-    await pool.query(
-      `INSERT INTO follows_v1 (follower_id, followed_id) VALUES ($1,$2)`,
-      [followerId, followedId]
-    );
-    return { following: true };
-  } catch {
-    await pool.query(
-      `DELETE FROM follows_v1 WHERE follower_id=$1 AND followed_id=$2`,
-      [followerId, followedId]
-    );
-    return { following: false };
-  }
-}
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-async function createMessage({ shop, senderId, receiverId, body }) {
-  if (!pool) throw new Error("DB not configured");
-  await ensureSchema();
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
 
-  const r = await pool.query(
-    `INSERT INTO messages_v1 (shop, sender_id, receiver_id, body)
-     VALUES ($1,$2,$3,$4)
-     RETURNING id`,
-    [shop, senderId, receiverId, body || ""]
-  );
-  return r.rows?.[0]?.id || null;
-}
+  const post = await getPostById(id);
+  if (!post || String(post.customer_id) !== String(viewerId)) {
+    return res.status(404).type("text").send("Not found");
+  }
 
-async function addMessageMedia(messageId, mediaItems) {
-  if (!pool) throw new Error("DB not configured");
-  await ensureSchema();
-  if (!messageId) return;
+  const body = cleanMultiline(req.body?.body, 500);
+  const returnPath = cleanText(req.body?.return, 300);
+  const returnTo = returnPath && returnPath.startsWith("/") ? returnPath : `${base}`;
 
-  const items = Array.isArray(mediaItems) ? mediaItems : [];
-  for (let i = 0; i < items.length; i++) {
-    const it = items[i];
-    if (!it?.bytes || !it?.mime) continue;
-    await pool.query(
-      `INSERT INTO message_media_v1 (message_id, idx, media_bytes, media_mime)
-       VALUES ($1,$2,$3,$4)`,
-      [messageId, i, it.bytes, it.mime]
-    );
+  // A post must keep either a caption or its media
+  if (!body && !post.has_media && !post.has_legacy_media) {
+    return res.redirect(`${base}/posts/${id}/edit?err=1&return=${encodeURIComponent(returnTo)}`);
   }
-}
 
-async function listConversation({ viewerId, otherId, limit = 30 }) {
-  if (!pool) return [];
-  await ensureSchema();
+  try {
+    const ok = await updatePostBody({ postId: id, customerId: viewerId, body });
+    if (!ok) return res.status(404).type("text").send("Not found");
+    return res.redirect(returnTo + `#post-${id}`);
+  } catch (e) {
+    console.error("edit post error:", e);
+    return res.redirect(`${base}/posts/${id}/edit?return=${encodeURIComponent(returnTo)}`);
+  }
+});
 
-  const r = await pool.query(
-    `
-    SELECT
-      m.id, m.shop, m.sender_id, m.receiver_id, m.body, m.created_at,
-      (SELECT COUNT(*)::int FROM message_media_v1 mm WHERE mm.message_id = m.id) AS media_count
-    FROM messages_v1 m
-    WHERE
-      (m.sender_id=$1 AND m.receiver_id=$2)
-      OR
-      (m.sender_id=$2 AND m.receiver_id=$1)
-    ORDER BY m.created_at DESC, m.id DESC
-    LIMIT $3
-    `,
-    [viewerId, otherId, limit]
-  );
+/** Delete post (author only; removes media, likes and comments) */
+proxy.post("/posts/:id/delete", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-  return (r.rows || []).reverse();
-}
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-async function listInbox({ viewerId, limit = 50 }) {
-  if (!pool) return [];
-  await ensureSchema();
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
 
-  const r = await pool.query(
-    `
-    SELECT
-      m.id, m.sender_id, m.receiver_id, m.body, m.created_at,
-      CASE WHEN m.sender_id=$1 THEN m.receiver_id ELSE m.sender_id END AS other_id
-    FROM messages_v1 m
-    WHERE m.sender_id=$1 OR m.receiver_id=$1
-    ORDER BY m.created_at DESC, m.id DESC
-    LIMIT $2
-    `,
-    [viewerId, limit]
-  );
+  const returnPath = cleanText(req.body?.return, 300);
+  const returnTo = returnPath && returnPath.startsWith("/") ? returnPath : `${base}`;
 
-  const seen = new Set();
-  const out = [];
-  for (const row of r.rows || []) {
-    const oid = row.other_id;
-    if (!oid || seen.has(oid)) continue;
-    seen.add(oid);
-    out.push(row);
+  try {
+    const ok = await deletePost({ postId: id, customerId: viewerId });
+    if (!ok) return res.status(404).type("text").send("Not found");
+    return res.redirect(returnTo);
+  } catch (e) {
+    console.error("delete post error:", e);
+    return res.redirect(returnTo);
   }
-  return out;
-}
+});
 
-async function getMessageById(messageId) {
-  if (!pool) return null;
-  await ensureSchema();
-  const r = await pool.query(
-    `SELECT id, shop, sender_id, receiver_id, body, created_at FROM messages_v1 WHERE id=$1`,
-    [messageId]
-  );
-  return r.rows?.[0] || null;
-}
+/** My Profile */
+proxy.get("/me", async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
-async function getMessageMediaRow(messageId, idx) {
-  if (!pool) return null;
-  await ensureSchema();
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>You are not logged in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
+  }
 
-  const i = Number(idx);
-  if (!Number.isFinite(i) || i < 0) return null;
+  await ensureRow(viewerId, shop);
 
-  const r = await pool.query(
-    `SELECT media_bytes, media_mime FROM message_media_v1 WHERE message_id=$1 AND idx=$2`,
-    [messageId, i]
-  );
-  return r.rows?.[0] || null;
-}
+  const profile = await getProfile(viewerId);
+  const displayName = `${profile?.first_name || ""} ${profile?.last_name || ""}`.trim() || "Name not set";
 
-/* ---------------------------
-   Rendering helpers
----------------------------- */
+  const handle = safeHandle(profile?.username);
+  const handleLine = handle
+    ? `<div class="muted handleUnder">${escapeHtml(handle)}</div>`
+    : `<div class="muted handleUnder">Username not set</div>`;
 
-function renderTabs({ base, active }) {
-  const a = normalizeBucket(active);
-  const feedHref = `${base}?tab=feed`;
-  const colHref = `${base}?tab=collection`;
-  const trdHref = `${base}?tab=trades`;
+  const avatarSrc = `${base}/me/avatar?size=thumb`;
+  const editHref = `${base}/me/edit`;
 
-  return `
-    <div class="tabsRow">
-      <a class="tabBtn ${a === "feed" ? "active" : ""}" href="${feedHref}">Feed</a>
-      <a class="tabBtn ${a === "collection" ? "active" : ""}" href="${colHref}">Collections</a>
-      <a class="tabBtn ${a === "trades" ? "active" : ""}" href="${trdHref}">Trades</a>
-    </div>
-  `;
-}
+  const newPostHref = `${base}/post/new?return=me&bucket=feed`;
 
-function renderInlineBucketComposer({ base, bucket, returnTo, requireMedia }) {
-  const b = normalizeBucket(bucket);
-  const title = bucketLabel(b);
+  const collectionHref = `${base}/collection`;
+  const tradesHref = `${base}/trades`;
 
-  return `
-    <div class="composer">
-      <div style="font-weight:900">${escapeHtml(title)} Post</div>
-      <div class="muted small help">${requireMedia ? "Media is required on this page." : "Media optional."} Up to ${MAX_MEDIA_FILES} files.</div>
+  const { posts } = await listPostsForCustomerWithMeta({
+    targetCustomerId: viewerId,
+    viewerCustomerId: viewerId,
+    limit: 20,
+  });
 
-      <form method="POST" enctype="multipart/form-data" action="${base}/post/new" style="margin-top:10px">
-        <input type="hidden" name="return" value="${escapeHtml(returnTo)}" />
-        <input type="hidden" name="bucket" value="${escapeHtml(b)}" />
+  const reputationHtml = renderReputationHtml({
+    base,
+    reputation: await getReputation(viewerId),
+    feedback: await listRecentFeedback({ customerId: viewerId, limit: 5 }),
+  });
 
-        <label for="b_${b}_body">Caption (optional)</label>
-        <textarea id="b_${b}_body" name="body" maxlength="500" placeholder="Write something (max 500 characters)" style="min-height:120px"></textarea>
+  const modState = await getModerationState(viewerId);
+  const suspensionHtml = isSuspensionActive(modState)
+    ? `<p class="error small">${escapeHtml(suspensionMessage(modState))}</p>`
+    : "";
 
-        <label for="b_${b}_media">Photo or video ${requireMedia ? "(required)" : "(optional)"}</label>
-        <input id="b_${b}_media" type="file" name="media" ${requireMedia ? "required" : ""} multiple accept="image/*,video/*" />
+  const postsHtml =
+    posts.length === 0
+      ? `<div class="postList"><p class="muted">No posts yet.</p></div>`
+      : `<div class="postList">
+          ${posts
+            .map((p) =>
+              renderPostCard({ post: p, base, csrf, viewerId, showAuthorLink: false, returnPath: `${base}/me` })
+            )
+            .join("")}
+        </div>`;
+
+  return res.type("html").send(
+    page(
+      `
+        <div class="profileTop">
+          <div class="avatarWrap">
+            <div class="avatarBox">
+              <img class="avatar" src="${avatarSrc}" alt="Profile photo" />
+              <a class="avatarEdit" href="${editHref}" aria-label="Edit profile">✎</a>
+            </div>
+
+            <div class="nameUnder">${escapeHtml(displayName)}</div>
+            ${handleLine}
+            ${suspensionHtml}
+            <a class="muted small" href="${base}/settings">Settings: blocked &amp; muted members, sessions</a>
+            ${reputationHtml}
+
+            <div class="composer">
+              <div class="composerTop">
+                <a class="composerFake" href="${newPostHref}">Share something...</a>
+                <a class="iconBtn" href="${newPostHref}" aria-label="Add photo or video">＋</a>
+              </div>
+              <div class="muted small help">500 characters max. Media optional. Up to ${MAX_MEDIA_FILES} files.</div>
+            </div>
+
+            <div class="collectionsRow">
+              <a class="collectionCard" href="${collectionHref}" aria-label="Go to Collection">
+                <div>
+                  <div class="collectionTitle">Collection</div>
+                  <div class="muted small">Collection bucket posts</div>
+                </div>
+                <div class="chev">›</div>
+              </a>
+
+              <a class="collectionCard" href="${tradesHref}" aria-label="Go to Trades">
+                <div>
+                  <div class="collectionTitle">Trades</div>
+                  <div class="muted small">Trades bucket posts</div>
+                </div>
+                <div class="chev">›</div>
+              </a>
+            </div>
 
-        <div class="row">
-          <button class="btn" type="submit">Post</button>
+            ${postsHtml}
+          </div>
         </div>
+      `,
+      req
+    )
+  );
+});
 
-        <div class="muted small help">15MB max per file.</div>
-      </form>
-    </div>
-  `;
-}
+/** Public profile: /u/:customerId (feed-only posts, Follow + Message buttons) */
+proxy.get("/u/:customerId", async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
-function renderPostMediaHtml({ base, post }) {
-  const id = Number(post.id);
-  const types = Array.isArray(post.media_types) ? post.media_types : [];
-  const count = Number(post.media_count || 0);
+  const targetId = String(req.params.customerId || "").trim();
+  if (!targetId) return res.type("html").send(page(`<p class="error">Missing user.</p>`, req));
 
-  if (!count || !types.length) return "";
+  if (viewerId && targetId === viewerId) return res.redirect(`${base}/me`);
 
-  const group = `post-${id}`;
-  const tiles = types
-    .slice(0, MAX_MEDIA_FILES)
-    .map((t) => {
-      const idx = Number(t.idx) || 0;
-      const mime = String(t.mime || "");
-      const src = `${base}/posts/${id}/media/${idx}`;
-      const isVid = isVideoMime(mime);
-      const badge = count > 1 ? `<div class="mediaBadge">${count}</div>` : "";
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>You are not logged in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
+  }
 
-      if (isVid) {
-        return `
-        <div class="mediaTile" data-lb-open="1" data-lb-group="${group}" data-lb-idx="${idx}" data-lb-src="${src}" data-lb-type="video">
-          ${badge}
-          <video muted playsinline preload="metadata" src="${src}"></video>
-        </div>
-      `;
-      }
+  await ensureRow(viewerId, shop);
 
-      return `
-      <div class="mediaTile" data-lb-open="1" data-lb-group="${group}" data-lb-idx="${idx}" data-lb-src="${src}" data-lb-type="image">
-        ${badge}
-        <img src="${src}" alt="Post media" />
-      </div>
-    `;
-    })
-    .join("");
+  // Blocked either way: the profile doesn't exist as far as the viewer can tell
+  if (await isBlockedEitherWay(viewerId, targetId)) {
+    return res.status(404).type("html").send(page(`<p class="error">User not found.</p>`, req));
+  }
 
-  const hiddenAll = types
-    .slice(0, MAX_MEDIA_FILES)
-    .map((t) => {
-      const idx = Number(t.idx) || 0;
-      const mime = String(t.mime || "");
-      const src = `${base}/posts/${id}/media/${idx}`;
-      const type = isVideoMime(mime) ? "video" : "image";
-      return `<span style="display:none" data-lb-group="${group}" data-lb-src="${src}" data-lb-type="${type}"></span>`;
-    })
-    .join("");
+  await ensureRow(targetId, shop);
 
-  return `<div class="mediaGrid">${tiles}</div>${hiddenAll}`;
-}
+  const profile = await getProfile(targetId);
+  if (!profile) return res.type("html").send(page(`<p class="error">User not found.</p>`, req));
 
-/* ---------------------------
-   Post card renderer
----------------------------- */
+  const displayName =
+    `${profile?.first_name || ""} ${profile?.last_name || ""}`.trim() || "Name not set";
+  const handle = safeHandle(profile?.username);
+  const handleLine = handle
+    ? `<div class="muted handleUnder">${escapeHtml(handle)}</div>`
+    : `<div class="muted handleUnder">Username not set</div>`;
 
-function renderPostCard({ post, base, viewerId, showAuthorLink = true, returnPath }) {
-  const id = Number(post.id);
-  const authorName = `${post.first_name || ""} ${post.last_name || ""}`.trim() || "User";
-  const handle = safeHandle(post.username || "");
-  const when = new Date(post.created_at).toLocaleString();
+  const avatarSrc = `${base}/avatar/${encodeURIComponent(targetId)}?size=thumb`;
 
-  const body = escapeHtml(post.body || "");
+  const following = await isFollowing({ followerId: viewerId, followedId: targetId });
+  const muted = await isMuted({ muterId: viewerId, mutedId: targetId });
+  const followAction = `${base}/u/${encodeURIComponent(targetId)}/follow`;
+  const muteAction = `${base}/u/${encodeURIComponent(targetId)}/mute`;
+  const blockAction = `${base}/u/${encodeURIComponent(targetId)}/block`;
+  const dmHref = `${base}/dm/${encodeURIComponent(targetId)}`;
 
-  const authorHref = `${base}/u/${encodeURIComponent(post.customer_id)}`;
-  const authorAvatar = `${base}/avatar/${encodeURIComponent(post.customer_id || "")}`;
+  const actionsHtml = `
+    <div class="profileActions">
+      <form method="POST" action="${followAction}" style="margin:0">
+        ${csrfInput(csrf)}
+        <button class="pillBtn primary" type="submit" aria-label="Follow">
+          <span class="pillIcon">${following ? "✓" : "＋"}</span>
+          <span>${following ? "Following" : "Follow"}</span>
+        </button>
+      </form>
 
-  const authorNameHtml = showAuthorLink
-    ? `<a href="${authorHref}" class="postAuthor">${escapeHtml(authorName)}</a>`
-    : `<div class="postAuthor">${escapeHtml(authorName)}</div>`;
+      <a class="pillBtn" href="${dmHref}" aria-label="Message">
+        <span class="pillIcon">✉</span>
+        <span>Message</span>
+      </a>
+    </div>
+    <div class="row small" style="justify-content:center;margin-top:8px">
+      <form method="POST" action="${muteAction}" style="margin:0">
+        ${csrfInput(csrf)}
+        <button class="linkBtn muted small" type="submit">${muted ? "Unmute" : "Mute"}</button>
+      </form>
+      <form method="POST" action="${blockAction}" style="margin:0" onsubmit="return confirm('Block this member? You will no longer see each other.')">
+        ${csrfInput(csrf)}
+        <button class="linkBtn muted small" type="submit">Block</button>
+      </form>
+      ${renderReportLink({ base, type: "profile", id: targetId, returnPath: `${base}/u/${encodeURIComponent(targetId)}` })}
+    </div>
+  `;
 
-  const handleHtml = handle ? `<div class="muted small">${escapeHtml(handle)}</div>` : "";
+  const { posts } = await listPostsForCustomerWithMeta({
+    targetCustomerId: targetId,
+    viewerCustomerId: viewerId,
+    limit: 20,
+  });
 
-  const likeCount = Number(post.like_count || 0);
-  const commentCount = Number(post.comment_count || 0);
-  const liked = !!post.viewer_liked;
+  const reputationHtml = renderReputationHtml({
+    base,
+    reputation: await getReputation(targetId),
+    feedback: await listRecentFeedback({ customerId: targetId, limit: 5 }),
+  });
 
-  const likeAction = `${base}/posts/${id}/like`;
-  const commentAction = `${base}/posts/${id}/comment`;
+  const modPanelHtml = isModerator(viewerId)
+    ? renderModMemberPanel({ base, csrf, customerId: targetId, state: await getModerationState(targetId) })
+    : "";
 
-  const returnInput = `<input type="hidden" name="return" value="${escapeHtml(returnPath || "")}" />`;
+  const postsHtml =
+    posts.length === 0
+      ? `<div class="postList"><p class="muted">No posts yet.</p></div>`
+      : `<div class="postList">
+          ${posts
+            .map((p) =>
+              renderPostCard({
+                post: p,
+                base,
+                csrf,
+                viewerId,
+                showAuthorLink: false,
+                returnPath: `${base}/u/${encodeURIComponent(targetId)}`,
+              })
+            )
+            .join("")}
+        </div>`;
 
-  const commentsPreview = Array.isArray(post.comments_preview) ? post.comments_preview : [];
-  const previewHtml =
-    commentsPreview.length === 0
-      ? ""
-      : commentsPreview
-          .map((c) => {
-            const cn = `${c.first_name || ""} ${c.last_name || ""}`.trim() || "User";
-            const cAvatar = `${base}/avatar/${encodeURIComponent(c.customer_id || "")}`;
-            return `
-              <div class="commentItem">
-                <div class="commentRow">
-                  <img class="commentAvatar" src="${cAvatar}" alt="" />
-                  <div class="commentBody">
-                    <div class="commentAuthor">${escapeHtml(cn)}</div>
-                    <div class="small commentText">${escapeHtml(c.body || "")}</div>
-                  </div>
-                </div>
-              </div>
-            `;
-          })
-          .join("");
+  return res.type("html").send(
+    page(
+      `
+        <div class="profileTop">
+          <div class="avatarWrap">
+            <div class="avatarBox">
+              <img class="avatar" src="${avatarSrc}" alt="Profile photo" />
+            </div>
 
-  const mediaHtml = renderPostMediaHtml({ base, post });
+            <div class="nameUnder">${escapeHtml(displayName)}</div>
+            ${handleLine}
+            ${actionsHtml}
+            ${reputationHtml}
+            ${modPanelHtml}
 
-  return `
-    <div class="postItem" id="post-${id}">
-      <div class="postHeader">
-        <div class="postAuthorRow">
-          <img class="postAuthorAvatar" src="${authorAvatar}" alt="" />
-          <div>
-            ${authorNameHtml}
-            ${handleHtml}
-            <div class="muted small">${escapeHtml(when)}</div>
+            ${postsHtml}
           </div>
         </div>
-        <div class="postMetaRight"></div>
-      </div>
-
-      ${body ? `<p style="margin:10px 0 0 0;white-space:pre-wrap">${body}</p>` : ""}
-      ${mediaHtml}
+      `,
+      req
+    )
+  );
+});
 
-      <div class="actions">
-        <form method="POST" action="${likeAction}" style="margin:0">
-          ${returnInput}
-          <button class="actionBtn ${liked ? "liked" : ""}" type="submit" aria-label="Like">
-            <span class="heartIcon">${liked ? "♥" : "♡"}</span>
-            <span>${likeCount}</span>
-          </button>
-        </form>
+/** Follow toggle */
+proxy.post("/u/:customerId/follow", blockSuspendedWrites, async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-        <span class="muted small">Comments: ${commentCount}</span>
-      </div>
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-      <div class="commentBox">
-        ${previewHtml}
-        <form method="POST" action="${commentAction}" style="margin-top:10px">
-          ${returnInput}
-          <input name="comment" maxlength="300" placeholder="Write a comment..." />
-          <button class="btn" type="submit" style="margin-top:10px">Comment</button>
-        </form>
-      </div>
-    </div>
-  `;
-}
+  const targetId = String(req.params.customerId || "").trim();
+  if (!targetId) return res.redirect(base);
+  if (targetId === viewerId) return res.redirect(`${base}/me`);
+  if (await isBlockedEitherWay(viewerId, targetId)) return res.status(404).type("text").send("Not found");
 
-/* ---------------------------
-   Non-proxy root
----------------------------- */
+  // Only existing members can be followed (follows_v1_followed_fk); never create a profile for the target
+  const target = await getProfile(targetId);
+  if (!target) return res.status(404).type("text").send("Not found");
 
-app.get("/", (req, res) => {
-  res.type("html").send(`
-    <h1>Nugget Depot</h1>
-    <p>Server is live.</p>
-    <ul>
-      <li><a href="/healthz">Health Check</a></li>
-      <li>Shopify App Proxy entry: <code>/proxy</code> (requires signed request)</li>
-    </ul>
-  `);
+  try {
+    await ensureRow(viewerId, shop);
+    await toggleFollow({ shop, followerId: viewerId, followedId: targetId });
+    return res.redirect(`${base}/u/${encodeURIComponent(targetId)}`);
+  } catch (e) {
+    console.error("follow error:", e);
+    return res.redirect(`${base}/u/${encodeURIComponent(targetId)}`);
+  }
 });
-app.get("/healthz", (req, res) => res.status(200).type("text").send("ok"));
 
-/* ---------------------------
-   Proxy endpoints
----------------------------- */
+/** Block toggle (unblocking happens from /settings, since blocked profiles 404) */
+proxy.post("/u/:customerId/block", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-/** Avatar (me) */
-proxy.get("/me/avatar", async (req, res) => {
-  const customerId = getViewerCustomerId(req);
-  if (!customerId) return res.status(200).type("text").send("Not logged in");
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
   if (!pool) return res.status(200).type("text").send("DB not configured");
 
-  try {
-    const a = await getAvatar(customerId);
+  const targetId = String(req.params.customerId || "").trim();
+  if (!targetId) return res.redirect(base);
+  if (targetId === viewerId) return res.redirect(`${base}/me`);
 
-    if (a?.avatar_bytes && a?.avatar_mime) {
-      res.setHeader("Content-Type", a.avatar_mime);
-      res.setHeader("Cache-Control", "no-store");
-      return res.status(200).send(a.avatar_bytes);
-    }
+  const returnPath = cleanText(req.body?.return, 300);
 
-    const ini = initialsFor(a?.first_name || "", a?.last_name || "");
-    res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
-    res.setHeader("Cache-Control", "no-store");
-    return res.status(200).send(svgAvatar(ini));
+  try {
+    const { blocked } = await toggleBlock({ blockerId: viewerId, blockedId: targetId });
+    if (returnPath && returnPath.startsWith("/")) return res.redirect(returnPath);
+    return res.redirect(blocked ? `${base}/settings` : `${base}/u/${encodeURIComponent(targetId)}`);
   } catch (e) {
-    console.error("avatar error:", e);
-    return res.status(200).type("text").send("Avatar error");
+    console.error("block error:", e);
+    return res.redirect(`${base}/settings`);
   }
 });
 
-/** Avatar for any user (used in comments + post headers, requires login) */
-proxy.get("/avatar/:customerId", async (req, res) => {
+/** Mute toggle */
+proxy.post("/u/:customerId/mute", async (req, res) => {
   const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+
   if (!viewerId) return res.status(200).type("text").send("Not logged in");
   if (!pool) return res.status(200).type("text").send("DB not configured");
 
   const targetId = String(req.params.customerId || "").trim();
-  if (!targetId) return res.status(404).type("text").send("Not found");
-
-  try {
-    const a = await getAvatar(targetId);
+  if (!targetId) return res.redirect(base);
+  if (targetId === viewerId) return res.redirect(`${base}/me`);
 
-    if (a?.avatar_bytes && a?.avatar_mime) {
-      res.setHeader("Content-Type", a.avatar_mime);
-      res.setHeader("Cache-Control", "no-store");
-      return res.status(200).send(a.avatar_bytes);
-    }
+  const returnPath = cleanText(req.body?.return, 300);
 
-    const ini = initialsFor(a?.first_name || "", a?.last_name || "");
-    res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
-    res.setHeader("Cache-Control", "no-store");
-    return res.status(200).send(svgAvatar(ini));
+  try {
+    await toggleMute({ muterId: viewerId, mutedId: targetId });
   } catch (e) {
-    console.error("avatar public error:", e);
-    return res.status(200).type("text").send("Avatar error");
+    console.error("mute error:", e);
   }
+  if (returnPath && returnPath.startsWith("/")) return res.redirect(returnPath);
+  return res.redirect(`${base}/u/${encodeURIComponent(targetId)}`);
 });
 
-/** Post media (multi) */
-proxy.get("/posts/:id/media/:idx", async (req, res) => {
-  const customerId = getViewerCustomerId(req);
-  if (!customerId) return res.status(200).type("text").send("Not logged in");
-  if (!pool) return res.status(200).type("text").send("DB not configured");
+/** Settings: blocked + muted members */
+proxy.get("/settings", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
-  const id = Number(req.params.id);
-  const idx = Number(req.params.idx);
-  if (!Number.isFinite(id) || !Number.isFinite(idx))
-    return res.status(404).type("text").send("Not found");
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
+  }
 
-  try {
-    const m = await getPostMediaRow(id, idx);
-    if (!m?.media_bytes || !m?.media_mime) return res.status(404).type("text").send("Not found");
+  const { blocked, muted } = await listBlocksAndMutes(viewerId);
+  const sessions = await listActiveSessions(viewerId);
+  const currentHash = req.auth?.sessionId ? sessionIdHash(req.auth.sessionId) : "";
+  const returnPath = `${base}/settings`;
 
-    res.setHeader("Content-Type", m.media_mime);
-    res.setHeader("Cache-Control", "no-store");
-    return res.status(200).send(m.media_bytes);
-  } catch (e) {
-    console.error("post media error:", e);
-    return res.status(200).type("text").send("Media error");
-  }
+  const renderRows = (rows, action, label, empty) =>
+    rows.length === 0
+      ? `<p class="muted small">${empty}</p>`
+      : rows
+          .map((m) => {
+            const name = `${m.first_name || ""} ${m.last_name || ""}`.trim() || "User";
+            return `
+              <div class="postItem" style="display:flex;justify-content:space-between;gap:10px;align-items:center">
+                <div>
+                  <div style="font-weight:900">${escapeHtml(name)}</div>
+                  ${m.username ? `<div class="muted small">${escapeHtml(safeHandle(m.username))}</div>` : ""}
+                </div>
+                <form method="POST" action="${base}/u/${encodeURIComponent(m.customer_id)}/${action}" style="margin:0">
+                  ${csrfInput(csrf)}
+                  <input type="hidden" name="return" value="${escapeHtml(returnPath)}" />
+                  <button class="pillBtn" type="submit">${label}</button>
+                </form>
+              </div>
+            `;
+          })
+          .join("");
+
+  return res.type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">Settings</div>
+
+          <div class="divider"></div>
+          <div style="font-weight:900">Blocked members</div>
+          <div class="muted small">You and blocked members can't see each other's profiles, posts or comments, message each other or follow each other.</div>
+          <div class="postList">
+            ${renderRows(blocked, "block", "Unblock", "You haven't blocked anyone.")}
+          </div>
+
+          <div class="divider"></div>
+          <div style="font-weight:900">Muted members</div>
+          <div class="muted small">Muted members' posts are hidden from your feeds. They aren't told.</div>
+          <div class="postList">
+            ${renderRows(muted, "mute", "Unmute", "You haven't muted anyone.")}
+          </div>
+
+          <div class="divider"></div>
+          <div style="font-weight:900">Signed-in sessions</div>
+          <div class="muted small">A session ends after 7 days without activity, and 30 days after signing in at the latest.
+            Signing out here ends these sessions and then signs you out of your store account.</div>
+          <div class="postList">
+            ${
+              sessions.length === 0
+                ? `<p class="muted small">No saved sessions.</p>`
+                : sessions
+                    .map(
+                      (s) => `
+                        <div class="postItem">
+                          <div style="font-weight:900">${escapeHtml(s.user_agent || "Unknown browser")}${
+                            s.id_hash === currentHash ? ` <span class="muted small">(this device)</span>` : ""
+                          }</div>
+                          <div class="muted small">Last active ${escapeHtml(
+                            new Date(s.last_seen_at).toLocaleString()
+                          )} · signed in ${escapeHtml(new Date(s.created_at).toLocaleString())}</div>
+                        </div>
+                      `
+                    )
+                    .join("")
+            }
+          </div>
+          <div class="row">
+            <form method="POST" action="${base}/logout" style="margin:0">
+              ${csrfInput(csrf)}
+              <button class="btn" type="submit">Log out</button>
+            </form>
+            <form method="POST" action="${base}/logout/everywhere" style="margin:0">
+              ${csrfInput(csrf)}
+              <button class="btn" type="submit">Sign out everywhere</button>
+            </form>
+          </div>
+        </div>
+      `,
+      req
+    )
+  );
 });
 
-/** Backward compatible single media route (no recursion) */
-proxy.get("/posts/:id/media", async (req, res) => {
-  const customerId = getViewerCustomerId(req);
-  if (!customerId) return res.status(200).type("text").send("Not logged in");
-  if (!pool) return res.status(200).type("text").send("DB not configured");
+/** Log out (confirmation; signing out is a POST) */
+proxy.get("/logout", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
-  const id = Number(req.params.id);
-  if (!Number.isFinite(id)) return res.status(404).type("text").send("Not found");
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>You are not logged in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
 
-  try {
-    const m = await getPostMediaRow(id, 0);
-    if (!m?.media_bytes || !m?.media_mime) return res.status(404).type("text").send("Not found");
+  return res.type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">Log out</div>
+          <p class="muted small">"Sign out everywhere" also ends your sessions on every other device.</p>
+          <div class="row">
+            <form method="POST" action="${base}/logout" style="margin:0">
+              ${csrfInput(csrf)}
+              <button class="btn" type="submit">Log out</button>
+            </form>
+            <form method="POST" action="${base}/logout/everywhere" style="margin:0">
+              ${csrfInput(csrf)}
+              <button class="btn" type="submit">Sign out everywhere</button>
+            </form>
+            <a class="btn" href="${base}/settings">Cancel</a>
+          </div>
+        </div>
+      `,
+      req
+    )
+  );
+});
 
-    res.setHeader("Content-Type", m.media_mime);
-    res.setHeader("Cache-Control", "no-store");
-    return res.status(200).send(m.media_bytes);
+/** Log out: ends this browser's session, then the storefront's */
+proxy.post("/logout", async (req, res) => {
+  try {
+    await revokeSession(req.auth?.sessionId);
   } catch (e) {
-    console.error("post media legacy error:", e);
-    return res.status(200).type("text").send("Media error");
+    console.error("logout error:", e);
   }
+  clearAuthCookie(res);
+  return res.redirect(shopifyLogoutHref());
 });
 
-/** Message attachment (only sender/receiver can access) */
-proxy.get("/messages/:id/media/:idx", async (req, res) => {
+/** Sign out everywhere: ends every session of the viewer, this one included */
+proxy.post("/logout/everywhere", async (req, res) => {
   const viewerId = getViewerCustomerId(req);
   if (!viewerId) return res.status(200).type("text").send("Not logged in");
   if (!pool) return res.status(200).type("text").send("DB not configured");
 
-  const id = Number(req.params.id);
-  const idx = Number(req.params.idx);
-  if (!Number.isFinite(id) || !Number.isFinite(idx))
-    return res.status(404).type("text").send("Not found");
-
   try {
-    const msg = await getMessageById(id);
-    if (!msg) return res.status(404).type("text").send("Not found");
-
-    const allowed =
-      String(msg.sender_id) === String(viewerId) || String(msg.receiver_id) === String(viewerId);
-    if (!allowed) return res.status(404).type("text").send("Not found");
-
-    const m = await getMessageMediaRow(id, idx);
-    if (!m?.media_bytes || !m?.media_mime) return res.status(404).type("text").send("Not found");
-
-    res.setHeader("Content-Type", m.media_mime);
-    res.setHeader("Cache-Control", "no-store");
-    return res.status(200).send(m.media_bytes);
+    await revokeAllSessions(viewerId);
   } catch (e) {
-    console.error("message media error:", e);
-    return res.status(200).type("text").send("Media error");
+    console.error("sign out everywhere error:", e);
+    return res.redirect(`${basePathFromReq(req)}/settings`);
   }
+  clearAuthCookie(res);
+  return res.redirect(shopifyLogoutHref());
 });
 
-/** Feed page (tabs) */
-proxy.get("/", async (req, res) => {
-  const shop = getShop(req);
+/** Report form (post / comment / message / profile) */
+proxy.get("/report", async (req, res) => {
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
   if (!viewerId) {
     return res
@@ -2014,122 +7435,201 @@ proxy.get("/", async (req, res) => {
       .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
   }
 
-  await ensureRow(viewerId, shop);
+  const targetType = normalizeReportType(req.query.type);
+  const targetId = cleanText(req.query.id, 80);
+  const ret = cleanText(req.query.return, 300);
+  const returnPath = ret && ret.startsWith("/") ? ret : base;
 
-  const tab = normalizeBucket(typeof req.query.tab === "string" ? req.query.tab : "feed");
+  const ownerId = targetType
+    ? await getReportTargetOwner({ targetType, targetId, reporterId: viewerId })
+    : null;
+  if (!ownerId) return res.status(404).type("text").send("Not found");
 
-  const newPostHref = `${base}/post/new?return=feed&bucket=feed`;
+  const err = req.query.err === "1" ? `<p class="error">Please choose a reason.</p>` : "";
 
-  const { posts, nextCursor } = await listBucketPostsWithMeta({
-    shop,
-    viewerCustomerId: viewerId,
-    bucket: tab,
-    limit: 15,
-    cursor: null,
-  });
+  return res.type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">Report ${escapeHtml(targetType)}</div>
+          <p class="muted small">Reports go to the community moderators. The member you report isn't told who reported them.</p>
+          ${err}
+          <form method="POST" action="${base}/report">
+            ${csrfInput(csrf)}
+            <input type="hidden" name="type" value="${escapeHtml(targetType)}" />
+            <input type="hidden" name="id" value="${escapeHtml(targetId)}" />
+            <input type="hidden" name="return" value="${escapeHtml(returnPath)}" />
+
+            <label for="reason">Reason</label>
+            <select id="reason" name="reason" required>
+              <option value="">Choose a reason...</option>
+              ${REPORT_REASONS.map(([k, label]) => `<option value="${k}">${escapeHtml(label)}</option>`).join("")}
+            </select>
+
+            <label for="details">Details (optional)</label>
+            <textarea id="details" name="details" maxlength="500" placeholder="Anything a moderator should know"></textarea>
 
-  const postsHtml =
-    posts.length === 0
-      ? `<div class="postList"><p class="muted">No posts yet.</p></div>`
-      : `<div class="postList" id="feedList">
-          ${posts
-            .map((p) =>
-              renderPostCard({
-                post: p,
-                base,
-                viewerId,
-                showAuthorLink: true,
-                returnPath: `${base}?tab=${tab}`,
-              })
-            )
-            .join("")}
-        </div>`;
+            <div class="row">
+              <button class="btn" type="submit">Send report</button>
+              <a class="btn" href="${escapeHtml(returnPath)}">Cancel</a>
+            </div>
+          </form>
+        </div>
+      `,
+      req
+    )
+  );
+});
 
-  const moreBlock = `
-    <div class="divider"></div>
-    <div id="feedMore" data-next="${escapeHtml(nextCursor || "")}" data-tab="${escapeHtml(tab)}">
-      <div class="muted small" id="feedStatus">${nextCursor ? "Loading more as you scroll..." : "End of feed."}</div>
-      <div id="feedSentinel" style="height:1px"></div>
-    </div>
-    <script>
-      (function(){
-        const more = document.getElementById('feedMore');
-        const sentinel = document.getElementById('feedSentinel');
-        const list = document.getElementById('feedList');
-        const status = document.getElementById('feedStatus');
-        if (!more || !sentinel || !list || !status) return;
+proxy.post("/report", async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-        let loading = false;
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-        async function loadMore(){
-          const next = more.getAttribute('data-next') || '';
-          const tab = more.getAttribute('data-tab') || 'feed';
-          if (!next || loading) return;
-          loading = true;
-          status.textContent = 'Loading...';
-          try{
-            const resp = await fetch('${base}/feed/more?tab=' + encodeURIComponent(tab) + '&cursor=' + encodeURIComponent(next), { credentials: 'same-origin' });
-            const data = await resp.json();
-            if (data && data.html) {
-              const tmp = document.createElement('div');
-              tmp.innerHTML = data.html;
-              while(tmp.firstChild) list.appendChild(tmp.firstChild);
-            }
-            more.setAttribute('data-next', (data && data.nextCursor) ? data.nextCursor : '');
-            status.textContent = (data && data.nextCursor) ? 'Loading more as you scroll...' : 'End of feed.';
-          }catch(e){
-            status.textContent = 'Could not load more.';
-          }finally{
-            loading = false;
-          }
-        }
+  const targetType = normalizeReportType(req.body?.type);
+  const targetId = cleanText(req.body?.id, 80);
+  const reason = cleanText(req.body?.reason, 40);
+  const details = cleanMultiline(req.body?.details, 500);
+  const ret = cleanText(req.body?.return, 300);
+  const returnPath = ret && ret.startsWith("/") ? ret : base;
+
+  if (!targetType) return res.status(404).type("text").send("Not found");
+  if (!REPORT_REASONS.some(([k]) => k === reason)) {
+    return res.redirect(
+      `${base}/report?type=${targetType}&id=${encodeURIComponent(targetId)}&return=${encodeURIComponent(returnPath)}&err=1`
+    );
+  }
 
-        const io = new IntersectionObserver((entries) => {
-          entries.forEach((entry) => {
-            if (entry.isIntersecting) loadMore();
-          });
-        }, { root: null, rootMargin: '600px', threshold: 0 });
+  try {
+    const result = await createReport({ shop, reporterId: viewerId, targetType, targetId, reason, details });
+    if (!result) return res.status(404).type("text").send("Not found");
+
+    const msg =
+      result === "duplicate"
+        ? "You've already reported this. A moderator will review it."
+        : "Thanks. A moderator will review your report.";
+    return res.type("html").send(
+      page(
+        `
+          <div class="stack">
+            <p>${msg}</p>
+            <a class="btn" href="${escapeHtml(returnPath)}">Back</a>
+          </div>
+        `,
+        req
+      )
+    );
+  } catch (e) {
+    console.error("report error:", e);
+    return res.redirect(returnPath);
+  }
+});
 
-        io.observe(sentinel);
-      })();
-    </script>
-  `;
+/** Moderator queue (MODERATOR_CUSTOMER_IDS only) */
+proxy.get("/mod", async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
-  const composerHtml =
-    tab === "feed"
-      ? `
-        <div class="composer">
-          <div class="composerTop">
-            <a class="composerFake" href="${newPostHref}">Share something...</a>
-            <a class="iconBtn" href="${newPostHref}" aria-label="Add photo or video">＋</a>
-          </div>
-          <div class="muted small help">500 characters max. Media optional. Up to ${MAX_MEDIA_FILES} files.</div>
-          ${renderTabs({ base, active: tab })}
-        </div>
-      `
-      : `
-        <div class="composer">
-          <div style="font-weight:900">${escapeHtml(bucketLabel(tab))}</div>
-          <div class="muted small help">Use the dedicated page to post in this bucket.</div>
-          ${renderTabs({ base, active: tab })}
-          <div class="row" style="margin-top:10px">
-            <a class="btn" href="${base}/${tab === "collection" ? "collection" : "trades"}">Go to ${escapeHtml(bucketLabel(tab))} page</a>
-          </div>
-        </div>
-      `;
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!isModerator(viewerId)) return res.status(404).type("text").send("Not found");
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
+  }
+
+  const reports = await listOpenReports({ shop, limit: 100 });
+
+  const listHtml =
+    reports.length === 0
+      ? `<p class="muted">No open reports.</p>`
+      : reports
+          .map((r) => {
+            const id = Number(r.id);
+            const reporter = `${r.reporter_first || ""} ${r.reporter_last || ""}`.trim() || "User";
+            const owner = `${r.owner_first || ""} ${r.owner_last || ""}`.trim() || "User";
+            const when = new Date(r.created_at).toLocaleString();
+
+            let targetHref = `${base}/u/${encodeURIComponent(r.target_owner_id)}`;
+            if (r.target_type === "post") targetHref = `${base}/posts/${encodeURIComponent(r.target_id)}`;
+            if (r.target_type === "comment" && r.comment_post_id) {
+              targetHref = `${base}/posts/${Number(r.comment_post_id)}#comment-${encodeURIComponent(r.target_id)}`;
+            }
+
+            const preview =
+              r.target_type === "profile"
+                ? ""
+                : `<div class="small commentText" style="margin-top:6px">${
+                    r.target_body ? escapeHtml(String(r.target_body).slice(0, 400)) : `<span class="muted">No text</span>`
+                  }</div>`;
+
+            const actionForm = (action, label, confirmText) => `
+              <form method="POST" action="${base}/mod/reports/${id}/${action}" style="margin:0" ${
+                confirmText ? `onsubmit="return confirm('${confirmText}')"` : ""
+              }>
+                ${csrfInput(csrf)}
+                <button class="pillBtn" type="submit">${label}</button>
+              </form>
+            `;
+
+            const canHide = r.target_type !== "profile" && !r.target_hidden_at;
+            const ownerSuspended = isSuspensionActive({
+              suspended_at: r.owner_suspended_at,
+              suspended_until: r.owner_suspended_until,
+            });
+            return `
+              <div class="postItem" id="report-${id}">
+                <div class="small">
+                  <b>${escapeHtml(reportReasonLabel(r.reason))}</b> · ${escapeHtml(r.target_type)}
+                  ${Number(r.open_count) > 1 ? ` · <span class="navBadge">${Number(r.open_count)} reports</span>` : ""}
+                  <span class="muted">· reported by ${escapeHtml(reporter)} · ${escapeHtml(when)}</span>
+                </div>
+                <div class="small" style="margin-top:4px">
+                  Author: <a href="${base}/u/${encodeURIComponent(r.target_owner_id)}">${escapeHtml(owner)}</a>
+                  ${r.owner_username ? `<span class="muted">${escapeHtml(safeHandle(r.owner_username))}</span>` : ""}
+                  ${ownerSuspended ? ` <span class="tradeBadge negative">Suspended</span>` : ""}
+                  ${r.target_hidden_at ? ` <span class="tradeBadge completed">Hidden</span>` : ""}
+                </div>
+                ${preview}
+                ${r.details ? `<div class="muted small" style="margin-top:6px">“${escapeHtml(r.details)}”</div>` : ""}
+                ${r.target_type !== "message" ? `<a class="small" href="${targetHref}">Open</a>` : ""}
+                <div class="row" style="margin-top:8px">
+                  ${canHide ? actionForm("hide", "Hide content", "Hide this content for everyone?") : ""}
+                  ${actionForm("dismiss", "Dismiss", "")}
+                </div>
+                ${
+                  ownerSuspended
+                    ? ""
+                    : `<form method="POST" action="${base}/mod/reports/${id}/suspend" class="row" style="margin-top:8px"
+                         onsubmit="return confirm('Suspend this member?')">
+                         ${csrfInput(csrf)}
+                         ${renderSuspendFields(reportReasonLabel(r.reason))}
+                         <button class="pillBtn" type="submit">Suspend author</button>
+                       </form>`
+                }
+              </div>
+            `;
+          })
+          .join("");
 
   return res.type("html").send(
     page(
       `
         <div class="stack">
-          <div class="brandBar">
-            <img class="brandLogo" src="${GOLD_NUGGET_LOGO_URL}" alt="Gold Nugget" />
+          <div style="display:flex;justify-content:space-between;gap:10px;align-items:center">
+            <div style="font-weight:900;font-size:18px">Moderation queue</div>
+            <a class="btn" style="margin-top:0" href="${base}/mod/log">Audit log</a>
           </div>
-
-          ${composerHtml}
-
-          ${postsHtml}
-          ${moreBlock}
+          <div class="postList">${listHtml}</div>
         </div>
       `,
       req
@@ -2137,106 +7637,227 @@ proxy.get("/", async (req, res) => {
   );
 });
 
-/** Feed endless loader (bucket-aware) */
-proxy.get("/feed/more", async (req, res) => {
+proxy.post("/mod/reports/:id/:action", async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
 
-  if (!viewerId) return res.status(200).json({ html: "", nextCursor: "" });
-  if (!pool) return res.status(200).json({ html: "", nextCursor: "" });
-
-  const tab = normalizeBucket(typeof req.query.tab === "string" ? req.query.tab : "feed");
-  const cursor = decodeCursor(typeof req.query.cursor === "string" ? req.query.cursor : "");
-
-  const { posts, nextCursor } = await listBucketPostsWithMeta({
-    shop,
-    viewerCustomerId: viewerId,
-    bucket: tab,
-    limit: 15,
-    cursor,
-  });
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!isModerator(viewerId)) return res.status(404).type("text").send("Not found");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
 
-  const html = posts
-    .map((p) =>
-      renderPostCard({
-        post: p,
-        base,
-        viewerId,
-        showAuthorLink: true,
-        returnPath: `${base}?tab=${tab}`,
-      })
-    )
-    .join("");
+  const id = Number(req.params.id);
+  const action = String(req.params.action || "");
+  if (!Number.isFinite(id) || !["hide", "dismiss", "suspend"].includes(action)) {
+    return res.status(404).type("text").send("Not found");
+  }
 
-  return res.status(200).json({ html, nextCursor: nextCursor || "" });
+  try {
+    const done = await resolveReport({
+      shop,
+      reportId: id,
+      moderatorId: viewerId,
+      action,
+      note: action === "suspend" ? cleanText(req.body?.reason, 200) : "",
+      until: action === "suspend" ? suspensionUntil(req.body?.duration) : null,
+    });
+    if (!done) return res.status(404).type("text").send("Not found");
+    return res.redirect(`${base}/mod`);
+  } catch (e) {
+    console.error("moderation error:", e);
+    return res.redirect(`${base}/mod`);
+  }
 });
 
-/** Like toggle */
-proxy.post("/posts/:id/like", async (req, res) => {
+/** Moderator member actions: suspend, unsuspend, toggle shadow-hide */
+proxy.post("/mod/members/:customerId/:action", async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
 
   if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!isModerator(viewerId)) return res.status(404).type("text").send("Not found");
   if (!pool) return res.status(200).type("text").send("DB not configured");
 
-  const id = Number(req.params.id);
-  if (!Number.isFinite(id)) return res.redirect(base);
-
-  const returnPath = cleanText(req.body?.return, 300);
-  const fallback =
-    req.headers.referer && String(req.headers.referer).includes("/proxy") ? req.headers.referer : `${base}`;
+  const targetId = String(req.params.customerId || "").trim();
+  const action = String(req.params.action || "");
+  if (!targetId || targetId === viewerId || !["suspend", "unsuspend", "shadow"].includes(action)) {
+    return res.status(404).type("text").send("Not found");
+  }
 
   try {
-    await toggleLike({ shop, postId: id, customerId: viewerId });
-    if (returnPath && returnPath.startsWith("/")) return res.redirect(returnPath + `#post-${id}`);
-    return res.redirect(fallback + `#post-${id}`);
+    let modAction = action;
+    if (action === "shadow") {
+      const state = await getModerationState(targetId);
+      modAction = state?.shadow_hidden_at ? "unshadow" : "shadow_hide";
+    }
+    const done = await moderateMember({
+      shop,
+      moderatorId: viewerId,
+      customerId: targetId,
+      action: modAction,
+      until: action === "suspend" ? suspensionUntil(req.body?.duration) : null,
+      reason: action === "suspend" ? cleanText(req.body?.reason, 200) : "",
+    });
+    if (!done) return res.status(404).type("text").send("Not found");
+    return res.redirect(`${base}/u/${encodeURIComponent(targetId)}`);
   } catch (e) {
-    console.error("like error:", e);
-    return res.redirect(fallback + `#post-${id}`);
+    console.error("member moderation error:", e);
+    return res.redirect(`${base}/u/${encodeURIComponent(targetId)}`);
   }
 });
 
-/** Add comment */
-proxy.post("/posts/:id/comment", async (req, res) => {
+/** Moderator audit log */
+proxy.get("/mod/log", async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
 
-  if (!viewerId) return res.status(200).type("text").send("Not logged in");
-  if (!pool) return res.status(200).type("text").send("DB not configured");
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!isModerator(viewerId)) return res.status(404).type("text").send("Not found");
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
+  }
 
-  const id = Number(req.params.id);
-  if (!Number.isFinite(id)) return res.redirect(base);
+  const actions = await listModActions({ shop, limit: 200 });
+  const actionLabel = { hide: "hid", dismiss: "dismissed a report on", suspend: "suspended the author of" };
+  // Direct actions from a member's profile (no report)
+  const memberActionLabel = {
+    suspend: "suspended",
+    unsuspend: "lifted the suspension of",
+    shadow_hide: "shadow-hid",
+    unshadow: "un-hid",
+  };
 
-  const body = cleanMultiline(req.body?.comment, 300);
-  const returnPath = cleanText(req.body?.return, 300);
-  const fallback =
-    req.headers.referer && String(req.headers.referer).includes("/proxy") ? req.headers.referer : `${base}`;
+  const listHtml =
+    actions.length === 0
+      ? `<p class="muted">No moderator actions yet.</p>`
+      : actions
+          .map((a) => {
+            const mod = `${a.mod_first || ""} ${a.mod_last || ""}`.trim() || "Moderator";
+            const owner = `${a.owner_first || ""} ${a.owner_last || ""}`.trim() || "User";
+            const ownerLink = `<a href="${base}/u/${encodeURIComponent(a.target_owner_id)}">${escapeHtml(owner)}</a>`;
+            const what = a.report_id
+              ? `${escapeHtml(actionLabel[a.action] || a.action)}
+                ${escapeHtml(a.target_type)} ${escapeHtml(a.target_type === "profile" ? "" : `#${a.target_id}`)}
+                by ${ownerLink}`
+              : `${escapeHtml(memberActionLabel[a.action] || a.action)} ${ownerLink}`;
+            return `
+              <div class="postItem small">
+                <b>${escapeHtml(mod)}</b> ${what}
+                <span class="muted">· report #${Number(a.report_id) || "-"} · ${escapeHtml(new Date(a.created_at).toLocaleString())}</span>
+                ${a.note ? `<div class="muted">${escapeHtml(a.note)}</div>` : ""}
+              </div>
+            `;
+          })
+          .join("");
 
-  if (!body) return res.redirect(fallback + `#post-${id}`);
+  return res.type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div style="display:flex;justify-content:space-between;gap:10px;align-items:center">
+            <div style="font-weight:900;font-size:18px">Audit log</div>
+            <a class="btn" style="margin-top:0" href="${base}/mod">Queue</a>
+          </div>
+          <div class="postList">${listHtml}</div>
+        </div>
+      `,
+      req
+    )
+  );
+});
 
-  try {
-    await addComment({ shop, postId: id, customerId: viewerId, body });
-    if (returnPath && returnPath.startsWith("/")) return res.redirect(returnPath + `#post-${id}`);
-    return res.redirect(fallback + `#post-${id}`);
-  } catch (e) {
-    console.error("comment error:", e);
-    return res.redirect(fallback + `#post-${id}`);
+/** Inbox */
+proxy.get("/inbox", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
+  }
+
+  const items = await listInbox({ viewerId, limit: 80 });
+
+  const otherIds = items.map((x) => String(x.other_id)).filter(Boolean);
+  const namesById = {};
+  if (otherIds.length) {
+    const r = await pool.query(
+      `SELECT customer_id, first_name, last_name, username FROM profiles_v2 WHERE customer_id = ANY($1::text[])`,
+      [otherIds]
+    );
+    for (const row of r.rows || []) {
+      const nm = `${row.first_name || ""} ${row.last_name || ""}`.trim() || "User";
+      namesById[row.customer_id] = { name: nm, username: row.username || "" };
+    }
   }
+
+  const listHtml =
+    items.length === 0
+      ? `<p class="muted">No messages yet.</p>`
+      : `<div class="postList">
+          ${items
+            .map((it) => {
+              const oid = String(it.other_id || "");
+              const info = namesById[oid] || { name: "User", username: "" };
+              const href = `${base}/dm/${encodeURIComponent(oid)}`;
+              const snippet = escapeHtml(String(it.body || "").slice(0, 120));
+              const when = new Date(it.created_at).toLocaleString();
+              const unread = Number(it.unread_count || 0);
+              return `
+                <div class="postItem inboxRow ${unread > 0 ? "unread" : ""}">
+                  <div style="display:flex;justify-content:space-between;gap:10px;align-items:center">
+                    <div>
+                      <div style="font-weight:900"><a href="${href}">${escapeHtml(info.name)}</a></div>
+                      ${info.username ? `<div class="muted small">${escapeHtml(safeHandle(info.username))}</div>` : ""}
+                      <div class="muted small">${escapeHtml(when)}</div>
+                    </div>
+                    ${unread > 0 ? `<span class="navBadge" aria-label="${unread} unread">${unread > 99 ? "99+" : unread}</span>` : ""}
+                  </div>
+                  <div style="margin-top:8px">${snippet || "<span class='muted'>No text</span>"}</div>
+                </div>
+              `;
+            })
+            .join("")}
+        </div>`;
+
+  return res.type("html").send(
+    page(
+      `
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">Messages</div>
+          ${listHtml}
+        </div>
+      `,
+      req
+    )
+  );
 });
 
-/** My Profile */
-proxy.get("/me", async (req, res) => {
+/** DM page */
+proxy.get("/dm/:customerId", async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
   if (!viewerId) {
     return res
       .type("html")
-      .send(page(`<p>You are not logged in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
   }
   if (!pool) {
     return res
@@ -2244,81 +7865,99 @@ proxy.get("/me", async (req, res) => {
       .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
   }
 
-  await ensureRow(viewerId, shop);
+  const targetId = String(req.params.customerId || "").trim();
+  if (!targetId || targetId === viewerId) return res.redirect(`${base}/me`);
 
-  const profile = await getProfile(viewerId);
-  const displayName = `${profile?.first_name || ""} ${profile?.last_name || ""}`.trim() || "Name not set";
+  if (await isBlockedEitherWay(viewerId, targetId)) {
+    return res.status(404).type("html").send(page(`<p class="error">User not found.</p>`, req));
+  }
 
-  const handle = safeHandle(profile?.username);
-  const handleLine = handle
-    ? `<div class="muted handleUnder">${escapeHtml(handle)}</div>`
-    : `<div class="muted handleUnder">Username not set</div>`;
+  await ensureRow(viewerId, shop);
+  await ensureRow(targetId, shop);
 
-  const avatarSrc = `${base}/me/avatar`;
-  const editHref = `${base}/me/edit`;
+  const profile = await getProfile(targetId);
+  if (!profile) return res.type("html").send(page(`<p class="error">User not found.</p>`, req));
 
-  const newPostHref = `${base}/post/new?return=me&bucket=feed`;
+  const displayName = `${profile?.first_name || ""} ${profile?.last_name || ""}`.trim() || "User";
+  const convo = await listConversation({ viewerId, otherId: targetId, limit: 30 });
 
-  const collectionHref = `${base}/collection`;
-  const tradesHref = `${base}/trades`;
+  try {
+    await markConversationRead({ viewerId, otherId: targetId });
+    // Badges were counted before the thread was read
+    if (req.navBadges) {
+      req.navBadges.messages = await countUnreadMessages(viewerId);
+      req.navBadges.notifications = await countUnreadNotifications(viewerId);
+    }
+  } catch (e) {
+    console.error("mark read error:", e);
+  }
 
-  const { posts } = await listPostsForCustomerWithMeta({
-    targetCustomerId: viewerId,
-    viewerCustomerId: viewerId,
-    limit: 20,
-  });
+  const sent = req.query.sent === "1";
 
-  const postsHtml =
-    posts.length === 0
-      ? `<div class="postList"><p class="muted">No posts yet.</p></div>`
-      : `<div class="postList">
-          ${posts
-            .map((p) =>
-              renderPostCard({ post: p, base, viewerId, showAuthorLink: false, returnPath: `${base}/me` })
-            )
-            .join("")}
-        </div>`;
+  const threadHtml =
+    convo.length === 0
+      ? `<div class="muted">No messages yet.</div>`
+      : convo
+          .map((m) => {
+            const mine = String(m.sender_id) === String(viewerId);
+            const when = new Date(m.created_at).toLocaleString();
+            const text = escapeHtml(m.body || "");
+            const mediaLink =
+              Number(m.media_count || 0) > 0
+                ? `<a class="dmMediaLink" href="${mediaSrc(`${base}/messages/${Number(m.id)}/media/0`, m.media_hash)}" target="_blank" rel="noreferrer">View attachment</a>`
+                : "";
+            return `
+              <div class="dmRow ${mine ? "me" : ""}">
+                <div class="dmMsg">
+                  ${text ? `<div style="white-space:pre-wrap">${text}</div>` : `<div class="muted small">No text</div>`}
+                  ${mediaLink}
+                  <div class="dmMeta">
+                    ${escapeHtml(when)}
+                    ${mine ? "" : ` · ${renderReportLink({ base, type: "message", id: m.id, returnPath: `${base}/dm/${encodeURIComponent(targetId)}` })}`}
+                  </div>
+                </div>
+              </div>
+            `;
+          })
+          .join("");
 
   return res.type("html").send(
     page(
       `
-        <div class="profileTop">
-          <div class="avatarWrap">
-            <div class="avatarBox">
-              <img class="avatar" src="${avatarSrc}" alt="Profile photo" />
-              <a class="avatarEdit" href="${editHref}" aria-label="Edit profile">✎</a>
+        <div class="stack dmWrap">
+          <div style="display:flex;justify-content:space-between;gap:10px;align-items:center">
+            <div>
+              <div style="font-weight:900;font-size:18px">Message ${escapeHtml(displayName)}</div>
+              <div class="muted small">${escapeHtml(safeHandle(profile?.username || ""))}</div>
             </div>
+            <a class="btn" href="${base}/u/${encodeURIComponent(targetId)}">Back</a>
+          </div>
 
-            <div class="nameUnder">${escapeHtml(displayName)}</div>
-            ${handleLine}
+          ${sent ? `<p class="muted small">Sent.</p>` : ""}
 
-            <div class="composer">
-              <div class="composerTop">
-                <a class="composerFake" href="${newPostHref}">Share something...</a>
-                <a class="iconBtn" href="${newPostHref}" aria-label="Add photo or video">＋</a>
-              </div>
-              <div class="muted small help">500 characters max. Media optional. Up to ${MAX_MEDIA_FILES} files.</div>
-            </div>
+          <div class="dmThread" style="margin-top:12px">
+            ${threadHtml}
+          </div>
 
-            <div class="collectionsRow">
-              <a class="collectionCard" href="${collectionHref}" aria-label="Go to Collection">
-                <div>
-                  <div class="collectionTitle">Collection</div>
-                  <div class="muted small">Collection bucket posts</div>
-                </div>
-                <div class="chev">›</div>
-              </a>
+          <div class="dmComposer">
+            <form method="POST" enctype="multipart/form-data" action="${base}/dm/${encodeURIComponent(
+              targetId
+            )}">
+              ${csrfInput(csrf)}
+              <label for="dm_body">Message</label>
+              <textarea id="dm_body" name="body" maxlength="2000" placeholder="Write a message (max 2000 characters)" style="min-height:120px"></textarea>
 
-              <a class="collectionCard" href="${tradesHref}" aria-label="Go to Trades">
-                <div>
-                  <div class="collectionTitle">Trades</div>
-                  <div class="muted small">Trades bucket posts</div>
-                </div>
-                <div class="chev">›</div>
-              </a>
-            </div>
+              <div class="dmFile">
+                <label for="dm_file">Add a file (optional)</label>
+                <input id="dm_file" type="file" name="file" accept="image/*,video/*,application/pdf" />
+                <div class="muted small help">10MB max. Images, video, or PDF.</div>
+              </div>
 
-            ${postsHtml}
+              <div class="row">
+                <button class="btn" type="submit">Send</button>
+                <a class="btn" href="${base}/inbox">Inbox</a>
+              </div>
+            </form>
           </div>
         </div>
       `,
@@ -2327,21 +7966,70 @@ proxy.get("/me", async (req, res) => {
   );
 });
 
-/** Public profile: /u/:customerId (feed-only posts, Follow + Message buttons) */
-proxy.get("/u/:customerId", async (req, res) => {
+/** Send DM */
+proxy.post("/dm/:customerId", blockSuspendedWrites, uploadMessageMedia.single("file"), requireCsrf, async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
 
+  if (!viewerId) return res.status(200).type("text").send("Not logged in");
+  if (!pool) return res.status(200).type("text").send("DB not configured");
+
   const targetId = String(req.params.customerId || "").trim();
-  if (!targetId) return res.type("html").send(page(`<p class="error">Missing user.</p>`, req));
+  if (!targetId || targetId === viewerId) return res.redirect(`${base}/me`);
+  if (await isBlockedEitherWay(viewerId, targetId)) return res.status(404).type("text").send("Not found");
 
-  if (viewerId && targetId === viewerId) return res.redirect(`${base}/me`);
+  const body = cleanMultiline(req.body?.body, 2000);
+
+  const mediaItems = [];
+  if (req.file?.buffer && req.file?.mimetype) {
+    const check = prepareUpload(req.file, MESSAGE_MEDIA_MIMES);
+    if (check.error) {
+      return sendUploadError(req, res, {
+        check,
+        allowedMimes: MESSAGE_MEDIA_MIMES,
+        backHref: `${base}/dm/${encodeURIComponent(targetId)}`,
+      });
+    }
+    mediaItems.push({ bytes: check.bytes, mime: check.mime });
+  }
+
+  const hasText = !!(body && body.trim());
+  const hasMedia = mediaItems.length > 0;
+  if (!hasText && !hasMedia) return res.redirect(`${base}/dm/${encodeURIComponent(targetId)}`);
+
+  try {
+    await ensureRow(viewerId, shop);
+    await ensureRow(targetId, shop);
+
+    await createMessage({
+      shop,
+      senderId: viewerId,
+      receiverId: targetId,
+      body,
+      media: mediaItems,
+    });
+
+    return res.redirect(`${base}/dm/${encodeURIComponent(targetId)}?sent=1`);
+  } catch (e) {
+    console.error("dm send error:", e);
+    return sendSaveError(req, res, {
+      title: "Couldn't send your message",
+      backHref: `${base}/dm/${encodeURIComponent(targetId)}`,
+    });
+  }
+});
+
+/** Notifications (grouped) */
+proxy.get("/notifications", async (req, res) => {
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
   if (!viewerId) {
     return res
       .type("html")
-      .send(page(`<p>You are not logged in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
   }
   if (!pool) {
     return res
@@ -2349,79 +8037,103 @@ proxy.get("/u/:customerId", async (req, res) => {
       .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
   }
 
-  await ensureRow(viewerId, shop);
-  await ensureRow(targetId, shop);
-
-  const profile = await getProfile(targetId);
-  if (!profile) return res.type("html").send(page(`<p class="error">User not found.</p>`, req));
-
-  const displayName =
-    `${profile?.first_name || ""} ${profile?.last_name || ""}`.trim() || "Name not set";
-  const handle = safeHandle(profile?.username);
-  const handleLine = handle
-    ? `<div class="muted handleUnder">${escapeHtml(handle)}</div>`
-    : `<div class="muted handleUnder">Username not set</div>`;
-
-  const avatarSrc = `${base}/avatar/${encodeURIComponent(targetId)}`;
-
-  const following = await isFollowing({ followerId: viewerId, followedId: targetId });
-  const followAction = `${base}/u/${encodeURIComponent(targetId)}/follow`;
-  const dmHref = `${base}/dm/${encodeURIComponent(targetId)}`;
-
-  const actionsHtml = `
-    <div class="profileActions">
-      <form method="POST" action="${followAction}" style="margin:0">
-        <button class="pillBtn primary" type="submit" aria-label="Follow">
-          <span class="pillIcon">${following ? "✓" : "＋"}</span>
-          <span>${following ? "Following" : "Follow"}</span>
-        </button>
-      </form>
+  const rows = await listNotifications({ recipientId: viewerId, limit: 200 });
+  const groups = groupNotifications(rows);
+  const unreadCount = rows.filter((r) => !r.read_at).length;
 
-      <a class="pillBtn" href="${dmHref}" aria-label="Message">
-        <span class="pillIcon">✉</span>
-        <span>Message</span>
-      </a>
-    </div>
-  `;
+  function actorsText(actors) {
+    const first = actors[0]?.name || "User";
+    if (actors.length <= 1) return escapeHtml(first);
+    if (actors.length === 2) return `${escapeHtml(first)} and ${escapeHtml(actors[1].name)}`;
+    return `${escapeHtml(first)} and ${actors.length - 1} others`;
+  }
 
-  const { posts } = await listPostsForCustomerWithMeta({
-    targetCustomerId: targetId,
-    viewerCustomerId: viewerId,
-    limit: 20,
-  });
+  function postHref(g) {
+    return `${base}/posts/${Number(g.post_id)}`;
+  }
 
-  const postsHtml =
-    posts.length === 0
-      ? `<div class="postList"><p class="muted">No posts yet.</p></div>`
+  const listHtml =
+    groups.length === 0
+      ? `<p class="muted">No notifications yet.</p>`
       : `<div class="postList">
-          ${posts
-            .map((p) =>
-              renderPostCard({
-                post: p,
-                base,
-                viewerId,
-                showAuthorLink: false,
-                returnPath: `${base}/u/${encodeURIComponent(targetId)}`,
-              })
-            )
+          ${groups
+            .map((g) => {
+              const who = actorsText(g.actors);
+              const firstActor = g.actors[0]?.customer_id || "";
+              let text = "";
+              let href = "";
+
+              if (g.kind === "like") {
+                text = `${who} liked your post`;
+                href = postHref(g);
+              } else if (g.kind === "comment") {
+                text =
+                  g.count > 1 && g.actors.length === 1
+                    ? `${who} left ${g.count} comments on your post`
+                    : `${who} commented on your post`;
+                href = postHref(g);
+              } else if (g.kind === "mention") {
+                text = `${who} mentioned you`;
+                href = postHref(g);
+              } else if (g.kind === "offer") {
+                text =
+                  g.count > 1 && g.actors.length === 1
+                    ? `${who} sent ${g.count} offers on a trade`
+                    : `${who} made an offer on a trade`;
+                href = `${base}/offers`;
+              } else if (g.kind === "offer_accepted") {
+                text = `${who} accepted your offer`;
+                href = `${base}/offers`;
+              } else if (g.kind === "offer_declined") {
+                text = `${who} declined your offer`;
+                href = `${base}/offers`;
+              } else if (g.kind === "feedback") {
+                text = `${who} left you trade feedback`;
+                href = `${base}/me`;
+              } else if (g.kind === "follow") {
+                text = `${who} followed you`;
+                href = `${base}/u/${encodeURIComponent(firstActor)}`;
+              } else if (g.kind === "message") {
+                text = g.count > 1 ? `${who} sent you ${g.count} messages` : `${who} sent you a message`;
+                href = `${base}/dm/${encodeURIComponent(firstActor)}`;
+              } else {
+                return "";
+              }
+
+              const when = new Date(g.latest_at).toLocaleString();
+              return `
+                <div class="postItem">
+                  <div class="postAuthorRow">
+                    <img class="postAuthorAvatar" src="${base}/avatar/${encodeURIComponent(firstActor)}?size=thumb" alt="" />
+                    <div>
+                      <div style="font-weight:${g.unread ? "900" : "400"}">
+                        <a href="${href}">${text}</a>${g.unread ? ` <span class="navBadge">new</span>` : ""}
+                      </div>
+                      <div class="muted small">${escapeHtml(when)}</div>
+                    </div>
+                  </div>
+                </div>
+              `;
+            })
             .join("")}
         </div>`;
 
   return res.type("html").send(
     page(
       `
-        <div class="profileTop">
-          <div class="avatarWrap">
-            <div class="avatarBox">
-              <img class="avatar" src="${avatarSrc}" alt="Profile photo" />
-            </div>
-
-            <div class="nameUnder">${escapeHtml(displayName)}</div>
-            ${handleLine}
-            ${actionsHtml}
-
-            ${postsHtml}
+        <div class="stack">
+          <div style="display:flex;justify-content:space-between;gap:10px;align-items:center">
+            <div style="font-weight:900;font-size:18px">Notifications</div>
+            ${
+              unreadCount > 0
+                ? `<form method="POST" action="${base}/notifications/read-all" style="margin:0">
+                    ${csrfInput(csrf)}
+                    <button class="btn" type="submit" style="margin-top:0">Mark all read</button>
+                  </form>`
+                : ""
+            }
           </div>
+          ${listHtml}
         </div>
       `,
       req
@@ -2429,31 +8141,28 @@ proxy.get("/u/:customerId", async (req, res) => {
   );
 });
 
-/** Follow toggle */
-proxy.post("/u/:customerId/follow", async (req, res) => {
+/** Mark all notifications read */
+proxy.post("/notifications/read-all", async (req, res) => {
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
 
   if (!viewerId) return res.status(200).type("text").send("Not logged in");
   if (!pool) return res.status(200).type("text").send("DB not configured");
 
-  const targetId = String(req.params.customerId || "").trim();
-  if (!targetId) return res.redirect(base);
-  if (targetId === viewerId) return res.redirect(`${base}/me`);
-
   try {
-    await toggleFollow({ followerId: viewerId, followedId: targetId });
-    return res.redirect(`${base}/u/${encodeURIComponent(targetId)}`);
+    await markAllNotificationsRead(viewerId);
   } catch (e) {
-    console.error("follow error:", e);
-    return res.redirect(`${base}/u/${encodeURIComponent(targetId)}`);
+    console.error("notifications read error:", e);
   }
+  return res.redirect(`${base}/notifications`);
 });
 
-/** Inbox */
-proxy.get("/inbox", async (req, res) => {
+/** Search page (posts, comments, members; optional bucket filter) */
+proxy.get("/search", async (req, res) => {
+  const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
   if (!viewerId) {
     return res
@@ -2466,54 +8175,130 @@ proxy.get("/inbox", async (req, res) => {
       .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
   }
 
-  const items = await listInbox({ viewerId, limit: 80 });
-
-  const otherIds = items.map((x) => String(x.other_id)).filter(Boolean);
-  const namesById = {};
-  if (otherIds.length) {
-    const r = await pool.query(
-      `SELECT customer_id, first_name, last_name, username FROM profiles_v2 WHERE customer_id = ANY($1::text[])`,
-      [otherIds]
-    );
-    for (const row of r.rows || []) {
-      const nm = `${row.first_name || ""} ${row.last_name || ""}`.trim() || "User";
-      namesById[row.customer_id] = { name: nm, username: row.username || "" };
-    }
+  const q = cleanText(typeof req.query.q === "string" ? req.query.q : "", 100);
+  const rawBucket = typeof req.query.bucket === "string" ? req.query.bucket : "";
+  const bucket = rawBucket ? normalizeBucket(rawBucket) : "";
+  const tsQuery = buildSearchQuery(q);
+
+  const searchHref = (b) =>
+    `${base}/search?q=${encodeURIComponent(q)}${b ? `&bucket=${encodeURIComponent(b)}` : ""}`;
+  const returnPath = searchHref(bucket);
+
+  let members = [];
+  let posts = [];
+  let comments = [];
+  if (tsQuery) {
+    // Members have no bucket, so they only show under "All"
+    members = bucket ? [] : await searchMembers({ shop, viewerCustomerId: viewerId, tsQuery, limit: 12 });
+    posts = await searchPosts({ shop, viewerCustomerId: viewerId, tsQuery, bucket, limit: 20 });
+    comments = await searchComments({ shop, viewerCustomerId: viewerId, tsQuery, bucket, limit: 20 });
   }
 
-  const listHtml =
-    items.length === 0
-      ? `<p class="muted">No messages yet.</p>`
-      : `<div class="postList">
-          ${items
-            .map((it) => {
-              const oid = String(it.other_id || "");
-              const info = namesById[oid] || { name: "User", username: "" };
-              const href = `${base}/dm/${encodeURIComponent(oid)}`;
-              const snippet = escapeHtml(String(it.body || "").slice(0, 120));
-              const when = new Date(it.created_at).toLocaleString();
+  const formHtml = `
+    <form method="GET" action="${base}/search" role="search">
+      <div class="row">
+        <input type="search" name="q" maxlength="100" value="${escapeHtml(q)}" placeholder="Search posts, comments and members" style="flex:1" />
+        ${bucket ? `<input type="hidden" name="bucket" value="${escapeHtml(bucket)}" />` : ""}
+        <button class="pillBtn primary" type="submit">Search</button>
+      </div>
+    </form>
+  `;
+
+  const filterHtml = `
+    <div class="tabsRow">
+      <a class="tabBtn ${!bucket ? "active" : ""}" href="${searchHref("")}">All</a>
+      ${["feed", "collection", "trades"]
+        .map(
+          (b) =>
+            `<a class="tabBtn ${bucket === b ? "active" : ""}" href="${searchHref(b)}">${bucketLabel(b)}</a>`
+        )
+        .join("")}
+    </div>
+  `;
+
+  const membersHtml =
+    members.length === 0
+      ? ""
+      : `
+        <div class="divider"></div>
+        <div style="font-weight:900">Members</div>
+        <div class="postList">
+          ${members
+            .map((m) => {
+              const name = `${m.first_name || ""} ${m.last_name || ""}`.trim() || "User";
+              const href = profileHref(base, m.customer_id, m.username);
               return `
-                <div class="postItem">
-                  <div style="display:flex;justify-content:space-between;gap:10px;align-items:center">
-                    <div>
-                      <div style="font-weight:900"><a href="${href}">${escapeHtml(info.name)}</a></div>
-                      ${info.username ? `<div class="muted small">${escapeHtml(safeHandle(info.username))}</div>` : ""}
-                      <div class="muted small">${escapeHtml(when)}</div>
-                    </div>
+                <div class="commentRow">
+                  <img class="commentAvatar" src="${base}/avatar/${encodeURIComponent(m.customer_id)}?size=thumb" alt="" />
+                  <div class="commentBody">
+                    <div class="commentAuthor"><a href="${href}">${escapeHtml(name)}</a></div>
+                    ${m.username ? `<div class="muted small">${escapeHtml(safeHandle(m.username))}</div>` : ""}
+                  </div>
+                </div>
+              `;
+            })
+            .join("")}
+        </div>
+      `;
+
+  const postsHtml =
+    posts.length === 0
+      ? ""
+      : `
+        <div class="divider"></div>
+        <div style="font-weight:900">Posts</div>
+        <div class="postList">
+          ${posts
+            .map((p) =>
+              renderPostCard({ post: p, base, csrf, viewerId, showAuthorLink: true, returnPath })
+            )
+            .join("")}
+        </div>
+      `;
+
+  const commentsHtml =
+    comments.length === 0
+      ? ""
+      : `
+        <div class="divider"></div>
+        <div style="font-weight:900">Comments</div>
+        <div class="postList">
+          ${comments
+            .map((c) => {
+              const name = `${c.first_name || ""} ${c.last_name || ""}`.trim() || "User";
+              const when = new Date(c.created_at).toLocaleString();
+              return `
+                <div class="postItem">
+                  <div class="small">
+                    <a href="${profileHref(base, c.customer_id, c.username)}">${escapeHtml(name)}</a>
+                    <span class="muted">on a ${escapeHtml(bucketLabel(c.bucket))} post · ${escapeHtml(when)}</span>
                   </div>
-                  <div style="margin-top:8px">${snippet || "<span class='muted'>No text</span>"}</div>
+                  <div class="small commentText">${escapeHtml(String(c.body || "").slice(0, 200))}</div>
+                  <a class="small" href="${base}/posts/${Number(c.post_id)}#comment-${Number(c.id)}">View comment</a>
                 </div>
               `;
             })
             .join("")}
-        </div>`;
+        </div>
+      `;
+
+  const emptyHtml = !q
+    ? `<p class="muted">Search captions, comments and member names.</p>`
+    : members.length + posts.length + comments.length === 0
+    ? `<p class="muted">No results for "${escapeHtml(q)}".</p>`
+    : "";
 
   return res.type("html").send(
     page(
       `
         <div class="stack">
-          <div style="font-weight:900;font-size:18px">Messages</div>
-          ${listHtml}
+          <div style="font-weight:900;font-size:18px">Search</div>
+          ${formHtml}
+          ${filterHtml}
+          ${emptyHtml}
+          ${membersHtml}
+          ${postsHtml}
+          ${commentsHtml}
         </div>
       `,
       req
@@ -2521,11 +8306,12 @@ proxy.get("/inbox", async (req, res) => {
   );
 });
 
-/** DM page */
-proxy.get("/dm/:customerId", async (req, res) => {
+/** Hashtag page (posts whose caption has #name, newest first, endless scroll) */
+proxy.get("/tag/:name", async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
   if (!viewerId) {
     return res
@@ -2538,81 +8324,86 @@ proxy.get("/dm/:customerId", async (req, res) => {
       .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
   }
 
-  const targetId = String(req.params.customerId || "").trim();
-  if (!targetId || targetId === viewerId) return res.redirect(`${base}/me`);
+  const tag = normalizeTag(req.params.name);
+  if (!tag) return res.status(404).type("text").send("Not found");
 
-  await ensureRow(viewerId, shop);
-  await ensureRow(targetId, shop);
+  const tagPath = `${base}/tag/${encodeURIComponent(tag)}`;
+  const { posts, nextCursor } = await listTaggedPostsWithMeta({
+    shop,
+    tag,
+    viewerCustomerId: viewerId,
+    limit: 20,
+    cursor: null,
+  });
 
-  const profile = await getProfile(targetId);
-  if (!profile) return res.type("html").send(page(`<p class="error">User not found.</p>`, req));
+  const listHtml =
+    posts.length === 0
+      ? `<p class="muted">No posts tagged #${escapeHtml(tag)} yet.</p>`
+      : "";
 
-  const displayName = `${profile?.first_name || ""} ${profile?.last_name || ""}`.trim() || "User";
-  const convo = await listConversation({ viewerId, otherId: targetId, limit: 30 });
+  const moreBlock = `
+    <div class="divider"></div>
+    <div id="tagMore" data-next="${escapeHtml(nextCursor || "")}">
+      <div class="muted small" id="tagStatus">${nextCursor ? "Loading more as you scroll..." : "End of posts."}</div>
+      <div id="tagSentinel" style="height:1px"></div>
+    </div>
+    <script>
+      (function(){
+        const more = document.getElementById('tagMore');
+        const sentinel = document.getElementById('tagSentinel');
+        const list = document.getElementById('tagList');
+        const status = document.getElementById('tagStatus');
+        if (!more || !sentinel || !list || !status) return;
 
-  const sent = req.query.sent === "1";
+        let loading = false;
 
-  const threadHtml =
-    convo.length === 0
-      ? `<div class="muted">No messages yet.</div>`
-      : convo
-          .map((m) => {
-            const mine = String(m.sender_id) === String(viewerId);
-            const when = new Date(m.created_at).toLocaleString();
-            const text = escapeHtml(m.body || "");
-            const mediaLink =
-              Number(m.media_count || 0) > 0
-                ? `<a class="dmMediaLink" href="${base}/messages/${Number(m.id)}/media/0" target="_blank" rel="noreferrer">View attachment</a>`
-                : "";
-            return `
-              <div class="dmRow ${mine ? "me" : ""}">
-                <div class="dmMsg">
-                  ${text ? `<div style="white-space:pre-wrap">${text}</div>` : `<div class="muted small">No text</div>`}
-                  ${mediaLink}
-                  <div class="dmMeta">${escapeHtml(when)}</div>
-                </div>
-              </div>
-            `;
-          })
-          .join("");
+        async function loadMore(){
+          const next = more.getAttribute('data-next') || '';
+          if (!next || loading) return;
+          loading = true;
+          status.textContent = 'Loading...';
+          try{
+            const resp = await fetch('${tagPath}/more?cursor=' + encodeURIComponent(next), { credentials: 'same-origin' });
+            const data = await resp.json();
+            if (data && data.html) {
+              const tmp = document.createElement('div');
+              tmp.innerHTML = data.html;
+              while(tmp.firstChild) list.appendChild(tmp.firstChild);
+            }
+            more.setAttribute('data-next', (data && data.nextCursor) ? data.nextCursor : '');
+            status.textContent = (data && data.nextCursor) ? 'Loading more as you scroll...' : 'End of posts.';
+          }catch(e){
+            status.textContent = 'Could not load more.';
+          }finally{
+            loading = false;
+          }
+        }
+
+        const io = new IntersectionObserver((entries) => {
+          entries.forEach((entry) => {
+            if (entry.isIntersecting) loadMore();
+          });
+        }, { root: null, rootMargin: '600px', threshold: 0 });
+
+        io.observe(sentinel);
+      })();
+    </script>
+  `;
 
   return res.type("html").send(
     page(
       `
-        <div class="stack dmWrap">
-          <div style="display:flex;justify-content:space-between;gap:10px;align-items:center">
-            <div>
-              <div style="font-weight:900;font-size:18px">Message ${escapeHtml(displayName)}</div>
-              <div class="muted small">${escapeHtml(safeHandle(profile?.username || ""))}</div>
-            </div>
-            <a class="btn" href="${base}/u/${encodeURIComponent(targetId)}">Back</a>
-          </div>
-
-          ${sent ? `<p class="muted small">Sent.</p>` : ""}
-
-          <div class="dmThread" style="margin-top:12px">
-            ${threadHtml}
-          </div>
-
-          <div class="dmComposer">
-            <form method="POST" enctype="multipart/form-data" action="${base}/dm/${encodeURIComponent(
-              targetId
-            )}">
-              <label for="dm_body">Message</label>
-              <textarea id="dm_body" name="body" maxlength="2000" placeholder="Write a message (max 2000 characters)" style="min-height:120px"></textarea>
-
-              <div class="dmFile">
-                <label for="dm_file">Add a file (optional)</label>
-                <input id="dm_file" type="file" name="file" accept="image/*,video/*,application/pdf" />
-                <div class="muted small help">10MB max. Images, video, or PDF.</div>
-              </div>
-
-              <div class="row">
-                <button class="btn" type="submit">Send</button>
-                <a class="btn" href="${base}/inbox">Inbox</a>
-              </div>
-            </form>
+        <div class="stack">
+          <div style="font-weight:900;font-size:18px">#${escapeHtml(tag)}</div>
+          ${listHtml}
+          <div class="postList" id="tagList">
+            ${posts
+              .map((p) =>
+                renderPostCard({ post: p, base, csrf, viewerId, showAuthorLink: true, returnPath: tagPath })
+              )
+              .join("")}
           </div>
+          ${moreBlock}
         </div>
       `,
       req
@@ -2620,50 +8411,64 @@ proxy.get("/dm/:customerId", async (req, res) => {
   );
 });
 
-/** Send DM */
-proxy.post("/dm/:customerId", uploadMessageMedia.single("file"), async (req, res) => {
+/** Hashtag endless loader */
+proxy.get("/tag/:name/more", async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
-  if (!viewerId) return res.status(200).type("text").send("Not logged in");
-  if (!pool) return res.status(200).type("text").send("DB not configured");
-
-  const targetId = String(req.params.customerId || "").trim();
-  if (!targetId || targetId === viewerId) return res.redirect(`${base}/me`);
-
-  const body = cleanMultiline(req.body?.body, 2000);
+  if (!viewerId) return res.status(200).json({ html: "", nextCursor: "" });
+  if (!pool) return res.status(200).json({ html: "", nextCursor: "" });
 
-  const mediaItems = [];
-  if (req.file?.buffer && req.file?.mimetype) {
-    if (!allowedMessageMime(req.file.mimetype)) {
-      return res.redirect(`${base}/dm/${encodeURIComponent(targetId)}`);
-    }
-    mediaItems.push({ bytes: req.file.buffer, mime: req.file.mimetype });
-  }
+  const tag = normalizeTag(req.params.name);
+  if (!tag) return res.status(200).json({ html: "", nextCursor: "" });
 
-  const hasText = !!(body && body.trim());
-  const hasMedia = mediaItems.length > 0;
-  if (!hasText && !hasMedia) return res.redirect(`${base}/dm/${encodeURIComponent(targetId)}`);
+  const cursor = decodeCursor(typeof req.query.cursor === "string" ? req.query.cursor : "");
+  const { posts, nextCursor } = await listTaggedPostsWithMeta({
+    shop,
+    tag,
+    viewerCustomerId: viewerId,
+    limit: 15,
+    cursor,
+  });
 
-  try {
-    await ensureRow(viewerId, shop);
-    await ensureRow(targetId, shop);
+  const html = posts
+    .map((p) =>
+      renderPostCard({
+        post: p,
+        base,
+        csrf,
+        viewerId,
+        showAuthorLink: true,
+        returnPath: `${base}/tag/${encodeURIComponent(tag)}`,
+      })
+    )
+    .join("");
 
-    const msgId = await createMessage({
-      shop,
-      senderId: viewerId,
-      receiverId: targetId,
-      body,
-    });
+  return res.status(200).json({ html, nextCursor: nextCursor || "" });
+});
 
-    if (msgId && hasMedia) await addMessageMedia(msgId, mediaItems);
+/** /@handle => member profile, matched case-insensitively */
+proxy.get("/@:handle", async (req, res) => {
+  const shop = getShop(req);
+  const viewerId = getViewerCustomerId(req);
+  const base = basePathFromReq(req);
 
-    return res.redirect(`${base}/dm/${encodeURIComponent(targetId)}?sent=1`);
-  } catch (e) {
-    console.error("dm send error:", e);
-    return res.redirect(`${base}/dm/${encodeURIComponent(targetId)}`);
+  if (!viewerId) {
+    return res
+      .type("html")
+      .send(page(`<p>Please log in.</p><a class="btn" href="${shopifyLoginHref()}">Log in</a>`, req));
+  }
+  if (!pool) {
+    return res
+      .type("html")
+      .send(page(`<p class="error">DATABASE_URL not set. Add it on Render.</p>`, req));
   }
+
+  const customerId = await findCustomerIdByUsername({ shop, username: req.params.handle });
+  if (!customerId) return res.status(404).type("text").send("Not found");
+  return res.redirect(`${base}/u/${encodeURIComponent(customerId)}`);
 });
 
 /** Collection page (bucket=collection only, required media, two-column grid) */
@@ -2671,6 +8476,7 @@ proxy.get("/collection", async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
   if (!viewerId) {
     return res
@@ -2702,6 +8508,7 @@ proxy.get("/collection", async (req, res) => {
               renderPostCard({
                 post: p,
                 base,
+                csrf,
                 viewerId,
                 showAuthorLink: true,
                 returnPath: `${base}/collection`,
@@ -2764,7 +8571,7 @@ proxy.get("/collection", async (req, res) => {
       `
         <div class="stack">
           <div style="font-weight:900;font-size:18px">My Collection</div>
-          ${renderInlineBucketComposer({ base, bucket: "collection", returnTo: `${base}/collection`, requireMedia: true })}
+          ${renderInlineBucketComposer({ base, csrf, bucket: "collection", returnTo: `${base}/collection`, requireMedia: true })}
           ${gridHtml}
           ${moreBlock}
         </div>
@@ -2779,6 +8586,7 @@ proxy.get("/trades", async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
   if (!viewerId) {
     return res
@@ -2793,26 +8601,41 @@ proxy.get("/trades", async (req, res) => {
 
   await ensureRow(viewerId, shop);
 
+  const status = normalizeTradeStatus(typeof req.query.status === "string" ? req.query.status : "");
+  const tradesPath = status ? `${base}/trades?status=${status}` : `${base}/trades`;
+
   const { posts, nextCursor } = await listBucketPostsWithMeta({
     shop,
     viewerCustomerId: viewerId,
     bucket: "trades",
     limit: 24,
     cursor: null,
+    tradeStatus: status,
   });
 
+  const filterHtml = `
+    <div class="tabsRow">
+      <a class="tabBtn ${!status ? "active" : ""}" href="${base}/trades">All</a>
+      ${TRADE_STATUSES.map(
+        (st) =>
+          `<a class="tabBtn ${status === st ? "active" : ""}" href="${base}/trades?status=${st}">${tradeStatusLabel(st)}</a>`
+      ).join("")}
+    </div>
+  `;
+
   const gridHtml =
     posts.length === 0
-      ? `<p class="muted">No trade posts yet.</p>`
+      ? `<p class="muted">${status ? `No ${escapeHtml(status)} trades.` : "No trade posts yet."}</p>`
       : `<div class="bucketGrid" id="bucketList">
           ${posts
             .map((p) =>
               renderPostCard({
                 post: p,
                 base,
+                csrf,
                 viewerId,
                 showAuthorLink: true,
-                returnPath: `${base}/trades`,
+                returnPath: tradesPath,
               })
             )
             .join("")}
@@ -2820,7 +8643,7 @@ proxy.get("/trades", async (req, res) => {
 
   const moreBlock = `
     <div class="divider"></div>
-    <div id="bucketMore" data-next="${escapeHtml(nextCursor || "")}">
+    <div id="bucketMore" data-next="${escapeHtml(nextCursor || "")}" data-status="${escapeHtml(status)}">
       <div class="muted small" id="bucketStatus">${nextCursor ? "Loading more as you scroll..." : "End of posts."}</div>
       <div id="bucketSentinel" style="height:1px"></div>
     </div>
@@ -2836,11 +8659,12 @@ proxy.get("/trades", async (req, res) => {
 
         async function loadMore(){
           const next = more.getAttribute('data-next') || '';
+          const tradeStatus = more.getAttribute('data-status') || '';
           if (!next || loading) return;
           loading = true;
           status.textContent = 'Loading...';
           try{
-            const resp = await fetch('${base}/bucket/more?bucket=trades&cursor=' + encodeURIComponent(next), { credentials: 'same-origin' });
+            const resp = await fetch('${base}/bucket/more?bucket=trades&status=' + encodeURIComponent(tradeStatus) + '&cursor=' + encodeURIComponent(next), { credentials: 'same-origin' });
             const data = await resp.json();
             if (data && data.html) {
               const tmp = document.createElement('div');
@@ -2871,8 +8695,12 @@ proxy.get("/trades", async (req, res) => {
     page(
       `
         <div class="stack">
-          <div style="font-weight:900;font-size:18px">Trades</div>
-          ${renderInlineBucketComposer({ base, bucket: "trades", returnTo: `${base}/trades`, requireMedia: true })}
+          <div style="display:flex;justify-content:space-between;gap:10px;align-items:center">
+            <div style="font-weight:900;font-size:18px">Trades</div>
+            <a class="btn" style="margin-top:0" href="${base}/offers">My offers</a>
+          </div>
+          ${renderInlineBucketComposer({ base, csrf, bucket: "trades", returnTo: `${base}/trades`, requireMedia: true })}
+          ${filterHtml}
           ${gridHtml}
           ${moreBlock}
         </div>
@@ -2887,12 +8715,14 @@ proxy.get("/bucket/more", async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
   if (!viewerId) return res.status(200).json({ html: "", nextCursor: "" });
   if (!pool) return res.status(200).json({ html: "", nextCursor: "" });
 
   const bucket = normalizeBucket(typeof req.query.bucket === "string" ? req.query.bucket : "feed");
   const cursor = decodeCursor(typeof req.query.cursor === "string" ? req.query.cursor : "");
+  const tradeStatus = normalizeTradeStatus(typeof req.query.status === "string" ? req.query.status : "");
 
   const { posts, nextCursor } = await listBucketPostsWithMeta({
     shop,
@@ -2900,12 +8730,14 @@ proxy.get("/bucket/more", async (req, res) => {
     bucket,
     limit: 24,
     cursor,
+    tradeStatus,
   });
 
+  const tradesPath = tradeStatus ? `${base}/trades?status=${tradeStatus}` : `${base}/trades`;
   const returnPath =
-    bucket === "collection" ? `${base}/collection` : bucket === "trades" ? `${base}/trades` : `${base}`;
+    bucket === "collection" ? `${base}/collection` : bucket === "trades" ? tradesPath : `${base}`;
   const html = posts
-    .map((p) => renderPostCard({ post: p, base, viewerId, showAuthorLink: true, returnPath }))
+    .map((p) => renderPostCard({ post: p, base, csrf, viewerId, showAuthorLink: true, returnPath }))
     .join("");
 
   return res.status(200).json({ html, nextCursor: nextCursor || "" });
@@ -2915,6 +8747,7 @@ proxy.get("/bucket/more", async (req, res) => {
 proxy.get("/post/new", async (req, res) => {
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
   if (!viewerId) {
     return res
@@ -2937,10 +8770,10 @@ proxy.get("/post/new", async (req, res) => {
   const status =
     req.query.err === "1"
       ? `<p class="error">Add text or media.</p>`
-      : req.query.type === "1"
-      ? `<p class="error">Unsupported file type.</p>`
       : req.query.media === "1"
       ? `<p class="error">Media is required for this post.</p>`
+      : req.query.cards === "1"
+      ? `<p class="error">List at least one card you have or want.</p>`
       : "";
 
   const postAction = `${base}/post/new`;
@@ -2952,6 +8785,7 @@ proxy.get("/post/new", async (req, res) => {
         ${status}
         <div class="stack">
           <form method="POST" enctype="multipart/form-data" action="${postAction}">
+            ${csrfInput(csrf)}
             <input type="hidden" name="return" value="${escapeHtml(returnTo)}" />
             <input type="hidden" name="bucket" value="${escapeHtml(bucket)}" />
 
@@ -2959,6 +8793,8 @@ proxy.get("/post/new", async (req, res) => {
             <textarea id="body" name="body" maxlength="500" placeholder="Write your post (max 500 characters)"></textarea>
             <div class="muted small help">0 to 500 characters.</div>
 
+            ${bucket === "trades" ? renderTradeFields({ idPrefix: "trade" }) : ""}
+
             <label for="media">Photo or video ${requireMedia ? "(required)" : "(optional)"}</label>
             <input id="media" type="file" name="media" ${requireMedia ? "required" : ""} multiple accept="image/*,video/*" />
             <div class="muted small help">Up to ${MAX_MEDIA_FILES} files. 15MB max per file.</div>
@@ -2996,7 +8832,7 @@ proxy.get("/post/new", async (req, res) => {
 });
 
 /** Create post (multi-media, bucket-aware, required media for non-feed buckets) */
-proxy.post("/post/new", uploadPostMedia.array("media", MAX_MEDIA_FILES), async (req, res) => {
+proxy.post("/post/new", blockSuspendedWrites, uploadPostMedia.array("media", MAX_MEDIA_FILES), requireCsrf, async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
@@ -3014,8 +8850,13 @@ proxy.post("/post/new", uploadPostMedia.array("media", MAX_MEDIA_FILES), async (
 
   for (const f of files) {
     if (!f || !f.buffer || !f.mimetype) continue;
-    if (!allowedMediaMime(f.mimetype)) return res.redirect(`${base}/post/new?type=1`);
-    mediaItems.push({ bytes: f.buffer, mime: f.mimetype });
+    const check = prepareUpload(f, POST_MEDIA_MIMES);
+    if (check.error) {
+      const ret = cleanText(req.body?.return, 300);
+      const backHref = ret && ret.startsWith("/") ? ret : `${base}/post/new?bucket=${encodeURIComponent(bucket)}`;
+      return sendUploadError(req, res, { check, allowedMimes: POST_MEDIA_MIMES, backHref });
+    }
+    mediaItems.push({ bytes: check.bytes, mime: check.mime });
   }
 
   const hasText = !!(body && body.trim());
@@ -3034,19 +8875,31 @@ proxy.post("/post/new", uploadPostMedia.array("media", MAX_MEDIA_FILES), async (
   const returnToRaw = cleanText(req.body?.return, 300);
   const returnTo = returnToRaw && returnToRaw.startsWith("/") ? returnToRaw : `${base}`;
 
+  // Trade posts must list at least one card
+  const haveCards = bucket === "trades" ? parseCardList(req.body?.have) : [];
+  const wantCards = bucket === "trades" ? parseCardList(req.body?.want) : [];
+  if (bucket === "trades" && haveCards.length === 0 && wantCards.length === 0) {
+    return res.redirect(
+      `${base}/post/new?bucket=trades&cards=1&return=${encodeURIComponent(returnTo)}`
+    );
+  }
+
   try {
     await ensureRow(viewerId, shop);
-    const postId = await createPost({ shop, customerId: viewerId, body, bucket });
+    const postId = await createPost({
+      shop,
+      customerId: viewerId,
+      body,
+      bucket,
+      media: mediaItems,
+      trade: bucket === "trades" ? { haveCards, wantCards } : null,
+    });
     if (!postId) return res.redirect(`${base}/post/new?err=1`);
 
-    if (hasMedia) {
-      await addPostMedia(postId, mediaItems);
-    }
-
     return res.redirect(returnTo);
   } catch (e) {
     console.error("create post error:", e);
-    return res.redirect(`${base}/post/new?err=1`);
+    return sendSaveError(req, res, { title: "Couldn't publish your post", backHref: returnTo });
   }
 });
 
@@ -3055,6 +8908,7 @@ proxy.get("/me/edit", async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
+  const csrf = csrfToken(req);
 
   if (!viewerId) {
     return res
@@ -3074,8 +8928,27 @@ proxy.get("/me/edit", async (req, res) => {
   const last = profile?.last_name || "";
   const bio = profile?.bio || "";
   const social_url = profile?.social_url || "";
+  const username = profile?.username || "";
+
+  const changedAt = profile?.username_changed_at ? new Date(profile.username_changed_at) : null;
+  const nextChange =
+    username && changedAt
+      ? new Date(changedAt.getTime() + USERNAME_COOLDOWN_DAYS * 24 * 60 * 60 * 1000)
+      : null;
+  const cooling = nextChange && nextChange > new Date();
+
+  const usernameMessages = {
+    saved: `<p class="muted small">Username saved.</p>`,
+    invalid: `<p class="error">Usernames are 3-30 letters, numbers or underscores.</p>`,
+    reserved: `<p class="error">That username is reserved. Please pick another.</p>`,
+    taken: `<p class="error">That username is already taken.</p>`,
+    cooldown: `<p class="error">You can change your username again on ${escapeHtml(
+      nextChange ? nextChange.toLocaleDateString() : ""
+    )}.</p>`,
+  };
+  const usernameStatus = usernameMessages[String(req.query.username || "")] || "";
 
-  const avatarSrc = `${base}/me/avatar`;
+  const avatarSrc = `${base}/me/avatar?size=thumb`;
   const saveAction = `${base}/me/edit`;
   const avatarAction = `${base}/me/avatar`;
   const doneHref = `${base}/me`;
@@ -3089,6 +8962,7 @@ proxy.get("/me/edit", async (req, res) => {
               <img class="avatar" src="${avatarSrc}" alt="Profile photo" />
 
               <form id="avatarForm" method="POST" enctype="multipart/form-data" action="${avatarAction}">
+                ${csrfInput(csrf)}
                 <input id="avatarInput" class="fileInput" type="file" name="avatar" accept="image/png,image/jpeg,image/webp" />
               </form>
 
@@ -3100,12 +8974,25 @@ proxy.get("/me/edit", async (req, res) => {
 
           <div class="stack">
             <form method="POST" action="${saveAction}">
+              ${csrfInput(csrf)}
               <label for="first_name">First name</label>
               <input id="first_name" name="first_name" value="${escapeHtml(first)}" required />
 
               <label for="last_name">Last name</label>
               <input id="last_name" name="last_name" value="${escapeHtml(last)}" required />
 
+              <label for="username">Username</label>
+              ${usernameStatus}
+              <input id="username" name="username" value="${escapeHtml(username)}" maxlength="30" placeholder="ashk" autocomplete="off" />
+              <div class="muted small help">
+                3-30 letters, numbers or _. Your profile lives at ${escapeHtml(base)}/@yourname.
+                ${
+                  cooling
+                    ? `Next change allowed ${escapeHtml(nextChange.toLocaleDateString())}.`
+                    : `You can change it once every ${USERNAME_COOLDOWN_DAYS} days.`
+                }
+              </div>
+
               <label for="social_url">Social link</label>
               <input id="social_url" name="social_url" value="${escapeHtml(social_url)}" placeholder="https://instagram.com/yourname" />
 
@@ -3153,10 +9040,20 @@ proxy.post("/me/edit", async (req, res) => {
   const last_name = cleanText(req.body?.last_name, 40);
   const social_url = cleanText(req.body?.social_url, 220);
   const bio = cleanMultiline(req.body?.bio, 500);
+  const username = cleanText(req.body?.username, 40).replace(/^@/, "");
 
   try {
     await ensureRow(viewerId, shop);
     await updateProfile(viewerId, { first_name, last_name, social_url, bio });
+
+    // Blank field leaves the current username alone
+    if (username) {
+      const err = usernameError(username);
+      if (err) return res.redirect(`${base}/me/edit?username=${err}`);
+      const result = await claimUsername({ shop, customerId: viewerId, username });
+      if (result === "ok") return res.redirect(`${base}/me/edit?username=saved`);
+      if (result !== "unchanged") return res.redirect(`${base}/me/edit?username=${result}`);
+    }
     return res.redirect(`${base}/me/edit`);
   } catch (e) {
     console.error("edit save error:", e);
@@ -3164,7 +9061,7 @@ proxy.post("/me/edit", async (req, res) => {
   }
 });
 
-proxy.post("/me/avatar", uploadAvatar.single("avatar"), async (req, res) => {
+proxy.post("/me/avatar", uploadAvatar.single("avatar"), requireCsrf, async (req, res) => {
   const shop = getShop(req);
   const viewerId = getViewerCustomerId(req);
   const base = basePathFromReq(req);
@@ -3175,12 +9072,14 @@ proxy.post("/me/avatar", uploadAvatar.single("avatar"), async (req, res) => {
   const file = req.file;
   if (!file || !file.buffer || !file.mimetype) return res.redirect(`${base}/me/edit`);
 
-  const allowed = new Set(["image/png", "image/jpeg", "image/webp"]);
-  if (!allowed.has(file.mimetype)) return res.redirect(`${base}/me/edit`);
+  const check = prepareUpload(file, AVATAR_MIMES);
+  if (check.error) {
+    return sendUploadError(req, res, { check, allowedMimes: AVATAR_MIMES, backHref: `${base}/me/edit` });
+  }
 
   try {
     await ensureRow(viewerId, shop);
-    await updateProfile(viewerId, { avatar_bytes: file.buffer, avatar_mime: file.mimetype });
+    await setAvatar(viewerId, { bytes: check.bytes, mime: check.mime });
     return res.redirect(`${base}/me/edit`);
   } catch (e) {
     console.error("avatar upload error:", e);
@@ -3192,16 +9091,347 @@ app.use("/proxy", proxy);
 
 app.use((req, res) => res.status(404).type("text").send("Not found"));
 
+/* ---------------------------
+   Media migration (BYTEA -> blob store)
+---------------------------- */
+
+const MEDIA_MIGRATION_BATCH = 25;
+
+// Each source: how to count what's left, fetch a batch, and swap a row's bytes for a key.
+// The swap only matches rows that still hold bytes, so re-runs and concurrent writes are safe.
+const MEDIA_MIGRATION_SOURCES = [
+  {
+    name: "post_media_v1",
+    countSql: `SELECT COUNT(*)::int AS n, COALESCE(SUM(octet_length(media_bytes)),0)::bigint AS bytes
+               FROM post_media_v1 WHERE media_bytes IS NOT NULL`,
+    batchSql: `SELECT post_id, idx, media_bytes AS bytes, media_mime AS mime
+               FROM post_media_v1 WHERE media_bytes IS NOT NULL
+               ORDER BY post_id, idx LIMIT $1`,
+    keyPrefix: (row) => `post-media/${row.post_id}`,
+    swapSql: `UPDATE post_media_v1 SET storage_key=$3, media_bytes=NULL
+              WHERE post_id=$1 AND idx=$2 AND media_bytes IS NOT NULL`,
+    swapParams: (row, key) => [row.post_id, row.idx, key],
+  },
+  {
+    // Pre multi-media posts: served as idx 0 when post_media_v1 has no row, so they become that row
+    name: "posts_v1 (legacy media)",
+    countSql: `SELECT COUNT(*)::int AS n, COALESCE(SUM(octet_length(p.media_bytes)),0)::bigint AS bytes
+               FROM posts_v1 p
+               WHERE p.media_bytes IS NOT NULL AND p.media_mime <> ''
+                 AND NOT EXISTS (SELECT 1 FROM post_media_v1 pm WHERE pm.post_id = p.id AND pm.idx = 0)`,
+    batchSql: `SELECT p.id, p.media_bytes AS bytes, p.media_mime AS mime
+               FROM posts_v1 p
+               WHERE p.media_bytes IS NOT NULL AND p.media_mime <> ''
+                 AND NOT EXISTS (SELECT 1 FROM post_media_v1 pm WHERE pm.post_id = p.id AND pm.idx = 0)
+               ORDER BY p.id LIMIT $1`,
+    keyPrefix: (row) => `post-media/${row.id}`,
+    swapSql: `WITH moved AS (
+                UPDATE posts_v1 SET media_bytes=NULL WHERE id=$1 AND media_bytes IS NOT NULL RETURNING id
+              )
+              INSERT INTO post_media_v1 (post_id, idx, media_bytes, media_mime, storage_key)
+              SELECT id, 0, NULL, $2, $3 FROM moved
+              ON CONFLICT (post_id, idx) DO NOTHING`,
+    swapParams: (row, key) => [row.id, row.mime, key],
+  },
+  {
+    name: "message_media_v1",
+    countSql: `SELECT COUNT(*)::int AS n, COALESCE(SUM(octet_length(media_bytes)),0)::bigint AS bytes
+               FROM message_media_v1 WHERE media_bytes IS NOT NULL`,
+    batchSql: `SELECT message_id, idx, media_bytes AS bytes, media_mime AS mime
+               FROM message_media_v1 WHERE media_bytes IS NOT NULL
+               ORDER BY message_id, idx LIMIT $1`,
+    keyPrefix: (row) => `message-media/${row.message_id}`,
+    swapSql: `UPDATE message_media_v1 SET storage_key=$3, media_bytes=NULL
+              WHERE message_id=$1 AND idx=$2 AND media_bytes IS NOT NULL`,
+    swapParams: (row, key) => [row.message_id, row.idx, key],
+  },
+  {
+    name: "media_variants_v1",
+    countSql: `SELECT COUNT(*)::int AS n, COALESCE(SUM(octet_length(media_bytes)),0)::bigint AS bytes
+               FROM media_variants_v1 WHERE media_bytes IS NOT NULL`,
+    batchSql: `SELECT kind, ref_id, idx, size, media_bytes AS bytes, media_mime AS mime
+               FROM media_variants_v1 WHERE media_bytes IS NOT NULL
+               ORDER BY kind, ref_id, idx, size LIMIT $1`,
+    keyPrefix: (row) => `variants/${row.kind}/${row.ref_id}`,
+    swapSql: `UPDATE media_variants_v1 SET storage_key=$5, media_bytes=NULL
+              WHERE kind=$1 AND ref_id=$2 AND idx=$3 AND size=$4 AND media_bytes IS NOT NULL`,
+    swapParams: (row, key) => [row.kind, row.ref_id, row.idx, row.size, key],
+  },
+  {
+    name: "profiles_v2 (avatars)",
+    countSql: `SELECT COUNT(*)::int AS n, COALESCE(SUM(octet_length(avatar_bytes)),0)::bigint AS bytes
+               FROM profiles_v2 WHERE avatar_bytes IS NOT NULL`,
+    batchSql: `SELECT customer_id, avatar_bytes AS bytes, avatar_mime AS mime
+               FROM profiles_v2 WHERE avatar_bytes IS NOT NULL
+               ORDER BY customer_id LIMIT $1`,
+    keyPrefix: (row) => `avatars/${row.customer_id}`,
+    swapSql: `UPDATE profiles_v2 SET avatar_key=$2, avatar_bytes=NULL
+              WHERE customer_id=$1 AND avatar_bytes IS NOT NULL`,
+    swapParams: (row, key) => [row.customer_id, key],
+  },
+];
+
+// Moves every BYTEA media value into the configured blob store. Stops on the first failed upload
+// (already-moved rows stay moved, so it can simply be re-run).
+async function migrateMediaToBlobStore({ dryRun = false } = {}) {
+  if (!pool) throw new Error("DATABASE_URL not set");
+  if (!blobStore) throw new Error("BLOB_STORE is not configured (use local or s3)");
+  await ensureSchema();
+
+  for (const src of MEDIA_MIGRATION_SOURCES) {
+    const c = await pool.query(src.countSql);
+    const n = Number(c.rows?.[0]?.n) || 0;
+    const bytes = Number(c.rows?.[0]?.bytes) || 0;
+    console.log(`${src.name}: ${n} row(s), ${(bytes / 1024 / 1024).toFixed(1)} MB in Postgres`);
+    if (dryRun || n === 0) continue;
+
+    let moved = 0;
+    for (;;) {
+      const batch = await pool.query(src.batchSql, [MEDIA_MIGRATION_BATCH]);
+      const rows = batch.rows || [];
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const key = newBlobKey(src.keyPrefix(row));
+        await blobStore.put(key, row.bytes, row.mime);
+        const r = await pool.query(src.swapSql, src.swapParams(row, key));
+        // Row changed underneath us: drop the copy we just wrote
+        if (!r.rowCount) await deleteBlobs([key]);
+        else moved++;
+      }
+      console.log(`${src.name}: moved ${moved}/${n}`);
+    }
+  }
+}
+
+/* ---------------------------
+   Photo metadata backfill
+---------------------------- */
+
+const METADATA_BACKFILL_MIMES = ["image/jpeg", "image/png", "image/webp"];
+
+// Column names per table (constants, never user input). keyCol/hashCol are null where the table has none.
+const METADATA_BACKFILL_SOURCES = [
+  {
+    name: "post_media_v1",
+    table: "post_media_v1",
+    pk: ["post_id", "idx"],
+    bytesCol: "media_bytes",
+    keyCol: "storage_key",
+    hashCol: "content_hash",
+    mimeCol: "media_mime",
+    blobPrefix: (row) => `post-media/${row.post_id}`,
+  },
+  {
+    name: "posts_v1 (legacy media)",
+    table: "posts_v1",
+    pk: ["id"],
+    bytesCol: "media_bytes",
+    keyCol: null,
+    hashCol: null,
+    mimeCol: "media_mime",
+  },
+  {
+    name: "message_media_v1",
+    table: "message_media_v1",
+    pk: ["message_id", "idx"],
+    bytesCol: "media_bytes",
+    keyCol: "storage_key",
+    hashCol: "content_hash",
+    mimeCol: "media_mime",
+    blobPrefix: (row) => `message-media/${row.message_id}`,
+  },
+  {
+    name: "profiles_v2 (avatars)",
+    table: "profiles_v2",
+    pk: ["customer_id"],
+    bytesCol: "avatar_bytes",
+    keyCol: "avatar_key",
+    hashCol: "avatar_hash",
+    mimeCol: "avatar_mime",
+    blobPrefix: (row) => `avatars/${row.customer_id}`,
+  },
+];
+
+// Rewrites one stored photo without its metadata. Blob-store media gets a new key (the old blob is
+// deleted once the row points at the new one). Returns true when the row changed.
+async function stripStoredMetadata(src, row, dryRun) {
+  const original = await loadMediaBytes(row.bytes, src.keyCol ? row.storage_key : null);
+  if (!original) return false;
+
+  const cleaned = stripImageMetadata(original, row.mime);
+  if (cleaned.equals(original)) return false;
+  if (dryRun) return true;
+
+  const pkWhere = src.pk.map((c, i) => `${c}=$${i + 1}`).join(" AND ");
+  const pkVals = src.pk.map((c) => row[c]);
+  const hash = sha256Hex(cleaned);
+
+  if (src.keyCol && row.storage_key) {
+    const key = newBlobKey(src.blobPrefix(row));
+    await blobStore.put(key, cleaned, row.mime);
+    const r = await pool.query(
+      `UPDATE ${src.table} SET ${src.keyCol}=$${pkVals.length + 1}, ${src.hashCol}=$${pkVals.length + 2}
+       WHERE ${pkWhere} AND ${src.keyCol}=$${pkVals.length + 3}`,
+      [...pkVals, key, hash, row.storage_key]
+    );
+    await deleteBlobs([r.rowCount ? row.storage_key : key]);
+    return r.rowCount > 0;
+  }
+
+  const sets = [`${src.bytesCol}=$${pkVals.length + 1}`];
+  const vals = [...pkVals, cleaned];
+  if (src.hashCol) {
+    sets.push(`${src.hashCol}=$${pkVals.length + 2}`);
+    vals.push(hash);
+  }
+  const r = await pool.query(`UPDATE ${src.table} SET ${sets.join(", ")} WHERE ${pkWhere}`, vals);
+  return r.rowCount > 0;
+}
+
+// Walks every stored JPEG/PNG/WebP in primary-key order. Files that don't parse are logged and left alone.
+async function backfillStripMetadata({ dryRun = false } = {}) {
+  if (!pool) throw new Error("DATABASE_URL not set");
+  await ensureSchema();
+
+  for (const src of METADATA_BACKFILL_SOURCES) {
+    const stored = src.keyCol
+      ? `(${src.bytesCol} IS NOT NULL OR ${src.keyCol} IS NOT NULL)`
+      : `${src.bytesCol} IS NOT NULL`;
+    const pkList = src.pk.join(", ");
+    let cursor = null;
+    let seen = 0;
+    let changed = 0;
+    let failed = 0;
+
+    for (;;) {
+      const params = [METADATA_BACKFILL_MIMES, MEDIA_MIGRATION_BATCH];
+      let after = "";
+      if (cursor) {
+        after = `AND (${pkList}) > (${cursor.map((_, i) => `$${i + 3}`).join(", ")})`;
+        params.push(...cursor);
+      }
+      const batch = await pool.query(
+        `SELECT ${pkList}, ${src.bytesCol} AS bytes, ${src.mimeCol} AS mime
+                ${src.keyCol ? `, ${src.keyCol} AS storage_key` : ""}
+         FROM ${src.table}
+         WHERE ${stored} AND ${src.mimeCol} = ANY($1::text[]) ${after}
+         ORDER BY ${pkList}
+         LIMIT $2`,
+        params
+      );
+      const rows = batch.rows || [];
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        seen++;
+        try {
+          if (await stripStoredMetadata(src, row, dryRun)) changed++;
+        } catch (e) {
+          failed++;
+          console.error(`${src.name}: skipped ${src.pk.map((c) => row[c]).join("/")}:`, e.message);
+        }
+      }
+      cursor = src.pk.map((c) => rows[rows.length - 1][c]);
+    }
+
+    console.log(
+      `${src.name}: ${seen} photo(s), ${changed} ${dryRun ? "would be cleaned" : "cleaned"}, ${failed} skipped`
+    );
+  }
+}
+
 let server = null;
 
-// Start: ensure schema once at boot (avoids first-request migrations)
+// Start: check the schema version once at boot (migrations run separately, before start)
 (async () => {
+  // CLI: node server.js migrate [status | rollback [--to N]] [--dry-run]
+  if (process.argv[2] === "migrate") {
+    const args = process.argv.slice(3);
+    const sub = args[0] && !args[0].startsWith("--") ? args[0] : "up";
+    const dryRun = args.includes("--dry-run");
+    const toArg = args.find((a) => a.startsWith("--to=")) || (args.includes("--to") ? args[args.indexOf("--to") + 1] : null);
+    const to = toArg == null ? null : Number(String(toArg).replace(/^--to=/, ""));
+
+    // The server runs without a database ("DB not configured"), so `npm start` (prestart) must too
+    if (!pool && sub !== "rollback") {
+      console.log("DATABASE_URL not set, skipping migrations");
+      return;
+    }
+    try {
+      if (sub === "status") await printMigrationStatus();
+      else if (sub === "rollback") {
+        if (to != null && !(Number.isInteger(to) && to >= 0)) throw new Error("--to needs a version number");
+        await rollbackMigrations({ to, dryRun });
+      } else if (sub === "up") await migrate({ dryRun });
+      else throw new Error(`Unknown migrate command: ${sub}`);
+      process.exitCode = 0;
+    } catch (e) {
+      console.error("migrate error:", e?.message || e);
+      process.exitCode = 1;
+    }
+    if (pool) await pool.end();
+    return;
+  }
+
+  // CLI: node server.js blob-check
+  if (process.argv[2] === "blob-check") {
+    try {
+      await checkBlobStore();
+      console.log("blob-check done");
+      process.exitCode = 0;
+    } catch (e) {
+      console.error("blob-check error:", e?.message || e);
+      process.exitCode = 1;
+    }
+    if (pool) await pool.end();
+    return;
+  }
+
+  // CLI: node server.js migrate-media [--dry-run]
+  if (process.argv[2] === "migrate-media") {
+    try {
+      await migrateMediaToBlobStore({ dryRun: process.argv.includes("--dry-run") });
+      console.log("migrate-media done");
+      process.exitCode = 0;
+    } catch (e) {
+      console.error("migrate-media error:", e);
+      process.exitCode = 1;
+    }
+    if (pool) await pool.end();
+    return;
+  }
+
+  // CLI: node server.js strip-metadata [--dry-run]
+  if (process.argv[2] === "strip-metadata") {
+    try {
+      await backfillStripMetadata({ dryRun: process.argv.includes("--dry-run") });
+      console.log("strip-metadata done");
+      process.exitCode = 0;
+    } catch (e) {
+      console.error("strip-metadata error:", e);
+      process.exitCode = 1;
+    }
+    if (pool) await pool.end();
+    return;
+  }
+
   try {
     if (pool) await ensureSchema();
   } catch (e) {
+    if (e?.code === "SCHEMA_PENDING" || e?.code === "SCHEMA_MISMATCH") {
+      console.error(`Refusing to start: ${e.message}`);
+      process.exitCode = 1;
+      await pool.end();
+      return;
+    }
     console.error("ensureSchema boot error:", e);
   }
 
+  if (!SESSION_SECRET) {
+    console.error("SESSION_SECRET not set: session cookies use a key derived from SHOPIFY_API_SECRET");
+  }
+
   server = app.listen(PORT, "0.0.0.0", () => {
     console.log(`Server listening on 0.0.0.0:${PORT}`);
   });